@@ -0,0 +1,281 @@
+/**
+ * Chromium Session
+ * Launches headless Chromium and talks to it over the DevTools protocol
+ *
+ * Uses --remote-debugging-pipe, where protocol messages are NUL-terminated JSON written to
+ * file descriptor 3 and read from file descriptor 4, so no WebSocket client is needed.
+ */
+
+import { spawn } from 'node:child_process';
+import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+
+/**
+ * Executable names searched on the PATH
+ */
+const EXECUTABLE_NAMES = ['google-chrome-stable', 'google-chrome', 'chromium', 'chromium-browser', 'chrome'];
+
+/**
+ * Well-known install locations, checked after the PATH
+ */
+const INSTALL_PATHS = {
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium'
+  ],
+  win32: [
+    join(process.env.PROGRAMFILES || 'C:\\Program Files', 'Google\\Chrome\\Application\\chrome.exe'),
+    join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'Google\\Chrome\\Application\\chrome.exe'),
+    join(process.env.LOCALAPPDATA || '', 'Google\\Chrome\\Application\\chrome.exe')
+  ]
+};
+
+/**
+ * Finds a Chromium or Chrome executable
+ * @param {string} [explicitPath] - Path given by the user; wins over everything else
+ * @returns {string|null} Path to the executable, or null if none was found
+ */
+export function findChromium(explicitPath) {
+  if (explicitPath) {
+    return existsSync(explicitPath) ? explicitPath : null;
+  }
+
+  if (process.env.CHROME_PATH && existsSync(process.env.CHROME_PATH)) {
+    return process.env.CHROME_PATH;
+  }
+
+  const extension = process.platform === 'win32' ? '.exe' : '';
+  for (const directory of (process.env.PATH || '').split(delimiter).filter(Boolean)) {
+    for (const name of EXECUTABLE_NAMES) {
+      const candidate = join(directory, name + extension);
+      if (existsSync(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  return (INSTALL_PATHS[process.platform] || []).find(candidate => existsSync(candidate)) || null;
+}
+
+/**
+ * Rejects a promise that takes too long
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The promise's result
+ */
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * ChromiumSession owns one headless browser process
+ */
+export default class ChromiumSession {
+  /**
+   * Launches headless Chromium
+   * @param {string} executablePath - Browser executable
+   * @returns {Promise<ChromiumSession>} A session connected to the new browser
+   * @throws {Error} If the browser exits before answering
+   */
+  static async launch(executablePath) {
+    const userDataDir = mkdtempSync(join(tmpdir(), 'hit-region-audit-'));
+    const args = [
+      '--headless=new',
+      '--remote-debugging-pipe',
+      `--user-data-dir=${userDataDir}`,
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--disable-extensions',
+      '--hide-scrollbars',
+      '--mute-audio'
+    ];
+
+    // Chromium refuses to start its sandbox as root, which is common in CI containers
+    if (process.getuid && process.getuid() === 0) {
+      args.push('--no-sandbox');
+    }
+
+    const child = spawn(executablePath, [...args, 'about:blank'], {
+      stdio: ['ignore', 'ignore', 'pipe', 'pipe', 'pipe']
+    });
+
+    const session = new ChromiumSession(child, userDataDir);
+    await withTimeout(session.send('Browser.getVersion'), 30000, 'Chromium did not start within 30s');
+    return session;
+  }
+
+  /**
+   * @param {ChildProcess} child - The browser process, with pipes on fds 3 and 4
+   * @param {string} userDataDir - Temporary profile directory, removed on close
+   */
+  constructor(child, userDataDir) {
+    this.child = child;
+    this.userDataDir = userDataDir;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.listeners = new Set();
+    this.buffer = '';
+    this.stderr = '';
+
+    // Writes fail with EPIPE once the browser is gone; pending commands are rejected on exit instead
+    child.stdio[3].on('error', () => {});
+    child.stdio[4].setEncoding('utf8');
+    child.stdio[4].on('data', chunk => this.handleData(chunk));
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      // Keep the tail for error messages
+      this.stderr = (this.stderr + chunk).slice(-2000);
+    });
+    child.on('exit', code => this.handleExit(code));
+    child.on('error', error => {
+      this.stderr += error.message;
+      this.handleExit(null);
+    });
+  }
+
+  /**
+   * Sends a protocol command
+   * @param {string} method - Protocol method, e.g. 'Page.navigate'
+   * @param {Object} [params] - Method parameters
+   * @param {string} [sessionId] - Target session to send to; omitted for browser commands
+   * @returns {Promise<Object>} The command's result
+   * @throws {Error} If the browser reports an error or has exited
+   */
+  send(method, params = {}, sessionId) {
+    if (!this.child) {
+      return Promise.reject(new Error('Chromium is not running'));
+    }
+
+    const id = this.nextId++;
+    const message = sessionId ? { id, method, params, sessionId } : { id, method, params };
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, method });
+      this.child.stdio[3].write(JSON.stringify(message) + '\0');
+    });
+  }
+
+  /**
+   * Waits for a protocol event
+   * @param {string} method - Event name, e.g. 'Page.loadEventFired'
+   * @param {string} [sessionId] - Only accept events from this target session
+   * @returns {Promise<Object>} The event's params
+   */
+  waitForEvent(method, sessionId) {
+    return new Promise(resolve => {
+      const listener = message => {
+        if (message.method === method && (!sessionId || message.sessionId === sessionId)) {
+          this.listeners.delete(listener);
+          resolve(message.params);
+        }
+      };
+      this.listeners.add(listener);
+    });
+  }
+
+  /**
+   * Opens a blank page and attaches to it
+   * @returns {Promise<{targetId: string, sessionId: string}>} The page's target and session ids
+   */
+  async openPage() {
+    const { targetId } = await this.send('Target.createTarget', { url: 'about:blank' });
+    const { sessionId } = await this.send('Target.attachToTarget', { targetId, flatten: true });
+    return { targetId, sessionId };
+  }
+
+  /**
+   * Closes a page opened with openPage()
+   * @param {string} targetId - The page's target id
+   */
+  async closePage(targetId) {
+    try {
+      await this.send('Target.closeTarget', { targetId });
+    } catch (error) {
+      console.warn('Could not close page:', error.message);
+    }
+  }
+
+  /**
+   * Handles protocol output from the browser
+   * @param {string} chunk - Text read from the pipe; may hold partial messages
+   */
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let end;
+    while ((end = this.buffer.indexOf('\0')) !== -1) {
+      const text = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 1);
+
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        console.warn('Ignoring malformed protocol message:', error.message);
+        continue;
+      }
+
+      if (message.id !== undefined) {
+        const request = this.pending.get(message.id);
+        if (request) {
+          this.pending.delete(message.id);
+          if (message.error) {
+            request.reject(new Error(`${request.method}: ${message.error.message}`));
+          } else {
+            request.resolve(message.result);
+          }
+        }
+      } else {
+        for (const listener of Array.from(this.listeners)) {
+          listener(message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fails pending commands when the browser exits
+   * @param {number|null} code - Exit code
+   */
+  handleExit(code) {
+    if (!this.child) {
+      return;
+    }
+
+    this.child = null;
+    const error = new Error(`Chromium exited with code ${code}${this.stderr ? `:\n${this.stderr.trim()}` : ''}`);
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Shuts the browser down and removes its temporary profile
+   */
+  async close() {
+    if (this.child) {
+      const exited = new Promise(resolve => this.child.once('exit', resolve));
+      try {
+        await withTimeout(this.send('Browser.close'), 5000, 'Browser.close timed out');
+        await withTimeout(exited, 5000, 'Chromium did not exit');
+      } catch (error) {
+        if (this.child) {
+          this.child.kill();
+        }
+      }
+    }
+
+    try {
+      rmSync(this.userDataDir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn('Could not remove temporary profile:', error.message);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Module Server
+ * Serves the extension's modules over HTTP so audited pages can import them
+ *
+ * Only src/ and cli/ are served, on the loopback interface. Responses allow any origin,
+ * including file:// pages, and answer Private Network Access preflights.
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, resolve, sep } from 'node:path';
+
+/**
+ * Directories under the repository root that may be served
+ */
+const SERVED_DIRECTORIES = ['src', 'cli'];
+
+/**
+ * Content types by file extension
+ */
+const CONTENT_TYPES = {
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * ModuleServer serves files from the repository root
+ */
+export default class ModuleServer {
+  /**
+   * @param {string} root - Repository root directory
+   */
+  constructor(root) {
+    this.root = resolve(root);
+    this.server = createServer((request, response) => this.handleRequest(request, response));
+    this.origin = null;
+  }
+
+  /**
+   * Starts listening on a free loopback port
+   * @returns {Promise<string>} The server's origin, e.g. 'http://127.0.0.1:50123'
+   */
+  start() {
+    return new Promise((resolvePromise, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => {
+        this.origin = `http://127.0.0.1:${this.server.address().port}`;
+        resolvePromise(this.origin);
+      });
+    });
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolvePromise => {
+      this.server.close(() => resolvePromise());
+      this.server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Resolves a request path to a served file
+   * @param {string} urlPath - Path part of the request URL
+   * @returns {string|null} Absolute file path, or null if the path may not be served
+   */
+  resolvePath(urlPath) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(urlPath);
+    } catch (error) {
+      return null;
+    }
+
+    const filePath = resolve(this.root, '.' + decoded);
+    const allowed = SERVED_DIRECTORIES.some(directory =>
+      filePath.startsWith(resolve(this.root, directory) + sep)
+    );
+    return allowed && CONTENT_TYPES[extname(filePath)] ? filePath : null;
+  }
+
+  /**
+   * Answers one request
+   * @param {IncomingMessage} request - The request
+   * @param {ServerResponse} response - The response
+   */
+  async handleRequest(request, response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Private-Network', 'true');
+    response.setHeader('Cache-Control', 'no-store');
+
+    if (request.method === 'OPTIONS') {
+      response.setHeader('Access-Control-Allow-Methods', 'GET');
+      response.setHeader('Access-Control-Allow-Headers', '*');
+      response.writeHead(204).end();
+      return;
+    }
+
+    const filePath = this.resolvePath(new URL(request.url, 'http://localhost').pathname);
+    if (request.method !== 'GET' || !filePath) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const body = await readFile(filePath);
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] }).end(body);
+    } catch (error) {
+      response.writeHead(404).end();
+    }
+  }
+}
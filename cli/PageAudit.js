@@ -0,0 +1,71 @@
+/**
+ * Page Audit
+ * Runs inside the audited page: calculates hit regions with the extension's own modules
+ * and returns serializable audit results to the CLI
+ *
+ * Loaded by cli/hit-region-audit.mjs through a dynamic import from its module server,
+ * so the page needs no extension installed.
+ */
+
+import { ConfigurationManager, DEFAULT_CONFIG, resolveInteractiveRules } from '../src/ConfigurationManager.js';
+import { calculate } from '../src/HitRegionCalculator.js';
+import { setInteractiveRules } from '../src/InteractiveElementFinder.js';
+import { auditHitRegions } from '../src/HitRegionAuditor.js';
+import { serializeAuditEntry } from '../src/HitRegionExporter.js';
+
+/**
+ * Audit result for one page at one viewport size
+ * @typedef {Object} PageAuditResult
+ * @property {string} url - Final page URL
+ * @property {string} title - Document title
+ * @property {{width: number, height: number, devicePixelRatio: number}} viewport - Viewport the page was audited at
+ * @property {number} resolution - Pixels between sample points
+ * @property {'viewport'|'document'} scope - Sampled area
+ * @property {'grid'|'adaptive'|'geometry'} strategy - Sampling strategy
+ * @property {number} duration - Calculation time in milliseconds
+ * @property {Object} stats - HitRegionMap statistics
+ * @property {Object[]} targets - Serialized audit entries, one per interactive element
+ */
+
+/**
+ * Calculates and audits the hit regions of the current page
+ * @param {Object} settings - Extension settings (see Configuration); missing ones use DEFAULT_CONFIG
+ * @param {number} [timeout=30000] - Maximum calculation time in milliseconds
+ * @returns {Promise<PageAuditResult>} The audit result
+ * @throws {Error} If the settings are invalid or the calculation fails
+ */
+export async function runAudit(settings = {}, timeout = 30000) {
+  const config = { ...DEFAULT_CONFIG, ...settings };
+  if (!new ConfigurationManager().validateConfiguration(config)) {
+    throw new Error('Invalid settings, see the browser console for details');
+  }
+
+  setInteractiveRules(resolveInteractiveRules(config));
+
+  // Web fonts change element sizes after the load event
+  await document.fonts.ready;
+
+  const startTime = performance.now();
+  const hitRegionMap = await calculate(config.samplingResolution, {
+    scope: config.samplingScope,
+    strategy: config.samplingStrategy,
+    timeout
+  });
+  const duration = performance.now() - startTime;
+
+  return {
+    url: location.href,
+    title: document.title,
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      devicePixelRatio: window.devicePixelRatio
+    },
+    resolution: hitRegionMap.resolution,
+    scope: config.samplingScope,
+    strategy: config.samplingStrategy,
+    duration,
+    stats: hitRegionMap.getStats(),
+    targets: auditHitRegions(hitRegionMap).map(serializeAuditEntry)
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Report Writer
+ * Formats CLI audit results as JSON, JUnit XML and HTML
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Version of the JSON report format
+ * @type {number}
+ */
+export const REPORT_FORMAT_VERSION = 1;
+
+/**
+ * Report formats and their file names
+ */
+export const REPORT_FILES = {
+  json: 'hit-region-report.json',
+  junit: 'hit-region-report.xml',
+  html: 'hit-region-report.html'
+};
+
+/**
+ * A target with its threshold failures
+ * @typedef {Object} ReportTarget
+ * @property {Object} identifier - Element identifier ({type, value})
+ * @property {string} label - Short element description
+ * @property {string[]} failures - Why the target fails the thresholds; empty if it passes
+ */
+
+/**
+ * Audit of one input at one viewport size
+ * @typedef {Object} ReportPage
+ * @property {string} input - URL or file as given on the command line
+ * @property {{width: number, height: number, devicePixelRatio: number}} viewport - Requested viewport
+ * @property {string|null} error - Why the page could not be audited, or null
+ * @property {PageAuditResult|null} result - Audit result from cli/PageAudit.js, or null on error
+ * @property {ReportTarget[]} targets - Audited targets
+ */
+
+/**
+ * Full CLI report
+ * @typedef {Object} Report
+ * @property {number} version - REPORT_FORMAT_VERSION
+ * @property {string} timestamp - ISO time the run started
+ * @property {{minSize: number, minCoverage: number}} thresholds - Thresholds the targets were checked against
+ * @property {Object} settings - Extension settings used for the calculation
+ * @property {{pages: number, targets: number, failures: number, errors: number}} summary - Totals
+ * @property {ReportPage[]} pages - One entry per input and viewport
+ */
+
+/**
+ * Describes a viewport, e.g. '375x667@2x'
+ * @param {{width: number, height: number, devicePixelRatio: number}} viewport - The viewport
+ * @returns {string} The description
+ */
+export function formatViewport(viewport) {
+  const size = `${viewport.width}x${viewport.height}`;
+  return viewport.devicePixelRatio === 1 ? size : `${size}@${viewport.devicePixelRatio}x`;
+}
+
+/**
+ * Formats an element identifier as something that can be pasted into a selector field
+ * @param {{type: string, value: string}} identifier - The identifier
+ * @returns {string} The formatted identifier
+ */
+export function formatIdentifier(identifier) {
+  return identifier.type === 'id' ? `#${identifier.value}` : identifier.value;
+}
+
+/**
+ * Names a page entry, e.g. 'http://localhost:8080/ @ 1280x800'
+ * @param {ReportPage} page - The page entry
+ * @returns {string} The name
+ */
+function formatPageName(page) {
+  return `${page.input} @ ${formatViewport(page.viewport)}`;
+}
+
+/**
+ * Formats a size in CSS pixels
+ * @param {{width: number, height: number}|null} size - The size
+ * @returns {string} e.g. '24×18', or '-' for no size
+ */
+function formatSize(size) {
+  return size ? `${Math.round(size.width)}×${Math.round(size.height)}` : '-';
+}
+
+/**
+ * Escapes text for XML and HTML
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeMarkup(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats a report as JSON
+ * @param {Report} report - The report
+ * @returns {string} Indented JSON
+ */
+export function toJSON(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * Formats a report as JUnit XML
+ * Each page and viewport is a test suite and each target a test case; targets below the
+ * thresholds are failures and pages that could not be audited are errors.
+ * @param {Report} report - The report
+ * @returns {string} JUnit XML
+ */
+export function toJUnit(report) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="hit-region-audit" tests="${report.summary.targets + report.summary.errors}" ` +
+      `failures="${report.summary.failures}" errors="${report.summary.errors}" ` +
+      `timestamp="${escapeMarkup(report.timestamp)}">`
+  ];
+
+  for (const page of report.pages) {
+    const name = escapeMarkup(formatPageName(page));
+    const time = page.result ? (page.result.duration / 1000).toFixed(3) : '0';
+
+    if (page.error) {
+      lines.push(`  <testsuite name="${name}" tests="1" failures="0" errors="1" time="${time}">`);
+      lines.push(`    <testcase classname="${name}" name="audit">`);
+      lines.push(`      <error message="${escapeMarkup(page.error)}"/>`);
+      lines.push('    </testcase>');
+      lines.push('  </testsuite>');
+      continue;
+    }
+
+    const failures = page.targets.filter(target => target.failures.length > 0).length;
+    lines.push(
+      `  <testsuite name="${name}" tests="${page.targets.length}" failures="${failures}" errors="0" time="${time}">`
+    );
+
+    for (const target of page.targets) {
+      const caseName = escapeMarkup(`${target.label} (${formatIdentifier(target.identifier)})`);
+      if (target.failures.length === 0) {
+        lines.push(`    <testcase classname="${name}" name="${caseName}"/>`);
+        continue;
+      }
+
+      lines.push(`    <testcase classname="${name}" name="${caseName}">`);
+      lines.push(
+        `      <failure message="${escapeMarkup(target.failures.join('; '))}">` +
+          `${escapeMarkup(describeTarget(target))}</failure>`
+      );
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Describes a target's measurements for failure details
+ * @param {Object} target - Serialized audit entry
+ * @returns {string} One line per measurement
+ */
+function describeTarget(target) {
+  const lines = [
+    `Element: ${formatIdentifier(target.identifier)}`,
+    `Box: ${formatSize(target.box)}`,
+    `Hit region: ${formatSize(target.hitBounds)}`,
+    `Coverage: ${target.coverage === null ? '-' : `${target.coverage.toFixed(1)}%`}`
+  ];
+
+  if (target.occluders.length > 0) {
+    lines.push(`Covered by: ${target.occluders.map(occluder => occluder.label).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats a report as a standalone HTML page
+ * @param {Report} report - The report
+ * @returns {string} HTML document
+ */
+export function toHTML(report) {
+  const { summary, thresholds } = report;
+  const sections = report.pages.map(page => {
+    const title = `<h2>${escapeMarkup(formatPageName(page))}</h2>`;
+
+    if (page.error) {
+      return `${title}\n<p class="error">${escapeMarkup(page.error)}</p>`;
+    }
+
+    const rows = page.targets.map(target => `
+      <tr class="${target.failures.length > 0 ? 'fail' : 'pass'}">
+        <td>${escapeMarkup(target.label)}</td>
+        <td><code>${escapeMarkup(formatIdentifier(target.identifier))}</code></td>
+        <td>${escapeMarkup(target.rule || '-')}</td>
+        <td>${formatSize(target.box)}</td>
+        <td>${formatSize(target.hitBounds)}</td>
+        <td>${target.coverage === null ? '-' : `${target.coverage.toFixed(1)}%`}</td>
+        <td>${escapeMarkup(target.occluders.map(occluder => occluder.label).join(', ') || '-')}</td>
+        <td>${target.failures.length > 0 ? escapeMarkup(target.failures.join('; ')) : 'Pass'}</td>
+      </tr>`).join('');
+
+    const { result } = page;
+    return `${title}
+<p>${escapeMarkup(result.title || '(untitled)')}: ${page.targets.length} targets,
+  ${page.targets.filter(target => target.failures.length > 0).length} failing.
+  ${result.resolution}px ${escapeMarkup(result.scope)} ${escapeMarkup(result.strategy)} sampling
+  in ${Math.round(result.duration)}ms.</p>
+<table>
+  <thead>
+    <tr>
+      <th>Target</th><th>Element</th><th>Rule</th><th>Box</th><th>Hit region</th>
+      <th>Coverage</th><th>Covered by</th><th>Result</th>
+    </tr>
+  </thead>
+  <tbody>${rows}
+  </tbody>
+</table>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Hit Region Audit</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
+    h2 { font-size: 16px; margin-top: 30px; word-break: break-all; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    th { background: #f5f5f5; }
+    tr.fail { background: #f8d7da; }
+    .error { color: #721c24; background: #f8d7da; padding: 10px; }
+    .summary { font-size: 15px; }
+  </style>
+</head>
+<body>
+  <h1>Hit Region Audit</h1>
+  <p class="summary">
+    ${summary.pages} pages, ${summary.targets} targets, ${summary.failures} failing, ${summary.errors} errors.
+    Thresholds: hit region at least ${thresholds.minSize}px, coverage at least ${thresholds.minCoverage}%.
+    Run at ${escapeMarkup(report.timestamp)}.
+  </p>
+  ${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Formatters by report format
+ */
+const FORMATTERS = {
+  json: toJSON,
+  junit: toJUnit,
+  html: toHTML
+};
+
+/**
+ * Writes report files
+ * @param {Report} report - The report
+ * @param {string} directory - Output directory, created if missing
+ * @param {string[]} formats - Keys of REPORT_FILES
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export async function writeReports(report, directory, formats) {
+  await mkdir(directory, { recursive: true });
+
+  const paths = [];
+  for (const format of formats) {
+    const path = join(directory, REPORT_FILES[format]);
+    await writeFile(path, FORMATTERS[format](report));
+    paths.push(path);
+  }
+  return paths;
+}
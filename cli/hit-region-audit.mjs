@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * Hit Region Audit CLI
+ * Audits pages in headless Chromium with the extension's hit region modules and writes
+ * JSON, JUnit XML and HTML reports. Exits with 1 when targets fall below the thresholds,
+ * so hit region regressions can fail a build.
+ *
+ * Usage: node cli/hit-region-audit.mjs [options] <url-or-file>...
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import ChromiumSession, { findChromium, withTimeout } from './ChromiumSession.mjs';
+import ModuleServer from './ModuleServer.mjs';
+import {
+  REPORT_FILES,
+  REPORT_FORMAT_VERSION,
+  formatIdentifier,
+  formatViewport,
+  writeReports
+} from './ReportWriter.mjs';
+
+/**
+ * Exit codes
+ */
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+/**
+ * WCAG 2.5.8 Target Size (Minimum), the default size threshold
+ * Mirrors WCAG_MINIMUM_TARGET_SIZE in src/HitRegionAuditor.js, which only loads in a browser.
+ */
+const DEFAULT_MIN_SIZE = 24;
+
+/**
+ * Settings the CLI uses unless the config file or flags say otherwise
+ * Finer and wider than the extension's defaults: sizes are measured to the resolution,
+ * and builds should check the whole page, not just the first screen.
+ */
+const CLI_SETTINGS = {
+  samplingResolution: 2,
+  samplingScope: 'document'
+};
+
+const USAGE = `Usage: node cli/hit-region-audit.mjs [options] <url-or-file>...
+
+Audits the hit regions of every interactive element on each page and writes reports.
+
+Options:
+  --viewport <WxH[@dpr]>   Viewport to audit at; repeat for several (default: 1280x800)
+  --resolution <px>        Pixels between sample points (default: 2)
+  --scope <scope>          viewport or document (default: document)
+  --strategy <strategy>    grid, adaptive or geometry (default: grid)
+  --config <file>          JSON file with extension settings, e.g. interactivePresets and customRules
+  --min-size <px>          Fail targets whose hit region is narrower or shorter (default: 24)
+  --min-coverage <pct>     Fail targets with less of their box clickable (default: 0, off)
+  --format <list>          Comma-separated report formats: json, junit, html (default: all)
+  --out <dir>              Report directory (default: hit-region-report)
+  --wait <ms>              Extra time to wait after the load event (default: 0)
+  --timeout <ms>           Time limit for loading and for calculating each page (default: 30000)
+  --chromium <path>        Browser executable (default: $CHROME_PATH, then Chrome or Chromium on PATH)
+  -h, --help               Show this help
+
+Exit codes: 0 all targets pass, 1 some targets fail, 2 a page or the run itself failed.`;
+
+/**
+ * Parses a viewport such as '1280x800' or '375x667@2'
+ * @param {string} value - The viewport argument
+ * @returns {{width: number, height: number, devicePixelRatio: number}} The viewport
+ * @throws {Error} If the value is malformed
+ */
+export function parseViewport(value) {
+  const match = /^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?)x?)?$/.exec(value.trim());
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid viewport "${value}", expected WIDTHxHEIGHT or WIDTHxHEIGHT@DPR`);
+  }
+  return {
+    width: Number(match[1]),
+    height: Number(match[2]),
+    devicePixelRatio: match[3] ? Number(match[3]) : 1
+  };
+}
+
+/**
+ * Parses a non-negative number argument
+ * @param {string} value - The argument
+ * @param {string} name - Option name for error messages
+ * @returns {number} The number
+ * @throws {Error} If the value is not a non-negative number
+ */
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`--${name} must be a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Turns a command line input into a URL
+ * Existing paths become file URLs; anything else must already be a URL.
+ * @param {string} input - URL or path to an HTML file
+ * @returns {string} The URL to load
+ * @throws {Error} If the input is neither
+ */
+export function resolveInput(input) {
+  if (existsSync(input)) {
+    return pathToFileURL(resolve(input)).href;
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(input)) {
+    return input;
+  }
+  throw new Error(`"${input}" is neither a URL nor an existing file`);
+}
+
+/**
+ * Checks a target against the thresholds
+ * @param {Object} target - Serialized audit entry
+ * @param {{minSize: number, minCoverage: number}} thresholds - Thresholds to check
+ * @returns {string[]} Failure descriptions; empty if the target passes
+ */
+export function checkTarget(target, thresholds) {
+  const failures = [];
+
+  if (!target.hitBounds) {
+    failures.push('No hit region');
+  } else {
+    const size = Math.min(target.hitBounds.width, target.hitBounds.height);
+    if (size < thresholds.minSize) {
+      failures.push(
+        `Hit region ${Math.round(target.hitBounds.width)}×${Math.round(target.hitBounds.height)}px ` +
+        `is smaller than ${thresholds.minSize}px`
+      );
+    }
+  }
+
+  if (thresholds.minCoverage > 0 && target.coverage !== null && target.coverage < thresholds.minCoverage) {
+    failures.push(`Coverage ${target.coverage.toFixed(1)}% is below ${thresholds.minCoverage}%`);
+  }
+
+  return failures;
+}
+
+/**
+ * Reads the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<Object|null>} Run options, or null if help was requested
+ * @throws {Error} If the arguments are invalid
+ */
+async function readOptions(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      viewport: { type: 'string', multiple: true },
+      resolution: { type: 'string' },
+      scope: { type: 'string' },
+      strategy: { type: 'string' },
+      config: { type: 'string' },
+      'min-size': { type: 'string' },
+      'min-coverage': { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      wait: { type: 'string' },
+      timeout: { type: 'string' },
+      chromium: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    return null;
+  }
+  if (positionals.length === 0) {
+    throw new Error('No URLs or files given');
+  }
+
+  let fileSettings = {};
+  if (values.config) {
+    try {
+      fileSettings = JSON.parse(await readFile(values.config, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read --config ${values.config}: ${error.message}`);
+    }
+  }
+
+  const settings = { ...CLI_SETTINGS, ...fileSettings };
+  if (values.resolution !== undefined) {
+    settings.samplingResolution = parseNumber(values.resolution, 'resolution');
+  }
+  if (values.scope !== undefined) {
+    settings.samplingScope = values.scope;
+  }
+  if (values.strategy !== undefined) {
+    settings.samplingStrategy = values.strategy;
+  }
+
+  const formats = values.format ? values.format.split(',').map(format => format.trim()) : Object.keys(REPORT_FILES);
+  const unknownFormat = formats.find(format => !REPORT_FILES[format]);
+  if (unknownFormat) {
+    throw new Error(`Unknown report format "${unknownFormat}"`);
+  }
+
+  return {
+    inputs: positionals.map(input => ({ input, url: resolveInput(input) })),
+    viewports: (values.viewport || ['1280x800']).map(parseViewport),
+    settings,
+    thresholds: {
+      minSize: values['min-size'] !== undefined ? parseNumber(values['min-size'], 'min-size') : DEFAULT_MIN_SIZE,
+      minCoverage: values['min-coverage'] !== undefined ? parseNumber(values['min-coverage'], 'min-coverage') : 0
+    },
+    formats,
+    out: values.out || 'hit-region-report',
+    wait: values.wait !== undefined ? parseNumber(values.wait, 'wait') : 0,
+    timeout: values.timeout !== undefined ? parseNumber(values.timeout, 'timeout') : 30000,
+    chromium: values.chromium
+  };
+}
+
+/**
+ * Loads a page at a viewport size and audits it
+ * @param {ChromiumSession} browser - The browser session
+ * @param {string} url - Page to load
+ * @param {{width: number, height: number, devicePixelRatio: number}} viewport - Viewport to emulate
+ * @param {string} auditModuleUrl - URL of cli/PageAudit.js on the module server
+ * @param {Object} options - Run options from readOptions()
+ * @returns {Promise<PageAuditResult>} The audit result
+ * @throws {Error} If the page fails to load or the audit fails
+ */
+async function auditPage(browser, url, viewport, auditModuleUrl, options) {
+  const { targetId, sessionId } = await browser.openPage();
+
+  try {
+    const send = (method, params) => browser.send(method, params, sessionId);
+
+    await send('Page.enable');
+    // The page imports the audit modules from the module server, which a strict CSP would block
+    await send('Page.setBypassCSP', { enabled: true });
+    await send('Emulation.setDeviceMetricsOverride', {
+      width: viewport.width,
+      height: viewport.height,
+      deviceScaleFactor: viewport.devicePixelRatio,
+      mobile: false
+    });
+
+    const loaded = browser.waitForEvent('Page.loadEventFired', sessionId);
+    const navigation = await send('Page.navigate', { url });
+    if (navigation.errorText) {
+      throw new Error(`Could not load ${url}: ${navigation.errorText}`);
+    }
+    await withTimeout(loaded, options.timeout, `${url} did not finish loading within ${options.timeout}ms`);
+
+    if (options.wait > 0) {
+      await new Promise(resolveWait => setTimeout(resolveWait, options.wait));
+    }
+
+    const expression =
+      `import(${JSON.stringify(auditModuleUrl)})` +
+      `.then(module => module.runAudit(${JSON.stringify(options.settings)}, ${options.timeout}))`;
+    const evaluation = await withTimeout(
+      send('Runtime.evaluate', { expression, awaitPromise: true, returnByValue: true }),
+      options.timeout + 5000,
+      `Auditing ${url} did not finish within ${options.timeout}ms`
+    );
+
+    if (evaluation.exceptionDetails) {
+      const details = evaluation.exceptionDetails;
+      throw new Error((details.exception && details.exception.description) || details.text);
+    }
+    return evaluation.result.value;
+  } finally {
+    await browser.closePage(targetId);
+  }
+}
+
+/**
+ * Audits every input at every viewport
+ * @param {Object} options - Run options from readOptions()
+ * @returns {Promise<Report>} The report
+ * @throws {Error} If the browser or module server cannot be started
+ */
+async function run(options) {
+  const executablePath = findChromium(options.chromium);
+  if (!executablePath) {
+    throw new Error('Chrome or Chromium not found; pass --chromium or set CHROME_PATH');
+  }
+
+  const report = {
+    version: REPORT_FORMAT_VERSION,
+    timestamp: new Date().toISOString(),
+    thresholds: options.thresholds,
+    settings: options.settings,
+    summary: { pages: 0, targets: 0, failures: 0, errors: 0 },
+    pages: []
+  };
+
+  const server = new ModuleServer(resolve(dirname(fileURLToPath(import.meta.url)), '..'));
+  const origin = await server.start();
+  let browser = null;
+
+  try {
+    browser = await ChromiumSession.launch(executablePath);
+
+    for (const { input, url } of options.inputs) {
+      for (const viewport of options.viewports) {
+        const page = { input, viewport, error: null, result: null, targets: [] };
+        const name = `${input} @ ${formatViewport(viewport)}`;
+
+        try {
+          page.result = await auditPage(browser, url, viewport, `${origin}/cli/PageAudit.js`, options);
+          page.targets = page.result.targets.map(target => ({
+            ...target,
+            failures: checkTarget(target, options.thresholds)
+          }));
+          // Targets are kept once, next to their failures
+          delete page.result.targets;
+        } catch (error) {
+          page.error = error.message;
+        }
+
+        report.pages.push(page);
+        report.summary.pages++;
+        printPage(name, page);
+
+        if (page.error) {
+          report.summary.errors++;
+        } else {
+          report.summary.targets += page.targets.length;
+          report.summary.failures += page.targets.filter(target => target.failures.length > 0).length;
+        }
+      }
+    }
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+    await server.stop();
+  }
+
+  return report;
+}
+
+/**
+ * Prints the outcome for one page
+ * @param {string} name - Input and viewport
+ * @param {ReportPage} page - The page entry
+ */
+function printPage(name, page) {
+  if (page.error) {
+    console.error(`✗ ${name}: ${page.error}`);
+    return;
+  }
+
+  const failing = page.targets.filter(target => target.failures.length > 0);
+  if (failing.length === 0) {
+    console.log(`✓ ${name}: ${page.targets.length} targets`);
+    return;
+  }
+
+  console.log(`✗ ${name}: ${failing.length} of ${page.targets.length} targets failing`);
+  for (const target of failing) {
+    console.log(`    ${target.label} (${formatIdentifier(target.identifier)}): ${target.failures.join('; ')}`);
+  }
+}
+
+/**
+ * Runs the CLI
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(args) {
+  let options;
+  try {
+    options = await readOptions(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (!options) {
+    console.log(USAGE);
+    return EXIT_PASSED;
+  }
+
+  try {
+    const report = await run(options);
+    const paths = await writeReports(report, options.out, options.formats);
+    console.log(`Reports written: ${paths.join(', ')}`);
+
+    if (report.summary.errors > 0) {
+      return EXIT_ERROR;
+    }
+    return report.summary.failures > 0 ? EXIT_FAILED : EXIT_PASSED;
+  } catch (error) {
+    console.error('Hit region audit failed:', error.message);
+    return EXIT_ERROR;
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
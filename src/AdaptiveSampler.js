@@ -0,0 +1,162 @@
+/**
+ * Adaptive Sampler
+ * Quadtree sampling strategy: starts with coarse cells and only subdivides cells whose
+ * sample points disagree, so whitespace costs a few elementFromPoint calls per cell while
+ * edges are resolved down to the map's resolution
+ *
+ * The result is the same grid the uniform sampler produces, with the same accuracy: edges
+ * are only as precise as the resolution, and targets no grid point lands on are missed.
+ */
+
+import { createCoordinate } from './models/Coordinate.js';
+import {
+  createRect,
+  clientRectToDocumentRect,
+  intersectRects,
+  isEmptyRect,
+  rectContainsRect
+} from './models/Rect.js';
+
+/**
+ * Default size of the initial cells in CSS pixels
+ * Rounded down to a power-of-two multiple of the resolution
+ * @type {number}
+ */
+export const DEFAULT_COARSE_STEP = 64;
+
+/**
+ * Collects the boxes of interactive elements that overlap a rect
+ * Cells crossing a box edge are always subdivided, so targets smaller than a coarse cell,
+ * which no corner would hit, are still found
+ * @param {Rect} bounds - Document-space rect being sampled
+ * @param {Element[]} elements - Interactive elements, from RectSampler.findTargets()
+ * @returns {Rect[]} Document-space boxes, one per client rect (wrapped inline elements have several)
+ */
+export function collectTargetRects(bounds, elements) {
+  const rects = [];
+
+  for (const element of elements) {
+    for (const clientRect of element.getClientRects()) {
+      const rect = clientRectToDocumentRect(clientRect);
+      if (!isEmptyRect(rect) && intersectRects(rect, bounds)) {
+        rects.push(rect);
+      }
+    }
+  }
+
+  return rects;
+}
+
+/**
+ * Adaptive sampling strategy
+ * Cells are half-open ranges of grid points. A cell whose four corners and center resolve
+ * to the same element, and which no target box edge crosses, is filled with that element
+ * without further sampling. Other cells are split into quadrants until they hold a single
+ * grid point. Every probe lies inside the cell being processed, and quadrants partition
+ * their parent, so each grid point is resolved exactly once.
+ * @param {HitRegionMap} hitRegionMap - The map to add coordinates to (its resolution is the finest step)
+ * @param {Rect} bounds - Document-space rect to sample
+ * @param {RectSampler} sampler - Sampler for the rect, see HitRegionCalculator
+ * @param {Object} options - Optional configuration
+ * @param {number} options.coarseStep - Initial cell size in pixels (default: 64)
+ * @param {Rect[]} options.targetRects - Target boxes (default: collectTargetRects() of the sampler's targets)
+ * @returns {Promise<{probes: number, points: number}>} elementFromPoint samples taken and grid points resolved
+ */
+export async function sampleAdaptive(hitRegionMap, bounds, sampler, options = {}) {
+  const resolution = hitRegionMap.resolution;
+  const { coarseStep = DEFAULT_COARSE_STEP } = options;
+  const targetRects = options.targetRects || collectTargetRects(bounds, sampler.findTargets());
+
+  // Initial cell size in grid points, a power of two so quadrants split evenly
+  const cellSize = 2 ** Math.max(0, Math.floor(Math.log2(coarseStep / resolution)));
+
+  // Grid index ranges, matching iterateCoordinateGrid()
+  const colStart = Math.ceil(bounds.x / resolution);
+  const colEnd = Math.ceil((bounds.x + bounds.width) / resolution);
+  const rowStart = Math.ceil(bounds.y / resolution);
+  const rowEnd = Math.ceil((bounds.y + bounds.height) / resolution);
+
+  // Parents' corners are children's corners too, so remember every probe
+  const probes = new Map();
+  const probe = (col, row) => {
+    const key = `${col},${row}`;
+    if (!probes.has(key)) {
+      probes.set(key, sampler.sample(createCoordinate(col * resolution, row * resolution)));
+    }
+    return probes.get(key);
+  };
+
+  const fill = (cell, element) => {
+    if (element) {
+      for (let col = cell.col0; col < cell.col1; col++) {
+        for (let row = cell.row0; row < cell.row1; row++) {
+          hitRegionMap.addCoordinate(element, createCoordinate(col * resolution, row * resolution));
+        }
+      }
+    }
+    sampler.progress((cell.col1 - cell.col0) * (cell.row1 - cell.row0));
+  };
+
+  // Cells are processed depth-first, in reading order
+  const stack = [];
+  for (let row0 = rowEnd - cellSize; row0 > rowStart - cellSize; row0 -= cellSize) {
+    for (let col0 = colEnd - cellSize; col0 > colStart - cellSize; col0 -= cellSize) {
+      stack.push({
+        col0: Math.max(col0, colStart),
+        row0: Math.max(row0, rowStart),
+        col1: col0 + cellSize,
+        row1: row0 + cellSize,
+        targets: targetRects
+      });
+    }
+  }
+
+  while (stack.length > 0) {
+    if (sampler.shouldPause()) {
+      await sampler.pause();
+    }
+
+    const cell = stack.pop();
+    const { col0, row0, col1, row1 } = cell;
+    const owner = probe(col0, row0);
+
+    if (col1 - col0 === 1 && row1 - row0 === 1) {
+      fill(cell, owner);
+      continue;
+    }
+
+    // Target boxes crossing the cell force a split; boxes covering it entirely don't
+    const cellRect = createRect(col0 * resolution, row0 * resolution, (col1 - col0) * resolution, (row1 - row0) * resolution);
+    const targets = cell.targets.filter(target => intersectRects(target, cellRect));
+    const crossesTarget = targets.some(target => !rectContainsRect(target, cellRect));
+
+    const uniform = !crossesTarget && [
+      [col1 - 1, row0],
+      [col0, row1 - 1],
+      [col1 - 1, row1 - 1],
+      [(col0 + col1 - 1) >> 1, (row0 + row1 - 1) >> 1]
+    ].every(([col, row]) => probe(col, row) === owner);
+
+    if (uniform) {
+      fill(cell, owner);
+      continue;
+    }
+
+    // Split into quadrants; cells one point wide or tall split in two
+    const colMid = col0 + Math.ceil((col1 - col0) / 2);
+    const rowMid = row0 + Math.ceil((row1 - row0) / 2);
+    for (const [c0, r0, c1, r1] of [
+      [colMid, rowMid, col1, row1],
+      [col0, rowMid, colMid, row1],
+      [colMid, row0, col1, rowMid],
+      [col0, row0, colMid, rowMid]
+    ]) {
+      if (c1 > c0 && r1 > r0) {
+        stack.push({ col0: c0, row0: r0, col1: c1, row1: r1, targets });
+      }
+    }
+  }
+
+  const points = (colEnd - colStart) * (rowEnd - rowStart);
+  return { probes: probes.size, points };
+}
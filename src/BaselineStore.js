@@ -0,0 +1,149 @@
+/**
+ * Baseline Store
+ * Saves named snapshots of a page's hit regions in chrome.storage.local, to diff later runs against
+ *
+ * A baseline is a buildExportData() document with a name. Baselines are stored per page and
+ * frame: one storage key per URL and position in the frame tree, so frames never write the
+ * same key, even when several of them load the same URL.
+ */
+
+/**
+ * Prefix of the storage keys; the page URL follows it, then the frame path in child frames
+ * @type {string}
+ */
+export const BASELINE_KEY_PREFIX = 'hitRegionBaselines:';
+
+/**
+ * Largest number of baselines kept per page; saving another drops the oldest
+ * @type {number}
+ */
+export const MAX_BASELINES_PER_PAGE = 20;
+
+/**
+ * Summary of a stored baseline
+ * @typedef {Object} BaselineSummary
+ * @property {string} name - Baseline name
+ * @property {string} timestamp - ISO time the baseline was taken
+ * @property {number} resolution - Sampling resolution
+ * @property {number} elementCount - Number of elements in the baseline
+ */
+
+/**
+ * Gets the URL baselines of a page are stored under
+ * The fragment is dropped, since it doesn't load another document.
+ * @param {string} url - The page URL
+ * @returns {string} The URL without its fragment
+ */
+export function getBaselinePageUrl(url) {
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+/**
+ * BaselineStore reads and writes the baselines of one page in one frame
+ */
+export default class BaselineStore {
+  /**
+   * @param {string} url - The page URL
+   * @param {string} [framePath=''] - Position of the frame, from getFramePath(); '' for the top-level frame
+   * @param {chrome.storage.StorageArea} [storageArea] - Where baselines are kept (default: chrome.storage.local)
+   */
+  constructor(url, framePath = '', storageArea = chrome.storage.local) {
+    // The top-level frame's key is the URL alone, as before frames were told apart
+    this.key = BASELINE_KEY_PREFIX + getBaselinePageUrl(url) + (framePath ? ` @frame ${framePath}` : '');
+    this.storageArea = storageArea;
+  }
+
+  /**
+   * Reads every baseline of the page
+   * @returns {Promise<Object<string, Object>>} Baselines by name
+   */
+  async readAll() {
+    try {
+      const result = await this.storageArea.get(this.key);
+      return result[this.key] || {};
+    } catch (error) {
+      console.error('Failed to load baselines:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Lists the page's baselines, newest first
+   * @returns {Promise<BaselineSummary[]>} Baseline summaries
+   */
+  async list() {
+    const baselines = await this.readAll();
+    return Object.values(baselines)
+      .map(baseline => ({
+        name: baseline.name,
+        timestamp: baseline.timestamp,
+        resolution: baseline.resolution,
+        elementCount: Object.keys(baseline.elements).length
+      }))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * Loads a baseline
+   * @param {string} name - Baseline name
+   * @returns {Promise<Object|null>} The baseline, or null if there is none by that name
+   */
+  async load(name) {
+    const baselines = await this.readAll();
+    return baselines[name] || null;
+  }
+
+  /**
+   * Saves a baseline, replacing one with the same name
+   * @param {string} name - Baseline name
+   * @param {Object} data - Document from buildExportData()
+   * @returns {Promise<Object>} The saved baseline
+   * @throws {Error} If the name is empty or storage fails
+   */
+  async save(name, data) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Baseline name is required');
+    }
+
+    const baselines = await this.readAll();
+    const baseline = { ...data, name: name.trim() };
+    baselines[baseline.name] = baseline;
+
+    // Keep the newest baselines within the limit
+    const names = Object.keys(baselines)
+      .sort((a, b) => baselines[b].timestamp.localeCompare(baselines[a].timestamp));
+    for (const oldName of names.slice(MAX_BASELINES_PER_PAGE)) {
+      console.warn(`Dropping oldest baseline "${oldName}"`);
+      delete baselines[oldName];
+    }
+
+    try {
+      await this.storageArea.set({ [this.key]: baselines });
+    } catch (error) {
+      console.error('Failed to save baseline:', error);
+      throw error;
+    }
+    return baseline;
+  }
+
+  /**
+   * Deletes a baseline
+   * @param {string} name - Baseline name
+   * @returns {Promise<boolean>} True if a baseline was deleted
+   */
+  async remove(name) {
+    const baselines = await this.readAll();
+    if (!baselines[name]) {
+      return false;
+    }
+
+    delete baselines[name];
+    if (Object.keys(baselines).length === 0) {
+      await this.storageArea.remove(this.key);
+    } else {
+      await this.storageArea.set({ [this.key]: baselines });
+    }
+    return true;
+  }
+}
@@ -3,14 +3,123 @@
  * 
  * Responsibilities:
  * - Create and manage canvas overlay element
- * - Render hit regions as visual overlays
+ * - Render hit regions as visual overlays, in named layers that can be combined
+ * - Translate document-space coordinates to the viewport as the page scrolls
+ * - Match the canvas backing store to the device pixel ratio and pinch zoom, so the overlay stays sharp
  * - Clear and destroy canvas when needed
  */
 
+import { traceContours } from './ContourTracer.js';
+
+/**
+ * Supported hit region render modes
+ * - dots: a small circle at each sampled coordinate
+ * - cells: each sampled coordinate's grid cell filled
+ * - outline: filled polygons with contour outlines, traced with marching squares
+ * - heatmap: each coordinate's grid cell filled in the coordinate's own color ({x, y, color})
+ * - circles: a circle of each coordinate's radius ({x, y, radius}), lightly filled and outlined
+ * - diff: cells gained since a baseline ({x, y, added: true}) filled, the outline of cells lost
+ *   ({x, y, added: false}) dashed in options.removedColor
+ */
+export const RENDER_MODES = ['dots', 'cells', 'outline', 'heatmap', 'circles', 'diff'];
+
+/**
+ * Largest canvas backing store, in device pixels
+ * Deep pinch zoom on a HiDPI screen would otherwise ask for a canvas of hundreds of megapixels.
+ * @type {number}
+ */
+export const MAX_CANVAS_PIXELS = 4096 * 4096;
+
+/**
+ * Gets the number of canvas pixels per CSS pixel that keeps the overlay sharp
+ * The overlay is fixed to the layout viewport, so pinch zoom magnifies it like the page;
+ * the backing store is scaled up by the zoom as well, within MAX_CANVAS_PIXELS.
+ * @param {number} width - Overlay width in CSS pixels
+ * @param {number} height - Overlay height in CSS pixels
+ * @returns {number} Pixel ratio for the canvas backing store
+ */
+export function getCanvasPixelRatio(width, height) {
+  const deviceRatio = window.devicePixelRatio || 1;
+  const pinchScale = window.visualViewport ? Math.max(1, window.visualViewport.scale) : 1;
+  const ratio = deviceRatio * pinchScale;
+  const area = width * height;
+
+  if (area > 0 && area * ratio * ratio > MAX_CANVAS_PIXELS) {
+    return Math.sqrt(MAX_CANVAS_PIXELS / area);
+  }
+  return ratio;
+}
+
+/**
+ * Groups heatmap coordinates by color
+ * @param {Array<{x: number, y: number, color: string}>} coordinates - Colored coordinates
+ * @param {string} fallbackColor - Color for coordinates without a valid color
+ * @returns {Map<string, Array<{x: number, y: number}>>} Color -> coordinates
+ */
+function groupByColor(coordinates, fallbackColor) {
+  const groups = new Map();
+
+  for (const coord of coordinates) {
+    if (!coord || typeof coord.x !== 'number' || typeof coord.y !== 'number') {
+      continue;
+    }
+
+    const color = typeof coord.color === 'string' && /^#[0-9A-Fa-f]{6}$/.test(coord.color)
+      ? coord.color
+      : fallbackColor;
+    if (!groups.has(color)) {
+      groups.set(color, []);
+    }
+    groups.get(color).push(coord);
+  }
+
+  return groups;
+}
+
+/**
+ * Splits diff coordinates into gained cells and the contours of lost cells
+ * @param {Array<{x: number, y: number, added: boolean}>} coordinates - Diff coordinates
+ * @param {number} resolution - Pixels between sample points
+ * @param {string} removedColor - Color of lost cells
+ * @returns {{added: Coordinate[], removedContours: Array<Coordinate[]>, removedColor: string}} Drawing state
+ */
+function splitDiff(coordinates, resolution, removedColor) {
+  const added = [];
+  const removed = [];
+
+  for (const coord of coordinates) {
+    if (!coord || typeof coord.x !== 'number' || typeof coord.y !== 'number') {
+      continue;
+    }
+    (coord.added ? added : removed).push(coord);
+  }
+
+  if (typeof removedColor !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(removedColor)) {
+    console.warn(`Invalid removed color: ${removedColor}, using default`);
+    removedColor = '#ff0000';
+  }
+
+  return { added, removedContours: traceContours(removed, resolution), removedColor };
+}
+
 class CanvasRenderer {
   constructor() {
     this.canvas = null;
     this.ctx = null;
+    
+    // Named render layers, drawn by order then insertion order and redrawn at the new scroll offset on scroll
+    this.layers = new Map();
+    this.pendingFrame = null;
+    this.handleScroll = this.handleScroll.bind(this);
+
+    // Overlay size in CSS pixels and canvas pixels per CSS pixel
+    this.viewportWidth = 0;
+    this.viewportHeight = 0;
+    this.pixelRatio = 1;
+    // Media query that stops matching when the device pixel ratio changes (browser zoom, emulation, another screen)
+    this.pixelRatioQuery = null;
+    this.handlePixelRatioChange = this.handlePixelRatioChange.bind(this);
+    this.handleViewportResize = this.handleViewportResize.bind(this);
   }
 
   /**
@@ -40,9 +149,8 @@ class CanvasRenderer {
         throw new Error('Failed to create canvas element');
       }
       
-      // Set canvas dimensions to match viewport
-      this.canvas.width = window.innerWidth;
-      this.canvas.height = window.innerHeight;
+      // content.js ignores mutations that only add or remove the extension's own nodes
+      this.canvas.id = 'hit-region-overlay';
       
       // Style the canvas overlay
       this.canvas.style.position = 'fixed';
@@ -50,8 +158,9 @@ class CanvasRenderer {
       this.canvas.style.left = '0';
       this.canvas.style.zIndex = '2147483647'; // Maximum z-index value
       this.canvas.style.pointerEvents = 'none'; // Don't block interactions
-      this.canvas.style.width = '100%';
-      this.canvas.style.height = '100%';
+      
+      // Size the canvas to the viewport, in device pixels
+      this.resizeCanvas();
       
       // Get 2D rendering context
       this.ctx = this.canvas.getContext('2d');
@@ -63,6 +172,14 @@ class CanvasRenderer {
       // Append to document body
       document.body.appendChild(this.canvas);
       
+      // The overlay is fixed, so coordinates must be re-projected when the page scrolls
+      window.addEventListener('scroll', this.handleScroll, { passive: true });
+      
+      // Pinch zoom changes how many device pixels a CSS pixel covers
+      if (window.visualViewport) {
+        window.visualViewport.addEventListener('resize', this.handleViewportResize);
+      }
+      
       return this.canvas;
     } catch (error) {
       console.error('Failed to create canvas overlay:', error);
@@ -75,14 +192,36 @@ class CanvasRenderer {
 
   /**
    * Renders a hit region by drawing at each coordinate
+   * Replaces everything currently drawn on the overlay
    * 
    * Requirements: 5.3, 5.4
    * 
-   * @param {Array<{x: number, y: number}>} coordinates - Array of coordinates to render
+   * @param {Array<{x: number, y: number}>} coordinates - Array of document-space coordinates to render
+   * @param {string} color - Hex color code (e.g., '#00ff00')
+   * @param {number} opacity - Opacity value between 0.0 and 1.0
+   * @param {Object} options - Optional rendering options
+   * @param {'dots'|'cells'|'outline'|'heatmap'|'circles'|'diff'} options.mode - Render mode (default: 'dots')
+   * @param {number} options.resolution - Pixels between sample points, used by 'cells', 'outline' and 'diff' (default: 10)
+   * @param {number} options.order - Stacking order; layers with a higher order are drawn on top (default: 0)
+   * @param {string} options.removedColor - Hex color of lost cells in 'diff' mode (default: '#ff0000')
+   */
+  renderHitRegion(coordinates, color = '#00ff00', opacity = 0.3, options = {}) {
+    // Clear previous rendering
+    this.clear();
+    this.setLayer('hitRegion', coordinates, color, opacity, options);
+  }
+
+  /**
+   * Adds or replaces a named layer on the overlay, keeping other layers
+   * Layers are drawn by options.order; layers with the same order in the order they were first added
+   * 
+   * @param {string} name - Layer name (e.g., 'hitRegion', 'occlusion')
+   * @param {Array<{x: number, y: number}>} coordinates - Array of document-space coordinates to render
    * @param {string} color - Hex color code (e.g., '#00ff00')
    * @param {number} opacity - Opacity value between 0.0 and 1.0
+   * @param {Object} options - Optional rendering options, as for renderHitRegion()
    */
-  renderHitRegion(coordinates, color = '#00ff00', opacity = 0.3) {
+  setLayer(name, coordinates, color = '#00ff00', opacity = 0.3, options = {}) {
     try {
       // Validate inputs
       if (!coordinates || !Array.isArray(coordinates)) {
@@ -92,6 +231,7 @@ class CanvasRenderer {
       
       if (coordinates.length === 0) {
         console.warn('No coordinates to render');
+        this.removeLayer(name);
         return;
       }
       
@@ -107,57 +247,351 @@ class CanvasRenderer {
         opacity = 0.3;
       }
       
+      let { mode = 'dots', resolution = 10, order = 0, removedColor = '#ff0000' } = options;
+      
+      // Validate render mode
+      if (!RENDER_MODES.includes(mode)) {
+        console.warn(`Invalid render mode: ${mode}, using default`);
+        mode = 'dots';
+      }
+      
       // Ensure canvas exists
       if (!this.canvas) {
         this.createOverlay();
       }
 
-      // Clear previous rendering
-      this.clear();
-
-      // Use requestAnimationFrame for smooth rendering
-      requestAnimationFrame(() => {
-        if (!this.ctx) {
-          console.error('Cannot render: rendering context not available');
-          return;
-        }
-
-        try {
-          // Set rendering style
-          this.ctx.fillStyle = color;
-          this.ctx.globalAlpha = opacity;
-
-          // Draw at each coordinate
-          for (const coord of coordinates) {
-            if (!coord || typeof coord.x !== 'number' || typeof coord.y !== 'number') {
-              console.warn('Skipping invalid coordinate:', coord);
-              continue;
-            }
-            
-            // Draw small circle at each coordinate point
-            this.ctx.beginPath();
-            this.ctx.arc(coord.x, coord.y, 1, 0, Math.PI * 2);
-            this.ctx.fill();
-          }
-
-          // Reset global alpha
-          this.ctx.globalAlpha = 1.0;
-        } catch (renderError) {
-          console.error('Error during rendering:', renderError);
-        }
+      this.layers.set(name, {
+        coordinates,
+        color,
+        opacity,
+        mode,
+        resolution,
+        order,
+        // Contours are traced and heatmap cells grouped once in document space, and only translated on scroll
+        contours: mode === 'outline' ? traceContours(coordinates, resolution) : null,
+        cellsByColor: mode === 'heatmap' ? groupByColor(coordinates, color) : null,
+        diff: mode === 'diff' ? splitDiff(coordinates, resolution, removedColor) : null
       });
+
+      this.scheduleDraw();
     } catch (error) {
       console.error('Failed to render hit region:', error);
     }
   }
 
+  /**
+   * Removes a named layer from the overlay
+   * 
+   * @param {string} name - Layer name
+   */
+  removeLayer(name) {
+    if (this.layers.delete(name)) {
+      this.scheduleDraw();
+    }
+  }
+
+  /**
+   * Checks if a named layer is currently drawn
+   * 
+   * @param {string} name - Layer name
+   * @returns {boolean} True if the layer exists
+   */
+  hasLayer(name) {
+    return this.layers.has(name);
+  }
+
+  /**
+   * Schedules a redraw on the next animation frame
+   * Multiple requests within a frame are coalesced into one redraw
+   */
+  scheduleDraw() {
+    if (this.pendingFrame) {
+      return;
+    }
+
+    // Use requestAnimationFrame for smooth rendering
+    this.pendingFrame = requestAnimationFrame(() => {
+      this.pendingFrame = null;
+      if (!this.ctx) {
+        console.error('Cannot render: rendering context not available');
+        return;
+      }
+      this.draw();
+    });
+  }
+
+  /**
+   * Draws all layers at the current scroll offset
+   * Coordinates are in document space, so the context is scaled to CSS pixels and
+   * translated by the scroll position
+   */
+  draw() {
+    if (!this.ctx) {
+      return;
+    }
+
+    try {
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+      // Array.prototype.sort is stable, so equal orders keep insertion order
+      const layers = [...this.layers.values()].sort((a, b) => a.order - b.order);
+
+      for (const layer of layers) {
+        this.ctx.save();
+        this.ctx.scale(this.pixelRatio, this.pixelRatio);
+        this.ctx.translate(-window.scrollX, -window.scrollY);
+
+        // Set rendering style
+        this.ctx.fillStyle = layer.color;
+        this.ctx.strokeStyle = layer.color;
+        this.ctx.globalAlpha = layer.opacity;
+
+        if (layer.mode === 'cells') {
+          this.drawCells(layer);
+        } else if (layer.mode === 'outline') {
+          this.drawOutline(layer);
+        } else if (layer.mode === 'heatmap') {
+          this.drawHeatmap(layer);
+        } else if (layer.mode === 'circles') {
+          this.drawCircles(layer);
+        } else if (layer.mode === 'diff') {
+          this.drawDiff(layer);
+        } else {
+          this.drawDots(layer);
+        }
+
+        // Reset transform and global alpha
+        this.ctx.restore();
+      }
+    } catch (renderError) {
+      console.error('Error during rendering:', renderError);
+    }
+  }
+
+  /**
+   * Draws a small circle at each sampled coordinate
+   * Points outside the viewport are skipped
+   * @param {Object} render - The render state to draw
+   */
+  drawDots({ coordinates }) {
+    const left = window.scrollX - 1;
+    const top = window.scrollY - 1;
+    const right = left + this.viewportWidth + 2;
+    const bottom = top + this.viewportHeight + 2;
+
+    for (const coord of coordinates) {
+      if (!coord || typeof coord.x !== 'number' || typeof coord.y !== 'number') {
+        console.warn('Skipping invalid coordinate:', coord);
+        continue;
+      }
+      
+      if (coord.x < left || coord.y < top || coord.x > right || coord.y > bottom) {
+        continue;
+      }
+      
+      this.ctx.beginPath();
+      this.ctx.arc(coord.x, coord.y, 1, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+  }
+
+  /**
+   * Fills the grid cell around each sampled coordinate
+   * All cells go into one path so overlapping edges don't darken
+   * @param {Object} render - The render state to draw
+   */
+  drawCells({ coordinates, resolution }) {
+    const half = resolution / 2;
+
+    this.ctx.beginPath();
+    for (const coord of coordinates) {
+      if (!coord || typeof coord.x !== 'number' || typeof coord.y !== 'number') {
+        continue;
+      }
+      this.ctx.rect(coord.x - half, coord.y - half, resolution, resolution);
+    }
+    this.ctx.fill();
+  }
+
+  /**
+   * Fills the traced region polygons and strokes their contours
+   * Uses the even-odd rule so holes cut out by overlapping elements stay empty
+   * @param {Object} render - The render state to draw
+   */
+  drawOutline({ contours, opacity }) {
+    if (!contours || contours.length === 0) {
+      return;
+    }
+
+    this.ctx.beginPath();
+    for (const polygon of contours) {
+      this.ctx.moveTo(polygon[0].x, polygon[0].y);
+      for (let i = 1; i < polygon.length; i++) {
+        this.ctx.lineTo(polygon[i].x, polygon[i].y);
+      }
+      this.ctx.closePath();
+    }
+
+    this.ctx.fill('evenodd');
+
+    // Keep the outline readable even at low fill opacity
+    this.ctx.globalAlpha = Math.min(1, opacity + 0.5);
+    this.ctx.lineWidth = 1.5;
+    this.ctx.stroke();
+  }
+
+  /**
+   * Fills the grid cell around each coordinate in the coordinate's color
+   * Cells of one color go into one path, so a heatmap takes one fill per color
+   * @param {Object} render - The render state to draw
+   */
+  drawHeatmap({ cellsByColor, resolution }) {
+    const half = resolution / 2;
+
+    for (const [color, cells] of cellsByColor) {
+      this.ctx.fillStyle = color;
+      this.ctx.beginPath();
+      for (const coord of cells) {
+        this.ctx.rect(coord.x - half, coord.y - half, resolution, resolution);
+      }
+      this.ctx.fill();
+    }
+  }
+
+  /**
+   * Draws a circle of each coordinate's radius, filled at the layer opacity and outlined
+   * Coordinates without a radius are skipped
+   * @param {Object} render - The render state to draw
+   */
+  drawCircles({ coordinates, opacity }) {
+    this.ctx.beginPath();
+    for (const coord of coordinates) {
+      if (!coord || typeof coord.radius !== 'number' || coord.radius <= 0) {
+        continue;
+      }
+      this.ctx.moveTo(coord.x + coord.radius, coord.y);
+      this.ctx.arc(coord.x, coord.y, coord.radius, 0, Math.PI * 2);
+    }
+    this.ctx.fill();
+
+    // Keep overlapping circles distinguishable
+    this.ctx.globalAlpha = Math.min(1, opacity + 0.5);
+    this.ctx.lineWidth = 2;
+    this.ctx.stroke();
+  }
+
+  /**
+   * Fills the cells gained since a baseline and dashes the outline of the cells lost
+   * Lost area is only outlined so it stays recognizable where other layers cover it
+   * @param {Object} render - The render state to draw
+   */
+  drawDiff({ diff, resolution, opacity }) {
+    const half = resolution / 2;
+
+    this.ctx.beginPath();
+    for (const coord of diff.added) {
+      this.ctx.rect(coord.x - half, coord.y - half, resolution, resolution);
+    }
+    this.ctx.fill();
+
+    if (diff.removedContours.length === 0) {
+      return;
+    }
+
+    this.ctx.beginPath();
+    for (const polygon of diff.removedContours) {
+      this.ctx.moveTo(polygon[0].x, polygon[0].y);
+      for (let i = 1; i < polygon.length; i++) {
+        this.ctx.lineTo(polygon[i].x, polygon[i].y);
+      }
+      this.ctx.closePath();
+    }
+    this.ctx.fillStyle = diff.removedColor;
+    this.ctx.strokeStyle = diff.removedColor;
+    this.ctx.globalAlpha = opacity / 2;
+    this.ctx.fill('evenodd');
+    this.ctx.globalAlpha = Math.min(1, opacity + 0.5);
+    this.ctx.lineWidth = 1.5;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.stroke();
+  }
+
+  /**
+   * Re-projects the drawn layers after the page scrolls
+   * Throttled to one redraw per animation frame
+   */
+  handleScroll() {
+    if (this.layers.size > 0) {
+      this.scheduleDraw();
+    }
+  }
+
+  /**
+   * Resizes the backing store when the device pixel ratio changes
+   * The media query only matches the old ratio, so a new one is set up for the next change.
+   */
+  handlePixelRatioChange() {
+    if (this.canvas && this.pixelRatio !== getCanvasPixelRatio(this.viewportWidth, this.viewportHeight)) {
+      this.updateDimensions();
+    } else {
+      this.watchPixelRatio();
+    }
+  }
+
+  /**
+   * Resizes the backing store when pinch zoom changes the visual viewport's scale
+   * Pinch gestures fire many resize events, so the canvas is only resized when the ratio changes.
+   */
+  handleViewportResize() {
+    if (this.canvas && this.pixelRatio !== getCanvasPixelRatio(this.viewportWidth, this.viewportHeight)) {
+      this.updateDimensions();
+    }
+  }
+
+  /**
+   * Listens for the next device pixel ratio change
+   */
+  watchPixelRatio() {
+    if (this.pixelRatioQuery) {
+      this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+      this.pixelRatioQuery = null;
+    }
+    if (!this.canvas || typeof window.matchMedia !== 'function') {
+      return;
+    }
+
+    this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this.pixelRatioQuery.addEventListener('change', this.handlePixelRatioChange);
+  }
+
+  /**
+   * Sizes the canvas to the viewport
+   * The element covers the layout viewport in CSS pixels; its backing store has
+   * pixelRatio canvas pixels per CSS pixel, so lines and cell edges are drawn at device resolution.
+   */
+  resizeCanvas() {
+    this.viewportWidth = window.innerWidth;
+    this.viewportHeight = window.innerHeight;
+    this.pixelRatio = getCanvasPixelRatio(this.viewportWidth, this.viewportHeight);
+
+    this.canvas.style.width = `${this.viewportWidth}px`;
+    this.canvas.style.height = `${this.viewportHeight}px`;
+    this.canvas.width = Math.round(this.viewportWidth * this.pixelRatio);
+    this.canvas.height = Math.round(this.viewportHeight * this.pixelRatio);
+
+    this.watchPixelRatio();
+  }
+
   /**
    * Clears the canvas context
    * 
    * Requirements: 5.5
    */
   clear() {
+    this.layers.clear();
     if (this.ctx && this.canvas) {
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
   }
@@ -168,6 +602,19 @@ class CanvasRenderer {
    * Requirements: 5.5
    */
   destroy() {
+    window.removeEventListener('scroll', this.handleScroll);
+    if (window.visualViewport) {
+      window.visualViewport.removeEventListener('resize', this.handleViewportResize);
+    }
+    if (this.pixelRatioQuery) {
+      this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+      this.pixelRatioQuery = null;
+    }
+    if (this.pendingFrame) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+    this.layers.clear();
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
@@ -175,6 +622,18 @@ class CanvasRenderer {
     this.ctx = null;
   }
 
+  /**
+   * Shows or hides the overlay without clearing its layers
+   * Used to take screenshots of the page without the overlay
+   * 
+   * @param {boolean} visible - Whether the overlay should be visible
+   */
+  setVisible(visible) {
+    if (this.canvas) {
+      this.canvas.style.visibility = visible ? 'visible' : 'hidden';
+    }
+  }
+
   /**
    * Checks if the canvas overlay currently exists
    * 
@@ -185,13 +644,14 @@ class CanvasRenderer {
   }
 
   /**
-   * Updates canvas dimensions to match current viewport
-   * Useful when viewport is resized
+   * Updates canvas dimensions to match current viewport and pixel ratio
+   * Useful when viewport is resized, the page is zoomed or the device is emulated
    */
   updateDimensions() {
     if (this.canvas) {
-      this.canvas.width = window.innerWidth;
-      this.canvas.height = window.innerHeight;
+      this.resizeCanvas();
+      // Resizing a canvas wipes it, so redraw the layers
+      this.draw();
     }
   }
 }
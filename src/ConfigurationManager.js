@@ -2,57 +2,257 @@
  * Configuration type for the Hit Region Highlighter extension
  * @typedef {Object} Configuration
  * @property {number} samplingResolution - Pixels between sample points (default: 10)
+ * @property {'viewport'|'document'} samplingScope - Sample only the visible viewport or the whole scrollable document (default: 'viewport')
+ * @property {'grid'|'adaptive'|'geometry'} samplingStrategy - Sample every grid point, subdivide coarse cells only where elements change, or compute regions from element boxes (default: 'grid')
  * @property {string} highlightColor - Hex color code for visualization (default: '#00ff00')
+ * @property {string} occlusionColor - Hex color code for the occluded part of an element's box (default: '#ff0000')
+ * @property {string} hoverColor - Hex color code for hover previews from the DevTools panel (default: '#0099ff')
  * @property {number} highlightOpacity - Opacity value from 0.0 to 1.0 (default: 0.3)
+ * @property {'dots'|'cells'|'outline'} renderMode - How hit regions are drawn (default: 'dots')
+ * @property {number} pointerDiameter - Pointer size in CSS pixels for spacing analysis (default: 24, the WCAG 2.5.8 circle)
  * @property {boolean} autoRecalculate - Whether to recalculate on DOM changes (default: true)
+ * @property {boolean} touchSpacing - Whether spacing analysis turns on by itself while the primary pointer is coarse (default: true)
+ * @property {boolean} pageApi - Whether page scripts can query hit regions through the page API (default: false)
+ * @property {string[]} interactivePresets - Enabled keys of RULE_PRESETS (default: ['core'])
+ * @property {InteractiveRule[]} customRules - Additional rules checked after the presets (default: [])
  */
 
+/**
+ * Rule deciding whether an element is interactive
+ * @typedef {Object} InteractiveRule
+ * @property {string} id - Rule id, reported when the rule matches (e.g. 'role:button')
+ * @property {'role'|'selector'|'cursor'} type - Match by ARIA role (explicit or implicit), CSS selector, or computed cursor
+ * @property {string} value - The role, selector, or cursor value to match
+ */
+
+/**
+ * Settings for pages whose URL matches a pattern
+ * Any Configuration property may be set; the ones left out inherit the global configuration.
+ * @typedef {Object} SiteProfile
+ * @property {string} name - Name shown in the settings page
+ * @property {string} pattern - URL pattern where '*' matches any characters (e.g. 'https://app.example.com/*')
+ */
+
+/**
+ * Rule types supported by InteractiveRule
+ * @type {string[]}
+ */
+export const RULE_TYPES = ['role', 'selector', 'cursor'];
+
+/**
+ * Built-in interactive rule presets
+ * 'core' reproduces the original button/link detection
+ */
+export const RULE_PRESETS = {
+  core: {
+    label: 'Buttons and links',
+    rules: [
+      { id: 'role:button', type: 'role', value: 'button' },
+      { id: 'role:link', type: 'role', value: 'link' }
+    ]
+  },
+  ariaWidgets: {
+    label: 'ARIA widgets',
+    rules: [
+      'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+      'menuitemradio', 'option', 'treeitem', 'combobox', 'slider', 'spinbutton',
+      'textbox', 'searchbox'
+    ].map(role => ({ id: `role:${role}`, type: 'role', value: role }))
+  },
+  formControls: {
+    label: 'Form controls',
+    rules: [
+      'input:not([type="hidden"])', 'select', 'textarea', 'summary', 'label[for]'
+    ].map(selector => ({ id: `selector:${selector}`, type: 'selector', value: selector }))
+  },
+  heuristics: {
+    label: 'Heuristic click handlers',
+    rules: [
+      { id: 'selector:[tabindex]', type: 'selector', value: '[tabindex]:not([tabindex="-1"])' },
+      { id: 'selector:[onclick]', type: 'selector', value: '[onclick]' },
+      { id: 'cursor:pointer', type: 'cursor', value: 'pointer' }
+    ]
+  }
+};
+
+/**
+ * Checks whether a URL matches a pattern where '*' matches any characters
+ * @param {string} pattern - The URL pattern
+ * @param {string} url - The URL to test
+ * @returns {boolean} True if the whole URL matches
+ */
+export function matchesUrlPattern(pattern, url) {
+  if (typeof pattern !== 'string' || typeof url !== 'string') {
+    return false;
+  }
+
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`).test(url);
+}
+
+/**
+ * Resolves the interactive rules of a configuration
+ * @param {Configuration} config - The configuration, e.g. from resolveConfiguration()
+ * @returns {InteractiveRule[]} Rules in the order they are checked
+ */
+export function resolveInteractiveRules(config) {
+  const presetRules = (config.interactivePresets || [])
+    .filter(key => RULE_PRESETS[key])
+    .flatMap(key => RULE_PRESETS[key].rules);
+
+  const customRules = (config.customRules || [])
+    .filter(rule => RULE_TYPES.includes(rule.type) && typeof rule.value === 'string')
+    .map(rule => ({ id: `custom:${rule.type}:${rule.value}`, type: rule.type, value: rule.value }));
+
+  return [...presetRules, ...customRules];
+}
+
 /**
  * Default configuration values
  * @type {Configuration}
  */
 export const DEFAULT_CONFIG = {
   samplingResolution: 10,
+  samplingScope: 'viewport',
+  samplingStrategy: 'grid',
   highlightColor: '#00ff00',
+  occlusionColor: '#ff0000',
+  hoverColor: '#0099ff',
   highlightOpacity: 0.3,
-  autoRecalculate: true
+  renderMode: 'dots',
+  pointerDiameter: 24,
+  autoRecalculate: true,
+  touchSpacing: true,
+  pageApi: false,
+  interactivePresets: ['core'],
+  customRules: []
 };
 
+/**
+ * Configuration properties a site profile can override
+ * @type {string[]}
+ */
+export const PROFILE_SETTINGS = Object.keys(DEFAULT_CONFIG);
+
+/**
+ * Finds the profile for a page
+ * @param {SiteProfile[]} profiles - Profiles in priority order
+ * @param {string} url - The page URL
+ * @returns {SiteProfile|null} The first profile whose pattern matches the URL, or null
+ */
+export function findSiteProfile(profiles, url) {
+  return (profiles || []).find(profile => matchesUrlPattern(profile.pattern, url)) || null;
+}
+
+/**
+ * Resolves the configuration that applies to a page
+ * Settings of the matching profile replace the global ones; everything else is inherited.
+ * @param {Configuration} config - The global configuration
+ * @param {SiteProfile[]} profiles - Profiles in priority order
+ * @param {string} url - The page URL
+ * @returns {Configuration} The page's configuration
+ */
+export function resolveConfiguration(config, profiles, url) {
+  const profile = findSiteProfile(profiles, url);
+  const resolved = { ...config };
+
+  if (profile) {
+    for (const key of PROFILE_SETTINGS) {
+      if (profile[key] !== undefined) {
+        resolved[key] = profile[key];
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Converts per-page rule overrides, which profiles replaced, into profiles
+ * An override replaced the whole global rule set, so rule fields it left out become empty.
+ * @param {Array<{pattern: string, interactivePresets?: string[], customRules?: Array<{type: string, value: string}>}>} overrides - Stored overrides
+ * @returns {SiteProfile[]} Equivalent profiles
+ */
+export function migratePageRuleOverrides(overrides) {
+  if (!Array.isArray(overrides)) {
+    return [];
+  }
+
+  return overrides
+    .filter(override => override && typeof override.pattern === 'string')
+    .map(override => ({
+      name: override.pattern,
+      pattern: override.pattern,
+      interactivePresets: override.interactivePresets || [],
+      customRules: override.customRules || []
+    }));
+}
+
 /**
  * Configuration Manager handles loading, saving, and monitoring configuration changes
  */
 export class ConfigurationManager {
   constructor() {
     this.currentConfig = { ...DEFAULT_CONFIG };
+    // Site profiles, kept under their own storage key so they don't crowd the global configuration
+    this.profiles = [];
     this.changeListeners = new Set();
   }
 
   /**
-   * Loads configuration from browser storage
-   * @returns {Promise<Configuration>} The loaded configuration merged with defaults
+   * Loads configuration and site profiles from browser storage
+   * @returns {Promise<Configuration>} The loaded global configuration merged with defaults
    */
   async loadConfiguration() {
     try {
-      const result = await chrome.storage.sync.get('hitRegionConfig');
-      const storedConfig = result.hitRegionConfig || {};
+      const result = await chrome.storage.sync.get(['hitRegionConfig', 'hitRegionProfiles']);
+      const { pageRuleOverrides, ...storedConfig } = result.hitRegionConfig || {};
       
       // Merge stored config with defaults for any missing values
       this.currentConfig = {
         ...DEFAULT_CONFIG,
         ...storedConfig
       };
+      this.profiles = this.readProfiles(result.hitRegionProfiles, pageRuleOverrides);
       
       return this.currentConfig;
     } catch (error) {
       console.error('Failed to load configuration:', error);
       // Return defaults on error
       this.currentConfig = { ...DEFAULT_CONFIG };
+      this.profiles = [];
       return this.currentConfig;
     }
   }
 
+  /**
+   * Turns stored profiles into the profile list, dropping invalid ones
+   * Before profiles existed, per-page rule overrides were stored in the configuration;
+   * they are used until profiles are saved.
+   * @param {SiteProfile[]|undefined} storedProfiles - Value of hitRegionProfiles
+   * @param {Object[]|undefined} pageRuleOverrides - Legacy overrides from hitRegionConfig
+   * @returns {SiteProfile[]} Valid profiles
+   */
+  readProfiles(storedProfiles, pageRuleOverrides) {
+    const profiles = Array.isArray(storedProfiles)
+      ? storedProfiles
+      : migratePageRuleOverrides(pageRuleOverrides);
+    
+    return profiles.filter(profile => {
+      if (this.validateProfile(profile)) {
+        return true;
+      }
+      console.warn('Ignoring invalid site profile:', profile);
+      return false;
+    });
+  }
+
   /**
    * Saves configuration to browser storage
+   * The profiles are saved with it, which completes the migration of per-page rule overrides.
    * @param {Partial<Configuration>} config - Configuration values to save
    * @returns {Promise<void>}
    */
@@ -65,7 +265,8 @@ export class ConfigurationManager {
       };
       
       await chrome.storage.sync.set({
-        hitRegionConfig: this.currentConfig
+        hitRegionConfig: this.currentConfig,
+        hitRegionProfiles: this.profiles
       });
       
       return this.currentConfig;
@@ -75,6 +276,31 @@ export class ConfigurationManager {
     }
   }
 
+  /**
+   * Saves the site profiles to browser storage, replacing the stored list
+   * @param {SiteProfile[]} profiles - Profiles in priority order
+   * @returns {Promise<SiteProfile[]>} The saved profiles
+   * @throws {Error} If a profile is invalid
+   */
+  async saveProfiles(profiles) {
+    const invalid = profiles.find(profile => !this.validateProfile(profile));
+    if (invalid) {
+      throw new Error(`Invalid site profile: ${invalid && invalid.name ? invalid.name : JSON.stringify(invalid)}`);
+    }
+    
+    try {
+      this.profiles = profiles.map(profile => ({ ...profile }));
+      await chrome.storage.sync.set({
+        hitRegionConfig: this.currentConfig,
+        hitRegionProfiles: this.profiles
+      });
+      return this.getProfiles();
+    } catch (error) {
+      console.error('Failed to save site profiles:', error);
+      throw error;
+    }
+  }
+
   /**
    * Gets the current configuration
    * @returns {Configuration} The current configuration
@@ -83,9 +309,36 @@ export class ConfigurationManager {
     return { ...this.currentConfig };
   }
 
+  /**
+   * Gets the site profiles
+   * @returns {SiteProfile[]} Copies of the profiles in priority order
+   */
+  getProfiles() {
+    return this.profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Gets the configuration for a page, with its site profile applied
+   * @param {string} url - The page URL
+   * @returns {Configuration} The page's configuration
+   */
+  getConfigurationForUrl(url) {
+    return resolveConfiguration(this.currentConfig, this.profiles, url);
+  }
+
+  /**
+   * Gets the site profile that applies to a page
+   * @param {string} url - The page URL
+   * @returns {SiteProfile|null} The matching profile, or null if the global configuration applies
+   */
+  getProfileForUrl(url) {
+    return findSiteProfile(this.profiles, url);
+  }
+
   /**
    * Registers a listener for configuration changes
-   * @param {Function} listener - Callback function that receives (changes, areaName)
+   * Profile changes are reported too, with the unchanged global configuration as both arguments.
+   * @param {Function} listener - Callback function that receives (oldConfig, newConfig)
    */
   addChangeListener(listener) {
     this.changeListeners.add(listener);
@@ -105,15 +358,19 @@ export class ConfigurationManager {
    */
   startListening() {
     chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName === 'sync' && changes.hitRegionConfig) {
-        const oldConfig = changes.hitRegionConfig.oldValue || {};
-        const newConfig = changes.hitRegionConfig.newValue || {};
+      if (areaName === 'sync' && (changes.hitRegionConfig || changes.hitRegionProfiles)) {
+        const oldConfig = changes.hitRegionConfig ? changes.hitRegionConfig.oldValue || {} : this.currentConfig;
+        const newConfig = changes.hitRegionConfig ? changes.hitRegionConfig.newValue || {} : this.currentConfig;
         
         // Update current config
+        const { pageRuleOverrides, ...storedConfig } = newConfig;
         this.currentConfig = {
           ...DEFAULT_CONFIG,
-          ...newConfig
+          ...storedConfig
         };
+        if (changes.hitRegionProfiles) {
+          this.profiles = this.readProfiles(changes.hitRegionProfiles.newValue, pageRuleOverrides);
+        }
         
         // Notify all listeners
         this.changeListeners.forEach(listener => {
@@ -141,6 +398,18 @@ export class ConfigurationManager {
       }
     }
     
+    if (config.samplingScope !== undefined) {
+      if (config.samplingScope !== 'viewport' && config.samplingScope !== 'document') {
+        return false;
+      }
+    }
+    
+    if (config.samplingStrategy !== undefined) {
+      if (!['grid', 'adaptive', 'geometry'].includes(config.samplingStrategy)) {
+        return false;
+      }
+    }
+    
     if (config.highlightColor !== undefined) {
       if (typeof config.highlightColor !== 'string' || 
           !/^#[0-9A-Fa-f]{6}$/.test(config.highlightColor)) {
@@ -148,6 +417,20 @@ export class ConfigurationManager {
       }
     }
     
+    if (config.occlusionColor !== undefined) {
+      if (typeof config.occlusionColor !== 'string' || 
+          !/^#[0-9A-Fa-f]{6}$/.test(config.occlusionColor)) {
+        return false;
+      }
+    }
+    
+    if (config.hoverColor !== undefined) {
+      if (typeof config.hoverColor !== 'string' || 
+          !/^#[0-9A-Fa-f]{6}$/.test(config.hoverColor)) {
+        return false;
+      }
+    }
+    
     if (config.highlightOpacity !== undefined) {
       if (typeof config.highlightOpacity !== 'number' || 
           config.highlightOpacity < 0 || 
@@ -156,12 +439,103 @@ export class ConfigurationManager {
       }
     }
     
+    if (config.renderMode !== undefined) {
+      if (!['dots', 'cells', 'outline'].includes(config.renderMode)) {
+        return false;
+      }
+    }
+    
+    if (config.pointerDiameter !== undefined) {
+      if (typeof config.pointerDiameter !== 'number' || 
+          config.pointerDiameter < 1 || 
+          config.pointerDiameter > 100) {
+        return false;
+      }
+    }
+    
     if (config.autoRecalculate !== undefined) {
       if (typeof config.autoRecalculate !== 'boolean') {
         return false;
       }
     }
     
+    if (config.touchSpacing !== undefined) {
+      if (typeof config.touchSpacing !== 'boolean') {
+        return false;
+      }
+    }
+    
+    if (config.pageApi !== undefined) {
+      if (typeof config.pageApi !== 'boolean') {
+        return false;
+      }
+    }
+    
+    if (config.interactivePresets !== undefined) {
+      if (!this.validateRuleSet(config)) {
+        return false;
+      }
+    }
+    
+    if (config.customRules !== undefined) {
+      if (!this.validateRuleSet({ customRules: config.customRules })) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Validates a site profile: a name, a URL pattern and known settings with valid values
+   * @param {SiteProfile} profile - Profile to validate
+   * @returns {boolean} True if valid
+   */
+  validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return false;
+    }
+    
+    if (typeof profile.pattern !== 'string' || !profile.pattern.trim()) {
+      return false;
+    }
+    
+    if (profile.name !== undefined && typeof profile.name !== 'string') {
+      return false;
+    }
+    
+    const unknownKeys = Object.keys(profile).filter(
+      key => key !== 'name' && key !== 'pattern' && !PROFILE_SETTINGS.includes(key)
+    );
+    if (unknownKeys.length > 0) {
+      return false;
+    }
+    
+    return this.validateConfiguration(profile);
+  }
+
+  /**
+   * Validates the preset and custom rule fields of a configuration or site profile
+   * @param {{interactivePresets?: string[], customRules?: Array<{type: string, value: string}>}} ruleSet - Rule set to validate
+   * @returns {boolean} True if valid
+   */
+  validateRuleSet(ruleSet) {
+    if (ruleSet.interactivePresets !== undefined) {
+      if (!Array.isArray(ruleSet.interactivePresets) ||
+          !ruleSet.interactivePresets.every(key => RULE_PRESETS[key])) {
+        return false;
+      }
+    }
+    
+    if (ruleSet.customRules !== undefined) {
+      if (!Array.isArray(ruleSet.customRules) ||
+          !ruleSet.customRules.every(rule =>
+            rule && RULE_TYPES.includes(rule.type) &&
+            typeof rule.value === 'string' && rule.value.length > 0)) {
+        return false;
+      }
+    }
+    
     return true;
   }
 }
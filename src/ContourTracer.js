@@ -0,0 +1,166 @@
+/**
+ * Contour Tracer
+ * Turns a set of sampled grid coordinates into closed polygon outlines using marching squares
+ */
+
+/**
+ * Marching squares lookup table
+ * Case index bits: top-left = 8, top-right = 4, bottom-right = 2, bottom-left = 1.
+ * Each entry lists segments between edge midpoints (T, R, B, L) of the 2x2 cell.
+ * Saddles (5 and 10) keep diagonal samples separate, so touching corners stay distinct regions.
+ */
+const SEGMENT_TABLE = [
+  [],
+  [['L', 'B']],
+  [['B', 'R']],
+  [['L', 'R']],
+  [['T', 'R']],
+  [['T', 'R'], ['L', 'B']],
+  [['T', 'B']],
+  [['T', 'L']],
+  [['L', 'T']],
+  [['T', 'B']],
+  [['L', 'T'], ['B', 'R']],
+  [['T', 'R']],
+  [['L', 'R']],
+  [['B', 'R']],
+  [['L', 'B']],
+  []
+];
+
+/**
+ * Gets the midpoint of a cell edge in half-step units, so all points stay integers
+ * @param {number} col - Column of the cell's top-left sample
+ * @param {number} row - Row of the cell's top-left sample
+ * @param {'T'|'R'|'B'|'L'} edge - The edge of the cell
+ * @returns {{x: number, y: number}} Midpoint in half-step units
+ */
+function edgeMidpoint(col, row, edge) {
+  switch (edge) {
+    case 'T':
+      return { x: 2 * col + 1, y: 2 * row };
+    case 'R':
+      return { x: 2 * col + 2, y: 2 * row + 1 };
+    case 'B':
+      return { x: 2 * col + 1, y: 2 * row + 2 };
+    default:
+      return { x: 2 * col, y: 2 * row + 1 };
+  }
+}
+
+/**
+ * Traces the outlines of a sampled region
+ * Regions cut out by overlapping elements produce inner contours (holes); fill the
+ * result with the 'evenodd' rule to render them correctly.
+ * @param {Coordinate[]} coordinates - Sampled coordinates belonging to the region
+ * @param {number} resolution - Pixels between sample points; off-grid coordinates are ignored
+ * @returns {Array<Coordinate[]>} Closed polygons in the same coordinate space as the input
+ */
+export function traceContours(coordinates, resolution) {
+  if (!coordinates || coordinates.length === 0 || !(resolution > 0)) {
+    return [];
+  }
+
+  // Index the samples by grid cell
+  const filled = new Set();
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+
+  for (const coord of coordinates) {
+    if (coord.x % resolution !== 0 || coord.y % resolution !== 0) {
+      continue;
+    }
+
+    const col = coord.x / resolution;
+    const row = coord.y / resolution;
+    filled.add(`${col},${row}`);
+    minCol = Math.min(minCol, col);
+    maxCol = Math.max(maxCol, col);
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+  }
+
+  if (filled.size === 0) {
+    return [];
+  }
+
+  const isFilled = (col, row) => (filled.has(`${col},${row}`) ? 1 : 0);
+
+  // March over every 2x2 cell, padded by one so all contours close
+  const segments = [];
+  for (let row = minRow - 1; row <= maxRow; row++) {
+    for (let col = minCol - 1; col <= maxCol; col++) {
+      const caseIndex =
+        isFilled(col, row) * 8 +
+        isFilled(col + 1, row) * 4 +
+        isFilled(col + 1, row + 1) * 2 +
+        isFilled(col, row + 1);
+
+      for (const [from, to] of SEGMENT_TABLE[caseIndex]) {
+        segments.push([edgeMidpoint(col, row, from), edgeMidpoint(col, row, to)]);
+      }
+    }
+  }
+
+  return joinSegments(segments).map(polygon =>
+    polygon.map(point => ({
+      x: (point.x * resolution) / 2,
+      y: (point.y * resolution) / 2
+    }))
+  );
+}
+
+/**
+ * Joins unordered segments into closed polygons
+ * Every midpoint is shared by exactly two segments, so each walk returns to its start.
+ * @param {Array<[{x: number, y: number}, {x: number, y: number}]>} segments - Segments to join
+ * @returns {Array<Array<{x: number, y: number}>>} Closed polygons (first point not repeated)
+ */
+function joinSegments(segments) {
+  const pointKey = point => `${point.x},${point.y}`;
+  const segmentsByPoint = new Map();
+
+  segments.forEach((segment, index) => {
+    for (const point of segment) {
+      const key = pointKey(point);
+      if (!segmentsByPoint.has(key)) {
+        segmentsByPoint.set(key, []);
+      }
+      segmentsByPoint.get(key).push(index);
+    }
+  });
+
+  const used = new Array(segments.length).fill(false);
+  const polygons = [];
+
+  for (let start = 0; start < segments.length; start++) {
+    if (used[start]) {
+      continue;
+    }
+
+    used[start] = true;
+    const polygon = [segments[start][0]];
+    const startKey = pointKey(segments[start][0]);
+    let current = segments[start][1];
+
+    while (pointKey(current) !== startKey) {
+      polygon.push(current);
+
+      const next = segmentsByPoint.get(pointKey(current)).find(index => !used[index]);
+      if (next === undefined) {
+        // Open chain; should not happen with padded input
+        break;
+      }
+
+      used[next] = true;
+      const [a, b] = segments[next];
+      current = pointKey(a) === pointKey(current) ? b : a;
+    }
+
+    polygons.push(polygon);
+  }
+
+  return polygons;
+}
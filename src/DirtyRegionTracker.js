@@ -0,0 +1,238 @@
+/**
+ * Dirty Region Tracker
+ * Works out which parts of the page DOM mutations and layout changes may have affected,
+ * so only those parts are resampled instead of the whole map
+ *
+ * Mutation records don't say where a node used to be, so the tracker remembers the
+ * document-space box of every element it has measured. A changed subtree is dirty where
+ * its boxes were before the change (remembered) and where they are now (measured).
+ */
+
+import {
+  clientRectToDocumentRect,
+  intersectRects,
+  isEmptyRect,
+  subtractRect
+} from './models/Rect.js';
+import { createTimeSlicer } from './Scheduler.js';
+
+/**
+ * Largest subtree walked for a single mutated node
+ * Changes to bigger subtrees (e.g. a class on <body>) are cheaper to handle with a full recalculation.
+ * @type {number}
+ */
+export const MAX_TRACKED_SUBTREE = 2000;
+
+/**
+ * Pixels a box may move before it counts as a layout shift
+ */
+const LAYOUT_SHIFT_TOLERANCE = 0.5;
+
+/**
+ * Iterates over an element and its descendants, including inside open shadow roots
+ * @param {Element} root - The subtree root
+ * @yields {Element} Elements in tree order
+ */
+function* walkSubtree(root) {
+  yield root;
+
+  if (root.shadowRoot) {
+    for (const child of root.shadowRoot.children) {
+      yield* walkSubtree(child);
+    }
+  }
+
+  for (const child of root.children) {
+    yield* walkSubtree(child);
+  }
+}
+
+/**
+ * Checks whether two remembered boxes are the same, within the layout shift tolerance
+ * @param {Rect|null} a - First box (null for no box)
+ * @param {Rect|null} b - Second box
+ * @returns {boolean} True if both are missing or both are in the same place
+ */
+function boxesMatch(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return (
+    Math.abs(a.x - b.x) <= LAYOUT_SHIFT_TOLERANCE &&
+    Math.abs(a.y - b.y) <= LAYOUT_SHIFT_TOLERANCE &&
+    Math.abs(a.width - b.width) <= LAYOUT_SHIFT_TOLERANCE &&
+    Math.abs(a.height - b.height) <= LAYOUT_SHIFT_TOLERANCE
+  );
+}
+
+/**
+ * Turns possibly overlapping dirty rects into disjoint ones, so no area is resampled twice
+ * @param {Rect[]} rects - Dirty rects
+ * @returns {Rect[]} Disjoint rects covering the same area
+ */
+export function mergeDirtyRects(rects) {
+  const merged = [];
+
+  for (const rect of rects) {
+    if (isEmptyRect(rect)) {
+      continue;
+    }
+
+    let pieces = [rect];
+    for (const existing of merged) {
+      pieces = pieces.flatMap(piece => subtractRect(piece, existing));
+    }
+    merged.push(...pieces);
+  }
+
+  return merged;
+}
+
+/**
+ * Computes the total area of disjoint rects inside bounds
+ * @param {Rect[]} rects - Disjoint rects, see mergeDirtyRects()
+ * @param {Rect} bounds - The area of interest
+ * @returns {number} Covered area in square pixels
+ */
+export function getRectsArea(rects, bounds) {
+  return rects.reduce((area, rect) => {
+    const visible = intersectRects(rect, bounds);
+    return visible ? area + visible.width * visible.height : area;
+  }, 0);
+}
+
+/**
+ * DirtyRegionTracker remembers element boxes and turns changes into dirty rects
+ */
+export default class DirtyRegionTracker {
+  constructor() {
+    // Element -> document-space border box, or null if it has no box (e.g. display: none)
+    this.boxes = new WeakMap();
+  }
+
+  /**
+   * Measures an element's border box in document space
+   * @param {Element} element - The element to measure
+   * @returns {Rect|null} The box, or null if the element has no box
+   */
+  measure(element) {
+    if (!element.isConnected) {
+      return null;
+    }
+
+    const rect = clientRectToDocumentRect(element.getBoundingClientRect());
+    return isEmptyRect(rect) ? null : rect;
+  }
+
+  /**
+   * Remembers the current boxes of an element and its descendants
+   * Call before sampling, so later changes can be compared with what was sampled.
+   * Measuring a whole document takes long on large pages, so the walk is time-sliced.
+   * @param {Element} root - The subtree root
+   * @param {Object} [options={}] - Walk options
+   * @param {TimeSlicer} [options.slicer] - Slicer to yield with (default: a new one)
+   * @param {AbortSignal} [options.signal] - Stops the walk when aborted
+   * @returns {Promise<void>} Resolves once every box is remembered, or the walk was aborted
+   */
+  async recordSubtree(root, { slicer = createTimeSlicer(), signal = null } = {}) {
+    for (const element of walkSubtree(root)) {
+      if (slicer.shouldYield()) {
+        await slicer.yield();
+        if (signal && signal.aborted) {
+          return;
+        }
+      }
+      this.boxes.set(element, this.measure(element));
+    }
+  }
+
+  /**
+   * Computes the dirty rects for a batch of mutation records
+   * Removed and changed subtrees are dirty where they were and where they are now; added
+   * subtrees where they are now. Text changes only dirty the parent's own box.
+   * @param {MutationRecord[]} mutations - Mutation records, oldest first
+   * @returns {Rect[]|null} Dirty rects, or null if a changed element was never measured or a
+   *   subtree is too big to track, in which case everything should be recalculated
+   */
+  collectMutationRects(mutations) {
+    const rects = [];
+    const visited = new Set();
+
+    const addBoxes = (element, isNew) => {
+      const before = this.boxes.get(element);
+      if (before === undefined && !isNew) {
+        return false;
+      }
+
+      const after = this.measure(element);
+      this.boxes.set(element, after);
+      rects.push(...[before, after].filter(Boolean));
+      return true;
+    };
+
+    for (const mutation of mutations) {
+      const subtrees = mutation.type === 'childList'
+        ? [
+          ...Array.from(mutation.removedNodes, node => ({ node, isNew: false })),
+          ...Array.from(mutation.addedNodes, node => ({ node, isNew: true }))
+        ]
+        : [{ node: mutation.target, isNew: false }];
+
+      for (const { node, isNew } of subtrees) {
+        if (!(node instanceof Element)) {
+          // Added or removed text resizes its parent
+          if (mutation.target instanceof Element && !visited.has(mutation.target)) {
+            visited.add(mutation.target);
+            if (!addBoxes(mutation.target, false)) {
+              return null;
+            }
+          }
+          continue;
+        }
+
+        if (visited.has(node)) {
+          continue;
+        }
+
+        let count = 0;
+        for (const element of walkSubtree(node)) {
+          if (++count > MAX_TRACKED_SUBTREE) {
+            return null;
+          }
+          visited.add(element);
+          // Moved nodes are removed and re-added, so known boxes are used even for added nodes
+          if (!addBoxes(element, isNew)) {
+            return null;
+          }
+        }
+      }
+    }
+
+    return rects;
+  }
+
+  /**
+   * Finds elements that moved or resized without being mutated themselves, e.g. content
+   * pushed down by a banner or reflowed by a resize
+   * Only the given elements are checked; moved non-interactive elements are not detected.
+   * @param {Iterable<Element>} elements - Elements to check, typically the map's elements
+   * @returns {Rect[]} Old and new boxes of every element that moved
+   */
+  collectLayoutShiftRects(elements) {
+    const rects = [];
+
+    for (const element of elements) {
+      const before = this.boxes.get(element);
+      const after = this.measure(element);
+      if (before !== undefined && boxesMatch(before, after)) {
+        continue;
+      }
+
+      this.boxes.set(element, after);
+      rects.push(...[before, after].filter(Boolean));
+    }
+
+    return rects;
+  }
+}
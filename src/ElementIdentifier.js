@@ -5,16 +5,24 @@
 
 /**
  * @typedef {Object} ElementIdentifier
- * @property {'css' | 'xpath' | 'id'} type - The type of identifier
+ * @property {'css' | 'xpath' | 'id' | 'shadow'} type - The type of identifier
  * @property {string} value - The identifier value
  */
 
+/**
+ * Separator between the per-root CSS selectors of a shadow path
+ * e.g. "my-app > nav-bar >>> button.menu" selects button.menu inside nav-bar's shadow root
+ * @type {string}
+ */
+export const SHADOW_PATH_SEPARATOR = ' >>> ';
+
 /**
  * Generates a unique CSS selector for an element
  * @param {Element} element - The element to generate a selector for
+ * @param {Document|ShadowRoot} [root=document] - The tree the selector is resolved against
  * @returns {string|null} - CSS selector or null if unable to generate
  */
-function generateCSSSelector(element) {
+function generateCSSSelector(element, root = document) {
   if (!element || element === document.documentElement) {
     return null;
   }
@@ -23,7 +31,7 @@ function generateCSSSelector(element) {
   if (element.id) {
     const idSelector = `#${CSS.escape(element.id)}`;
     // Verify it's unique
-    if (document.querySelectorAll(idSelector).length === 1) {
+    if (root.querySelectorAll(idSelector).length === 1) {
       return idSelector;
     }
   }
@@ -112,20 +120,49 @@ function generateXPath(element) {
  * Verifies if a CSS selector uniquely identifies an element
  * @param {string} selector - CSS selector to verify
  * @param {Element} element - The element it should match
+ * @param {Document|ShadowRoot} [root=document] - The tree to query
  * @returns {boolean} - True if selector uniquely identifies the element
  */
-function isSelectorUnique(selector, element) {
+function isSelectorUnique(selector, element, root = document) {
   try {
-    const matches = document.querySelectorAll(selector);
+    const matches = root.querySelectorAll(selector);
     return matches.length === 1 && matches[0] === element;
   } catch (e) {
     return false;
   }
 }
 
+/**
+ * Generates a shadow path for an element inside one or more shadow roots
+ * Each segment is a CSS selector resolved against one root, starting at the document
+ * and descending through each host's shadow root.
+ * @param {Element} element - The element to generate a path for
+ * @returns {string} - Segments joined by SHADOW_PATH_SEPARATOR
+ */
+function generateShadowPath(element) {
+  const segments = [];
+  let current = element;
+
+  while (current) {
+    const root = current.getRootNode();
+    const selector = generateCSSSelector(current, root);
+
+    if (!selector || !isSelectorUnique(selector, current, root)) {
+      console.warn('Shadow path segment is not unique, first match will be used:', current);
+    }
+    segments.unshift(selector || current.tagName.toLowerCase());
+
+    // Continue at the host until we reach the document
+    current = root instanceof ShadowRoot ? root.host : null;
+  }
+
+  return segments.join(SHADOW_PATH_SEPARATOR);
+}
+
 /**
  * Generates a unique identifier for an element
- * Tries CSS selector first, falls back to XPath if CSS selector is not unique
+ * Tries CSS selector first, falls back to XPath if CSS selector is not unique.
+ * Elements inside shadow roots get a shadow path, since neither can cross shadow boundaries.
  * @param {Element} element - The element to identify
  * @returns {ElementIdentifier} - Object with type and value
  */
@@ -134,6 +171,13 @@ export function generateElementIdentifier(element) {
     throw new Error('Element is required');
   }
 
+  if (element.getRootNode() instanceof ShadowRoot) {
+    return {
+      type: 'shadow',
+      value: generateShadowPath(element)
+    };
+  }
+
   // Try ID-based identifier first
   if (element.id) {
     const idSelector = `#${CSS.escape(element.id)}`;
@@ -191,6 +235,9 @@ export function findElementByIdentifier(identifier) {
         return result.singleNodeValue;
       }
 
+      case 'shadow':
+        return findElementByShadowPath(identifier.value);
+
       default:
         console.warn(`Unknown identifier type: ${identifier.type}`);
         return null;
@@ -200,3 +247,61 @@ export function findElementByIdentifier(identifier) {
     return null;
   }
 }
+
+/**
+ * Finds an element by its shadow path
+ * @param {string} path - CSS selectors joined by SHADOW_PATH_SEPARATOR
+ * @returns {Element|null} - The found element, or null if any segment or shadow root is missing
+ */
+export function findElementByShadowPath(path) {
+  let root = document;
+  let node = null;
+
+  for (const selector of path.split(SHADOW_PATH_SEPARATOR)) {
+    // Closed shadow roots are reported as null and cannot be entered
+    if (!root) {
+      return null;
+    }
+
+    node = root.querySelector(selector);
+    root = node && node.shadowRoot;
+  }
+
+  return node;
+}
+
+/**
+ * Builds a short human-readable label for an element, e.g. "button#save.primary"
+ * Intended for display only; use generateElementIdentifier() to reference elements
+ * @param {Element} element - The element to describe
+ * @returns {string} - Tag name followed by id and up to two classes
+ */
+export function describeElement(element) {
+  if (!element || !element.tagName) {
+    return '(none)';
+  }
+
+  let label = element.tagName.toLowerCase();
+
+  if (element.id) {
+    label += `#${element.id}`;
+  }
+
+  if (element.className && typeof element.className === 'string') {
+    const classes = element.className.trim().split(/\s+/).filter(c => c);
+    if (classes.length > 0) {
+      label += '.' + classes.slice(0, 2).join('.');
+    }
+  }
+
+  return label;
+}
+
+/**
+ * Converts an element identifier to a string key, e.g. for keying exported data
+ * @param {ElementIdentifier} identifier - The element identifier
+ * @returns {string} - Key in the format "type:value"
+ */
+export function identifierToKey(identifier) {
+  return `${identifier.type}:${identifier.value}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Frame Coordinator
+ * Places each frame's hit regions in top-level viewport coordinates
+ *
+ * The content script runs in every frame, and each frame samples only its own document.
+ * Parent frames measure where their child frames sit and report it to the background
+ * worker, which chains the offsets up to the top-level frame. This works for cross-origin
+ * frames, since a parent never has to read its child's document, or vice versa.
+ */
+
+/**
+ * Position of a child frame's viewport inside its parent's viewport
+ * @typedef {Object} ChildFrameOffset
+ * @property {number} frameId - Extension frame id of the child frame
+ * @property {number} x - Left edge of the child's content box in the parent's viewport
+ * @property {number} y - Top edge of the child's content box in the parent's viewport
+ */
+
+/**
+ * Frame id of the top-level frame
+ * @type {number}
+ */
+export const TOP_FRAME_ID = 0;
+
+/**
+ * Checks whether this script runs in the top-level frame
+ * @returns {boolean} True in the top-level frame
+ */
+export function isTopFrame() {
+  return window === window.top;
+}
+
+/**
+ * Gets where this frame sits in the frame tree, as child indexes from the top-level frame
+ * Unlike frame ids, the path stays the same across reloads as long as the page's frames do,
+ * and it tells apart frames that load the same URL. Windows can always enumerate and compare
+ * their parent's frames, so this works across origins.
+ * @returns {string} Indexes joined by '/', e.g. '2/0', or '' in the top-level frame
+ */
+export function getFramePath() {
+  const indexes = [];
+
+  for (let current = window; current !== current.parent; current = current.parent) {
+    const siblings = current.parent.frames;
+    let index = -1;
+    for (let i = 0; i < siblings.length; i++) {
+      if (siblings[i] === current) {
+        index = i;
+        break;
+      }
+    }
+    indexes.unshift(index);
+  }
+
+  return indexes.join('/');
+}
+
+/**
+ * Gets the extension frame id of this frame
+ * @returns {number} The frame id, or -1 if it can't be determined
+ */
+export function getFrameId() {
+  if (isTopFrame()) {
+    return TOP_FRAME_ID;
+  }
+
+  // runtime.getFrameId() is available to content scripts in Chrome 106+
+  if (typeof chrome.runtime.getFrameId === 'function') {
+    return chrome.runtime.getFrameId(window);
+  }
+
+  return -1;
+}
+
+/**
+ * Measures where every child frame's content box sits in this frame's viewport
+ * Borders and padding are skipped, since the child's viewport starts inside them.
+ * CSS transforms on the frame element are not taken into account.
+ * @returns {ChildFrameOffset[]} One entry per child frame with a known frame id
+ */
+export function measureChildFrames() {
+  if (typeof chrome.runtime.getFrameId !== 'function') {
+    return [];
+  }
+
+  const offsets = [];
+  for (const frameElement of document.querySelectorAll('iframe, frame')) {
+    const frameId = chrome.runtime.getFrameId(frameElement);
+    if (frameId < 0) {
+      continue;
+    }
+
+    const rect = frameElement.getBoundingClientRect();
+    const style = window.getComputedStyle(frameElement);
+    offsets.push({
+      frameId,
+      x: rect.left + frameElement.clientLeft + parseFloat(style.paddingLeft),
+      y: rect.top + frameElement.clientTop + parseFloat(style.paddingTop)
+    });
+  }
+
+  return offsets;
+}
+
+/**
+ * Reports the positions of this frame's child frames to the background worker
+ * Call whenever they may have moved, e.g. after scrolling or layout changes.
+ * @returns {Promise<void>}
+ */
+export async function reportChildFrames() {
+  const frames = measureChildFrames();
+  if (frames.length === 0) {
+    return;
+  }
+
+  try {
+    await chrome.runtime.sendMessage({
+      source: 'content',
+      type: 'frameOffsets',
+      frames
+    });
+  } catch (error) {
+    console.warn('Failed to report child frame offsets:', error);
+  }
+}
+
+/**
+ * Asks the background worker where this frame's viewport sits in the top-level viewport
+ * @returns {Promise<{x: number, y: number}|null>} The offset, or null if an ancestor
+ *   frame hasn't reported its children yet
+ */
+export async function requestFrameOffset() {
+  if (isTopFrame()) {
+    return { x: 0, y: 0 };
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      source: 'content',
+      type: 'getFrameOffset'
+    });
+    return response && response.success ? response.offset : null;
+  } catch (error) {
+    console.warn('Failed to get frame offset:', error);
+    return null;
+  }
+}
@@ -0,0 +1,575 @@
+/**
+ * Geometry Calculator
+ * Computes hit regions from element boxes and paint order instead of probing every point
+ *
+ * Each element's client rects, minus the rects of everything painted above it, is the
+ * area where it receives clicks. Paint order follows CSS stacking contexts: negative
+ * z-index, then in-flow content, then positioned content and positive z-index, each in
+ * tree order. Areas that boxes can't describe exactly (transforms, clip-path, masks,
+ * rounded corners and SVG shapes) are marked ambiguous and verified with elementFromPoint().
+ */
+
+import { findInteractiveAncestor } from './InteractiveElementFinder.js';
+import { createCoordinate } from './models/Coordinate.js';
+import {
+  createRect,
+  clientRectToDocumentRect,
+  intersectRects,
+  isEmptyRect,
+  snapRectToPixels,
+  subtractRect
+} from './models/Rect.js';
+
+/**
+ * Paint layers within a stacking context, back to front
+ * Floats and inline content are painted with in-flow blocks, in tree order
+ */
+const LAYER_NEGATIVE_Z = 0;
+const LAYER_IN_FLOW = 1;
+const LAYER_POSITIONED = 2;
+const LAYER_POSITIVE_Z = 3;
+
+/**
+ * Rect standing in for a clip that hides everything
+ */
+const EMPTY_CLIP = createRect(0, 0, 0, 0);
+
+/**
+ * Size in pixels of the cells of a RectIndex
+ */
+const INDEX_CELL_SIZE = 256;
+
+/**
+ * A box that can receive clicks, with its position in paint order
+ * @typedef {Object} HitBox
+ * @property {Element} element - The element the box belongs to
+ * @property {Rect} rect - Document-space box, clipped by overflow and the sampled bounds
+ * @property {Array<number[]>} paintKey - [layer, z-index, tree order] per enclosing stacking context
+ * @property {Rect[]} uncertain - Disjoint parts of rect that may not match the element's real shape
+ */
+
+/**
+ * Checks whether a style creates a stacking context regardless of position and z-index
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @returns {boolean} True if the style alone isolates the element's descendants
+ */
+function hasIsolatingStyle(style) {
+  return (
+    parseFloat(style.opacity) < 1 ||
+    style.transform !== 'none' ||
+    style.filter !== 'none' ||
+    (style.backdropFilter && style.backdropFilter !== 'none') ||
+    style.perspective !== 'none' ||
+    style.clipPath !== 'none' ||
+    (style.maskImage && style.maskImage !== 'none') ||
+    style.mixBlendMode !== 'normal' ||
+    style.isolation === 'isolate' ||
+    /\b(transform|opacity|filter|perspective|clip-path|mask|isolation)\b/.test(style.willChange) ||
+    /\b(paint|layout|strict|content)\b/.test(style.contain)
+  );
+}
+
+/**
+ * Matches a computed transform that only translates, e.g. 'matrix(1, 0, 0, 1, 10, 20)'
+ */
+const TRANSLATION_MATRIX = /^matrix\(1, 0, 0, 1, [^,]+, [^,]+\)$/;
+
+/**
+ * Checks whether a style changes the shape of the element's painted area in ways its
+ * client rects don't describe; descendants are affected too
+ * Translations are exact, since client rects include them.
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @returns {boolean} True if hits inside the element's subtree must be verified
+ */
+function hasNonRectangularSubtree(style) {
+  return (
+    (style.transform !== 'none' && !TRANSLATION_MATRIX.test(style.transform)) ||
+    (style.rotate && style.rotate !== 'none') ||
+    (style.scale && style.scale !== 'none') ||
+    style.clipPath !== 'none' ||
+    (style.maskImage && style.maskImage !== 'none')
+  );
+}
+
+/**
+ * Resolves one computed corner radius, e.g. '8px', '8px 4px' or '50%'
+ * @param {string} value - Computed border-*-radius value
+ * @param {Rect} rect - The element's border box
+ * @returns {{x: number, y: number}} Horizontal and vertical radius in pixels
+ */
+function resolveRadius(value, rect) {
+  const [horizontal, vertical = horizontal] = (value || '0px').split(' ');
+  const resolve = (length, size) => Math.min(
+    size,
+    length.endsWith('%') ? (parseFloat(length) / 100) * size : parseFloat(length) || 0
+  );
+  return { x: resolve(horizontal, rect.width), y: resolve(vertical, rect.height) };
+}
+
+/**
+ * Gets the corners of a box that border-radius cuts away
+ * Each corner is covered by a radius-sized rect, so only those need verifying.
+ * @param {Rect} rect - Document-space border box
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @returns {Rect[]} Disjoint corner rects (empty without border-radius)
+ */
+function getRoundedCorners(rect, style) {
+  const right = rect.x + rect.width;
+  const bottom = rect.y + rect.height;
+  const corners = [];
+
+  const topLeft = resolveRadius(style.borderTopLeftRadius, rect);
+  const topRight = resolveRadius(style.borderTopRightRadius, rect);
+  const bottomRight = resolveRadius(style.borderBottomRightRadius, rect);
+  const bottomLeft = resolveRadius(style.borderBottomLeftRadius, rect);
+
+  for (const corner of [
+    createRect(rect.x, rect.y, topLeft.x, topLeft.y),
+    createRect(right - topRight.x, rect.y, topRight.x, topRight.y),
+    createRect(right - bottomRight.x, bottom - bottomRight.y, bottomRight.x, bottomRight.y),
+    createRect(rect.x, bottom - bottomLeft.y, bottomLeft.x, bottomLeft.y)
+  ]) {
+    if (!isEmptyRect(corner)) {
+      corners.push(...subtractRects(corner, corners));
+    }
+  }
+
+  return corners;
+}
+
+/**
+ * Subtracts several rects from one rect
+ * @param {Rect} rect - The rect to subtract from
+ * @param {Rect[]} cuts - The rects to remove
+ * @returns {Rect[]} Disjoint rects covering the part of rect outside every cut
+ */
+function subtractRects(rect, cuts) {
+  let pieces = [rect];
+  for (const cut of cuts) {
+    if (pieces.length === 0) {
+      break;
+    }
+    pieces = pieces.flatMap(piece => subtractRect(piece, cut));
+  }
+  return pieces;
+}
+
+/**
+ * Checks whether a style clips overflowing descendants
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @returns {boolean} True if descendants are clipped to the padding box
+ */
+function clipsDescendants(style) {
+  return (
+    style.overflowX !== 'visible' ||
+    style.overflowY !== 'visible' ||
+    /\b(paint|strict|content)\b/.test(style.contain)
+  );
+}
+
+/**
+ * Gets the padding box of an element in document space, excluding scrollbars
+ * Points on a scrollbar hit the scroll container, never its content.
+ * @param {Element} element - The element
+ * @param {number} pixelRatio - Device pixels per CSS pixel, for snapping
+ * @returns {Rect} The clip rect for the element's descendants
+ */
+function getClipRect(element, pixelRatio) {
+  const box = snapRectToPixels(clientRectToDocumentRect(element.getBoundingClientRect()), pixelRatio);
+  return createRect(
+    box.x + element.clientLeft,
+    box.y + element.clientTop,
+    element.clientWidth,
+    element.clientHeight
+  );
+}
+
+/**
+ * Rects bucketed by the grid cells they overlap, so overlap queries only look at nearby rects
+ * @typedef {Object} RectIndex
+ * @property {function(Rect): void} add - Adds a rect
+ * @property {function(Rect): Rect[]} query - Returns the added rects overlapping a rect
+ */
+
+/**
+ * Creates an empty rect index
+ * @returns {RectIndex} The index
+ */
+function createRectIndex() {
+  const cells = new Map();
+
+  // Calls back with the key of each cell a rect overlaps
+  const forEachCell = (rect, callback) => {
+    const col0 = Math.floor(rect.x / INDEX_CELL_SIZE);
+    const row0 = Math.floor(rect.y / INDEX_CELL_SIZE);
+    const col1 = Math.ceil((rect.x + rect.width) / INDEX_CELL_SIZE);
+    const row1 = Math.ceil((rect.y + rect.height) / INDEX_CELL_SIZE);
+    for (let col = col0; col < col1; col++) {
+      for (let row = row0; row < row1; row++) {
+        callback(`${col},${row}`);
+      }
+    }
+  };
+
+  return {
+    add(rect) {
+      forEachCell(rect, key => {
+        if (!cells.has(key)) {
+          cells.set(key, []);
+        }
+        cells.get(key).push(rect);
+      });
+    },
+
+    query(rect) {
+      const found = new Set();
+      forEachCell(rect, key => {
+        for (const candidate of cells.get(key) || []) {
+          if (intersectRects(candidate, rect)) {
+            found.add(candidate);
+          }
+        }
+      });
+      return Array.from(found);
+    }
+  };
+}
+
+/**
+ * Intersects two optional clip rects
+ * @param {Rect|null} clip - Clip in effect, or null for none
+ * @param {Rect} rect - Additional clip
+ * @returns {Rect} The combined clip
+ */
+function combineClips(clip, rect) {
+  if (!clip) {
+    return rect;
+  }
+  return intersectRects(clip, rect) || EMPTY_CLIP;
+}
+
+/**
+ * Gets the elements rendered as children of an element, following the flat tree
+ * Shadow hosts render their shadow root, and slots render their assigned elements
+ * (or their fallback content).
+ * @param {Element} element - The parent element
+ * @returns {Element[]} Rendered children in tree order
+ */
+function getRenderedChildren(element) {
+  if (element.shadowRoot) {
+    return Array.from(element.shadowRoot.children);
+  }
+
+  if (element.localName === 'slot' && typeof element.assignedElements === 'function') {
+    const assigned = element.assignedElements();
+    if (assigned.length > 0) {
+      return assigned;
+    }
+  }
+
+  return Array.from(element.children);
+}
+
+/**
+ * Compares the paint order of two boxes
+ * @param {Array<number[]>} a - Paint key of the first box
+ * @param {Array<number[]>} b - Paint key of the second box
+ * @returns {number} Negative if a is painted below b, positive if above
+ */
+export function comparePaintOrder(a, b) {
+  const length = Math.min(a.length, b.length);
+
+  for (let i = 0; i < length; i++) {
+    for (let j = 0; j < 3; j++) {
+      if (a[i][j] !== b[i][j]) {
+        return a[i][j] - b[i][j];
+      }
+    }
+  }
+
+  // An element is painted below its own content
+  return a.length - b.length;
+}
+
+/**
+ * Collects the boxes that can receive clicks inside a rect
+ * Boxes of elements with pointer-events: none or visibility: hidden are skipped, but
+ * their descendants are still visited, since they can opt back in. Boxes are snapped to
+ * device pixels like hit testing does, so fractional edges don't lose a row of points.
+ * @param {Rect|null} bounds - Document-space rect of interest, or null for the whole document
+ * @param {RectSampler|null} [sampler=null] - Sampler whose time slices the walk yields between
+ * @returns {Promise<HitBox[]>} Boxes in tree order
+ */
+export async function collectHitBoxes(bounds, sampler = null) {
+  const boxes = [];
+  const pixelRatio = window.devicePixelRatio || 1;
+  let treeOrder = 0;
+
+  const visit = async (element, context) => {
+    if (sampler && sampler.shouldPause()) {
+      await sampler.pause();
+    }
+
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none') {
+      return;
+    }
+
+    const order = treeOrder++;
+    const isRoot = element === document.documentElement;
+    const positioned = style.position !== 'static';
+    const zIndexApplies = positioned || /\b(flex|grid)\b/.test(context.parentDisplay);
+    const zIndex = zIndexApplies && style.zIndex !== 'auto' ? parseInt(style.zIndex, 10) : null;
+    const createsContext =
+      isRoot ||
+      zIndex !== null ||
+      style.position === 'fixed' ||
+      style.position === 'sticky' ||
+      hasIsolatingStyle(style);
+
+    // Positioned elements and stacking contexts are painted as units within their
+    // stacking context; everything else is painted with its group, in tree order
+    let paintKey;
+    if (positioned || createsContext) {
+      const z = zIndex || 0;
+      const layer = z < 0 ? LAYER_NEGATIVE_Z : z > 0 ? LAYER_POSITIVE_Z : LAYER_POSITIONED;
+      paintKey = [...context.stackingKey, [layer, z, order]];
+    } else {
+      paintKey = [...context.groupKey, [LAYER_IN_FLOW, 0, order]];
+    }
+
+    // Absolutely and fixed positioned boxes escape clips between them and their containing block
+    const clip = style.position === 'fixed'
+      ? context.fixedClip
+      : style.position === 'absolute' ? context.absoluteClip : context.clip;
+
+    // Transforms and clip paths make the whole subtree uncertain; rounded corners only
+    // make the corners uncertain, for the element and for descendants it clips
+    const subtreeAmbiguous = context.ambiguous || hasNonRectangularSubtree(style);
+    const ambiguous = subtreeAmbiguous || (element instanceof SVGElement && element.ownerSVGElement !== null);
+    const clientRects = Array.from(
+      element.getClientRects(),
+      rect => snapRectToPixels(clientRectToDocumentRect(rect), pixelRatio)
+    );
+    const corners = clientRects.flatMap(rect => getRoundedCorners(rect, style));
+
+    if (style.pointerEvents !== 'none' && style.visibility === 'visible') {
+      for (const borderBox of clientRects) {
+        let rect = clip ? intersectRects(borderBox, clip) : borderBox;
+        rect = rect && bounds ? intersectRects(rect, bounds) : rect;
+        if (isEmptyRect(rect)) {
+          continue;
+        }
+
+        const uncertain = ambiguous
+          ? [rect]
+          : [...context.corners, ...corners].reduce((pieces, corner) => {
+            const overlap = intersectRects(corner, rect);
+            return overlap ? [...pieces, ...subtractRects(overlap, pieces)] : pieces;
+          }, []);
+        boxes.push({ element, rect, paintKey, uncertain });
+      }
+    }
+
+    // Replaced content such as iframes is sampled by its own document
+    if (element.localName === 'iframe' || element.localName === 'frame') {
+      return;
+    }
+
+    // Overflow on the root and body applies to the viewport, which bounds already covers
+    const clipsChildren = !isRoot && element !== document.body && clipsDescendants(style);
+    const childClip = clipsChildren ? combineClips(clip, getClipRect(element, pixelRatio)) : clip;
+    const formsContainingBlock = style.transform !== 'none' || /\b(paint|layout|strict|content)\b/.test(style.contain);
+    const childContext = {
+      stackingKey: createsContext ? paintKey : context.stackingKey,
+      groupKey: positioned || createsContext ? paintKey : context.groupKey,
+      clip: childClip,
+      absoluteClip: positioned || formsContainingBlock ? childClip : context.absoluteClip,
+      fixedClip: formsContainingBlock ? childClip : context.fixedClip,
+      ambiguous: subtreeAmbiguous,
+      corners: clipsChildren ? [...context.corners, ...corners] : context.corners,
+      parentDisplay: style.display === 'contents' ? context.parentDisplay : style.display
+    };
+
+    for (const child of getRenderedChildren(element)) {
+      await visit(child, childContext);
+    }
+  };
+
+  await visit(document.documentElement, {
+    stackingKey: [],
+    groupKey: [],
+    clip: null,
+    absoluteClip: null,
+    fixedClip: null,
+    ambiguous: false,
+    corners: [],
+    parentDisplay: 'block'
+  });
+
+  return boxes;
+}
+
+/**
+ * Memoizes collectHitBoxes() for the rects of one calculation
+ * The document is walked once and its boxes clipped to each rect, so resampling many small
+ * rects costs one walk. Fixed and sticky boxes move in document space when the page scrolls,
+ * so the document is walked again after scrolling.
+ * @returns {function(RectSampler|null): Promise<HitBox[]>} Returns the boxes of the whole document
+ */
+export function createHitBoxCache() {
+  let boxes = null;
+  let scroll = null;
+
+  return async (sampler = null) => {
+    if (!boxes || scroll.x !== window.scrollX || scroll.y !== window.scrollY) {
+      scroll = { x: window.scrollX, y: window.scrollY };
+      boxes = await collectHitBoxes(null, sampler);
+    }
+    return boxes;
+  };
+}
+
+/**
+ * Clips hit boxes to a rect, dropping those outside it
+ * @param {HitBox[]} boxes - Boxes from collectHitBoxes()
+ * @param {Rect} bounds - Document-space rect of interest
+ * @returns {HitBox[]} The clipped boxes, in the same order
+ */
+function clipHitBoxes(boxes, bounds) {
+  const clipped = [];
+
+  for (const box of boxes) {
+    const rect = intersectRects(box.rect, bounds);
+    if (isEmptyRect(rect)) {
+      continue;
+    }
+
+    const uncertain = box.uncertain
+      .map(piece => intersectRects(piece, rect))
+      .filter(piece => !isEmptyRect(piece));
+    clipped.push({ ...box, rect, uncertain });
+  }
+
+  return clipped;
+}
+
+/**
+ * Computes exact hit regions inside a rect from element geometry
+ * Boxes are processed from the top of the paint order down; each box's visible part is
+ * what remains after subtracting every box above it, so the pieces never overlap. Boxes
+ * above are looked up in a spatial index, so only nearby ones are subtracted.
+ * @param {Rect} bounds - Document-space rect to compute
+ * @param {RectSampler|null} [sampler=null] - Sampler whose time slices the computation yields between
+ * @returns {Promise<{regions: Map<Element, Rect[]>, ambiguous: Rect[]}>} Rectilinear regions per
+ *   interactive element, and visible uncertain parts of boxes that need verifying
+ */
+export async function computeGeometryRegions(bounds, sampler = null) {
+  const boxes = sampler
+    ? clipHitBoxes(await sampler.collectHitBoxes(), bounds)
+    : await collectHitBoxes(bounds);
+  boxes.sort((a, b) => comparePaintOrder(b.paintKey, a.paintKey));
+
+  const regions = new Map();
+  const ambiguous = [];
+  const covered = createRectIndex();
+  const owners = new Map();
+
+  for (const box of boxes) {
+    if (sampler && sampler.shouldPause()) {
+      await sampler.pause();
+    }
+
+    if (!owners.has(box.element)) {
+      owners.set(box.element, findInteractiveAncestor(box.element));
+    }
+    const owner = owners.get(box.element);
+
+    // Exact non-interactive boxes only matter for what they cover
+    if (owner || box.uncertain.length > 0) {
+      const visible = subtractRects(box.rect, covered.query(box.rect));
+      const exact = [];
+
+      for (const piece of visible) {
+        for (const uncertain of box.uncertain) {
+          const overlap = intersectRects(piece, uncertain);
+          if (overlap) {
+            ambiguous.push(overlap);
+          }
+        }
+        exact.push(...subtractRects(piece, box.uncertain));
+      }
+
+      if (owner && exact.length > 0) {
+        if (!regions.has(owner)) {
+          regions.set(owner, []);
+        }
+        regions.get(owner).push(...exact);
+      }
+    }
+
+    covered.add(box.rect);
+  }
+
+  return { regions, ambiguous };
+}
+
+/**
+ * Geometry sampling strategy
+ * Fills the grid points of each exact region without sampling, and samples only the
+ * grid points inside ambiguous boxes. Positions are measured once per calculation and scroll position.
+ * @param {HitRegionMap} hitRegionMap - The map to add coordinates to
+ * @param {Rect} bounds - Document-space rect to sample
+ * @param {RectSampler} sampler - Sampler for the rect, see HitRegionCalculator
+ * @returns {Promise<{verified: number, points: number}>} elementFromPoint samples taken and grid points in bounds
+ */
+export async function sampleGeometry(hitRegionMap, bounds, sampler) {
+  const resolution = hitRegionMap.resolution;
+  const { regions, ambiguous } = await computeGeometryRegions(bounds, sampler);
+
+  // Visits the grid points inside a rect, matching iterateCoordinateGrid()
+  const forEachGridPoint = async (rect, callback) => {
+    let count = 0;
+    for (let col = Math.ceil(rect.x / resolution); col * resolution < rect.x + rect.width; col++) {
+      for (let row = Math.ceil(rect.y / resolution); row * resolution < rect.y + rect.height; row++) {
+        if (sampler.shouldPause()) {
+          await sampler.pause();
+        }
+        callback(createCoordinate(col * resolution, row * resolution));
+        count++;
+      }
+    }
+    sampler.progress(count);
+    return count;
+  };
+
+  let resolved = 0;
+  let verified = 0;
+
+  for (const [owner, rects] of regions) {
+    if (!sampler.accepts(owner)) {
+      continue;
+    }
+    for (const rect of rects) {
+      resolved += await forEachGridPoint(rect, coord => hitRegionMap.addCoordinate(owner, coord));
+    }
+  }
+
+  for (const rect of ambiguous) {
+    resolved += await forEachGridPoint(rect, coord => {
+      const element = sampler.sample(coord);
+      if (element) {
+        hitRegionMap.addCoordinate(element, coord);
+      }
+      verified++;
+    });
+  }
+
+  // Grid points not covered by any interactive or ambiguous box hit nothing interactive
+  const columns = Math.ceil((bounds.x + bounds.width) / resolution) - Math.ceil(bounds.x / resolution);
+  const rows = Math.ceil((bounds.y + bounds.height) / resolution) - Math.ceil(bounds.y / resolution);
+  const points = Math.max(0, columns) * Math.max(0, rows);
+  sampler.progress(Math.max(0, points - resolved));
+
+  return { verified, points };
+}
@@ -0,0 +1,168 @@
+/**
+ * Heatmap Builder
+ * Colors every sampled coordinate of a hit region map, to show at a glance where clicks
+ * do nothing and where targets are crowded
+ */
+
+import { iterateCoordinateGrid } from './HitRegionCalculator.js';
+import { getRegionBounds, WCAG_MINIMUM_TARGET_SIZE } from './HitRegionAuditor.js';
+import PinnedElements from './PinnedElements.js';
+import { coordToKey } from './models/Coordinate.js';
+
+/**
+ * Supported heatmap modes
+ * - elements: each element's hit region in its own color, dead space in gray
+ * - density: how many targets have a hit region within 24px of each point
+ * @type {string[]}
+ */
+export const HEATMAP_MODES = ['elements', 'density'];
+
+/**
+ * Color of sampled points where a click reaches no interactive element
+ * @type {string}
+ */
+export const DEAD_ZONE_COLOR = '#9e9e9e';
+
+/**
+ * Density colors for 1, 2, 3 and 4 or more nearby targets
+ * Points with no nearby target use DEAD_ZONE_COLOR.
+ * @type {string[]}
+ */
+export const DENSITY_COLORS = ['#2ca02c', '#ffbf00', '#ff7f0e', '#d62728'];
+
+/**
+ * Distance within which a target counts towards a point's density
+ * Matches the WCAG 2.5.8 spacing exception: targets closer than 24px are crowded
+ * @type {number}
+ */
+export const DENSITY_RADIUS = WCAG_MINIMUM_TARGET_SIZE;
+
+/**
+ * Largest number of cells in a heatmap
+ * Bigger maps (e.g. a long document sampled at 1px) are drawn on a coarser grid.
+ * @type {number}
+ */
+export const MAX_HEATMAP_CELLS = 200000;
+
+/**
+ * Heatmap of a hit region map
+ * @typedef {Object} Heatmap
+ * @property {Array<{x: number, y: number, color: string}>} cells - Document-space cell centers and colors
+ * @property {number} resolution - Pixels between cells; a multiple of the map's resolution
+ * @property {number} deadCount - Cells where a click reaches no interactive element
+ * @property {number} crowdedCount - Cells within reach of two or more targets (density mode only)
+ */
+
+/**
+ * Picks a grid step that keeps the heatmap below MAX_HEATMAP_CELLS
+ * @param {HitRegionMap} hitRegionMap - The map to draw
+ * @returns {number} A multiple of the map's resolution
+ */
+function getHeatmapResolution(hitRegionMap) {
+  const resolution = hitRegionMap.resolution;
+  const area = hitRegionMap.sampledRects.reduce((total, rect) => total + rect.width * rect.height, 0);
+  const cellCount = area / (resolution * resolution);
+  if (cellCount <= MAX_HEATMAP_CELLS) {
+    return resolution;
+  }
+
+  return resolution * Math.ceil(Math.sqrt(cellCount / MAX_HEATMAP_CELLS));
+}
+
+/**
+ * Counts the targets whose hit region lies within DENSITY_RADIUS of each grid point
+ * Hit regions are approximated by their bounding rects.
+ * @param {HitRegionMap} hitRegionMap - The map to analyze
+ * @param {number} resolution - Grid step
+ * @returns {Map<string, number>} Coordinate key -> number of nearby targets
+ */
+function countNearbyTargets(hitRegionMap, resolution) {
+  const counts = new Map();
+
+  for (const element of hitRegionMap.getElements()) {
+    const bounds = getRegionBounds(hitRegionMap.getCoordinates(element), hitRegionMap.resolution);
+    if (!bounds) {
+      continue;
+    }
+
+    const reach = {
+      x: bounds.x - DENSITY_RADIUS,
+      y: bounds.y - DENSITY_RADIUS,
+      width: bounds.width + 2 * DENSITY_RADIUS,
+      height: bounds.height + 2 * DENSITY_RADIUS
+    };
+    for (const coord of iterateCoordinateGrid(resolution, reach)) {
+      const key = coordToKey(coord);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Assigns each element a color, with neighboring hit regions in different colors
+ * @param {HitRegionMap} hitRegionMap - The map to color
+ * @returns {Map<Element, string>} Element -> hex color
+ */
+function assignElementColors(hitRegionMap) {
+  const palette = new PinnedElements();
+  const colors = new Map();
+
+  for (const element of hitRegionMap.getElements()) {
+    const bounds = getRegionBounds(hitRegionMap.getCoordinates(element), hitRegionMap.resolution);
+    colors.set(element, palette.pin(element, bounds).color);
+  }
+
+  return colors;
+}
+
+/**
+ * Builds a heatmap of every sampled coordinate in a hit region map
+ * @param {HitRegionMap} hitRegionMap - The map to draw
+ * @param {'elements'|'density'} mode - How cells are colored, see HEATMAP_MODES
+ * @returns {Heatmap} The heatmap
+ * @throws {Error} If the mode is unknown
+ */
+export function buildHeatmap(hitRegionMap, mode) {
+  if (!HEATMAP_MODES.includes(mode)) {
+    throw new Error(`Unknown heatmap mode: ${mode}`);
+  }
+
+  const resolution = getHeatmapResolution(hitRegionMap);
+  const elementColors = mode === 'elements' ? assignElementColors(hitRegionMap) : null;
+  const nearbyCounts = mode === 'density' ? countNearbyTargets(hitRegionMap, resolution) : null;
+
+  const cells = [];
+  let deadCount = 0;
+  let crowdedCount = 0;
+
+  // Sampled rects are disjoint, so every cell is visited once
+  for (const rect of hitRegionMap.sampledRects) {
+    for (const coord of iterateCoordinateGrid(resolution, rect)) {
+      const key = coordToKey(coord);
+      const element = hitRegionMap.coordinateToElement.get(key);
+      const nearby = nearbyCounts ? nearbyCounts.get(key) || 0 : 0;
+
+      if (!element) {
+        deadCount++;
+      }
+      if (nearby >= 2) {
+        crowdedCount++;
+      }
+
+      let color;
+      if (elementColors) {
+        color = element ? elementColors.get(element) : DEAD_ZONE_COLOR;
+      } else {
+        color = nearby > 0
+          ? DENSITY_COLORS[Math.min(nearby, DENSITY_COLORS.length) - 1]
+          : DEAD_ZONE_COLOR;
+      }
+
+      cells.push({ x: coord.x, y: coord.y, color });
+    }
+  }
+
+  return { cells, resolution, deadCount, crowdedCount };
+}
@@ -0,0 +1,124 @@
+/**
+ * Hit Region Auditor
+ * Measures every element's hit region against its box and WCAG target size criteria
+ */
+
+import { analyzeOcclusion } from './HitRegionCalculator.js';
+import { matchInteractiveRule } from './InteractiveElementFinder.js';
+import { createRect } from './models/Rect.js';
+
+/**
+ * WCAG 2.5.8 Target Size (Minimum), level AA: 24 by 24 CSS pixels
+ * @type {number}
+ */
+export const WCAG_MINIMUM_TARGET_SIZE = 24;
+
+/**
+ * WCAG 2.5.5 Target Size (Enhanced), level AAA: 44 by 44 CSS pixels
+ * @type {number}
+ */
+export const WCAG_ENHANCED_TARGET_SIZE = 44;
+
+/**
+ * Audit result for a single element
+ * @typedef {Object} AuditEntry
+ * @property {Element} element - The audited element
+ * @property {InteractiveRule|null} rule - The interactive rule the element matched
+ * @property {Rect} box - Bounding box in document coordinates
+ * @property {Rect|null} hitBounds - Extent of the hit region, or null if it has none
+ * @property {number} hitArea - Approximate clickable area in square CSS pixels
+ * @property {number} sampleCount - Number of sampled coordinates owned by the element
+ * @property {number|null} coverage - Percentage of the box that is clickable
+ * @property {Array<{element: Element, count: number, interactive: boolean}>} occluders - Elements stealing parts of the box
+ * @property {boolean} meetsMinimum - Hit region is at least 24×24 (WCAG 2.5.8)
+ * @property {boolean} meetsEnhanced - Hit region is at least 44×44 (WCAG 2.5.5)
+ */
+
+/**
+ * Gets the extent of a sampled region
+ * Each sample stands for the cell of one resolution step around it
+ * @param {Coordinate[]} coordinates - The region's coordinates
+ * @param {number} resolution - Pixels between sample points
+ * @returns {Rect|null} The bounding rect, or null if there are no coordinates
+ */
+export function getRegionBounds(coordinates, resolution) {
+  if (!coordinates || coordinates.length === 0) {
+    return null;
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const coord of coordinates) {
+    minX = Math.min(minX, coord.x);
+    minY = Math.min(minY, coord.y);
+    maxX = Math.max(maxX, coord.x);
+    maxY = Math.max(maxY, coord.y);
+  }
+
+  const half = resolution / 2;
+  return createRect(minX - half, minY - half, maxX - minX + resolution, maxY - minY + resolution);
+}
+
+/**
+ * Audits a single element's hit region
+ * Target size is measured on the hit region, not the box, so occluded targets can fail
+ * @param {HitRegionMap} hitRegionMap - The hit region map to audit
+ * @param {Element} element - The element to audit
+ * @returns {AuditEntry|null} The audit entry, or null if the element has no box
+ */
+export function auditElement(hitRegionMap, element) {
+  const occlusion = analyzeOcclusion(hitRegionMap, element);
+  if (!occlusion) {
+    return null;
+  }
+
+  const resolution = hitRegionMap.resolution;
+  const coordinates = hitRegionMap.getCoordinates(element);
+  const hitBounds = getRegionBounds(coordinates, resolution);
+  const targetSize = hitBounds ? Math.min(hitBounds.width, hitBounds.height) : 0;
+
+  return {
+    element,
+    rule: matchInteractiveRule(element),
+    box: occlusion.box,
+    hitBounds,
+    hitArea: coordinates.length * resolution * resolution,
+    sampleCount: coordinates.length,
+    coverage: occlusion.coverage,
+    occluders: occlusion.occluders,
+    meetsMinimum: targetSize >= WCAG_MINIMUM_TARGET_SIZE,
+    meetsEnhanced: targetSize >= WCAG_ENHANCED_TARGET_SIZE
+  };
+}
+
+/**
+ * Audits every element in a hit region map
+ * @param {HitRegionMap} hitRegionMap - The hit region map to audit
+ * @returns {AuditEntry[]} One entry per element with a box
+ */
+export function auditHitRegions(hitRegionMap) {
+  if (!hitRegionMap) {
+    return [];
+  }
+
+  const entries = [];
+  for (const element of hitRegionMap.getElements()) {
+    if (!element.isConnected) {
+      continue;
+    }
+
+    try {
+      const entry = auditElement(hitRegionMap, element);
+      if (entry) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      console.error('Error auditing element:', element, error);
+    }
+  }
+
+  return entries;
+}
@@ -1,41 +1,251 @@
 /**
  * Hit Region Calculator
- * Samples the viewport and builds element-to-coordinates mappings
+ * Samples the viewport or document and builds element-to-coordinates mappings
  */
 
-import { findInteractiveAncestor } from './InteractiveElementFinder.js';
+import {
+  findInteractiveAncestor,
+  findInteractiveElements,
+  getComposedParent
+} from './InteractiveElementFinder.js';
 import { HitRegionMap } from './models/HitRegionMap.js';
-import { createCoordinate } from './models/Coordinate.js';
+import { createCoordinate, coordToKey } from './models/Coordinate.js';
+import { createTimeSlicer } from './Scheduler.js';
+import { sampleAdaptive } from './AdaptiveSampler.js';
+import { sampleGeometry, createHitBoxCache } from './GeometryCalculator.js';
+import {
+  createRect,
+  intersectRects,
+  clientRectToDocumentRect,
+  rectContainsPoint
+} from './models/Rect.js';
 
 /**
- * Generates a grid of coordinates covering the viewport at the specified resolution
+ * Gets the area to sample for a sampling scope, in document coordinates
+ * @param {'viewport'|'document'} scope - 'viewport' for the visible area (the visual viewport when pinch-zoomed), 'document' for the whole scrollable page
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds in document coordinates
+ */
+export function getSamplingBounds(scope = 'viewport') {
+  if (scope === 'document') {
+    const root = document.documentElement;
+    const body = document.body;
+
+    return {
+      x: 0,
+      y: 0,
+      width: Math.max(root.scrollWidth, body ? body.scrollWidth : 0, root.clientWidth),
+      height: Math.max(root.scrollHeight, body ? body.scrollHeight : 0, root.clientHeight)
+    };
+  }
+
+  const layoutViewport = createRect(window.scrollX, window.scrollY, window.innerWidth, window.innerHeight);
+  const visualViewport = window.visualViewport;
+  if (!visualViewport) {
+    return layoutViewport;
+  }
+
+  // Pinch zoom shows only part of the layout viewport; elementFromPoint can't reach past its edges
+  const visibleArea = createRect(
+    window.scrollX + visualViewport.offsetLeft,
+    window.scrollY + visualViewport.offsetTop,
+    visualViewport.width,
+    visualViewport.height
+  );
+  return intersectRects(layoutViewport, visibleArea) || layoutViewport;
+}
+
+/**
+ * Iterates over a grid of coordinates covering the given bounds at the specified resolution
+ * Coordinates are in document space and aligned to multiples of the resolution, so grids
+ * generated at different scroll positions share the same sample points. Coordinates are
+ * produced lazily, so fine resolutions don't allocate the whole grid up front.
+ * @param {number} resolution - Pixels between sample points
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Area to cover in document coordinates
+ * @yields {Coordinate} Coordinates covering the bounds, column by column
+ */
+export function* iterateCoordinateGrid(resolution, bounds) {
+  const startX = Math.ceil(bounds.x / resolution) * resolution;
+  const startY = Math.ceil(bounds.y / resolution) * resolution;
+  const endX = bounds.x + bounds.width;
+  const endY = bounds.y + bounds.height;
+
+  for (let x = startX; x < endX; x += resolution) {
+    for (let y = startY; y < endY; y += resolution) {
+      yield createCoordinate(x, y);
+    }
+  }
+}
+
+/**
+ * Counts the coordinates iterateCoordinateGrid() produces for the given bounds
  * @param {number} resolution - Pixels between sample points
- * @returns {Coordinate[]} Array of coordinates covering the viewport
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Area to cover in document coordinates
+ * @returns {number} Number of grid coordinates
+ */
+export function countGridCoordinates(resolution, bounds) {
+  const columns = Math.max(0, Math.ceil((bounds.x + bounds.width) / resolution) - Math.ceil(bounds.x / resolution));
+  const rows = Math.max(0, Math.ceil((bounds.y + bounds.height) / resolution) - Math.ceil(bounds.y / resolution));
+  return columns * rows;
+}
+
+/**
+ * Generates a grid of coordinates covering the given bounds at the specified resolution
+ * @param {number} resolution - Pixels between sample points
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Area to cover in document coordinates (default: current viewport)
+ * @returns {Coordinate[]} Array of coordinates covering the bounds
+ */
+export function generateCoordinateGrid(resolution, bounds = getSamplingBounds('viewport')) {
+  return Array.from(iterateCoordinateGrid(resolution, bounds));
+}
+
+/**
+ * Splits the sampling scope into passes that can each be sampled at a single scroll position
+ * elementFromPoint only sees the visible viewport, so document scope scrolls through
+ * viewport-sized tiles, starting at the top-left of the document. This is visible to the
+ * page: it scrolls on screen and its own scroll handlers run. Fixed-position elements
+ * appear in every tile, so they are only recorded in the first one.
+ * @param {'viewport'|'document'} scope - The sampling scope
+ * @returns {Array<{scroll: {x: number, y: number}|null, bounds: Rect}>} Sampling passes
+ */
+function createSamplingPasses(scope) {
+  if (scope !== 'document') {
+    const bounds = getSamplingBounds('viewport');
+    return [{ scroll: null, bounds }];
+  }
+
+  const bounds = getSamplingBounds('document');
+  // clientWidth/clientHeight exclude scrollbars, which elementFromPoint cannot hit
+  const tileWidth = document.documentElement.clientWidth || window.innerWidth;
+  const tileHeight = document.documentElement.clientHeight || window.innerHeight;
+  const passes = [];
+
+  for (let top = 0; top < bounds.height; top += tileHeight) {
+    for (let left = 0; left < bounds.width; left += tileWidth) {
+      const tile = createRect(
+        left,
+        top,
+        Math.min(tileWidth, bounds.width - left),
+        Math.min(tileHeight, bounds.height - top)
+      );
+      passes.push({ scroll: { x: left, y: top }, bounds: tile });
+    }
+  }
+
+  return passes;
+}
+
+/**
+ * Memoizes findInteractiveElements() for the rects of one calculation
+ * Strategies that need target boxes ask for them per rect; the DOM is only walked once.
+ * @returns {function(): Element[]} Returns the interactive elements, found on the first call
+ */
+export function createTargetFinder() {
+  let elements = null;
+  return () => {
+    if (!elements) {
+      elements = findInteractiveElements();
+    }
+    return elements;
+  };
+}
+
+/**
+ * Checks whether an element is fixed-positioned or inside a fixed-positioned ancestor
+ * Such elements stay in place while the page scrolls through tiles.
+ * @param {Element} element - The element to check
+ * @param {Map<Element, boolean>} cache - Results so far, shared by the whole calculation
+ * @returns {boolean} True if the element is positioned relative to the viewport
+ */
+function isInFixedLayer(element, cache) {
+  const unresolved = [];
+  let fixed = false;
+
+  for (let node = element; node; node = getComposedParent(node)) {
+    if (cache.has(node)) {
+      fixed = cache.get(node);
+      break;
+    }
+    unresolved.push(node);
+    if (getComputedStyle(node).position === 'fixed') {
+      fixed = true;
+      break;
+    }
+  }
+
+  // Everything below a fixed element, or below a resolved ancestor, shares its result
+  for (const node of unresolved) {
+    cache.set(node, fixed);
+  }
+  return fixed;
+}
+
+/**
+ * Maximum number of nested shadow roots to descend into when sampling
+ */
+const MAX_SHADOW_DEPTH = 32;
+
+/**
+ * Finds the slot that renders a host's text at a viewport coordinate
+ * Text nodes have no element of their own, so hit testing reports their light-DOM
+ * parent, the host, even though they are rendered inside the shadow tree's slot.
+ * @param {Element} host - A shadow host
+ * @param {number} x - The x-coordinate in the viewport
+ * @param {number} y - The y-coordinate in the viewport
+ * @returns {HTMLSlotElement|null} The slot of the text under the point, or null
  */
-export function generateCoordinateGrid(resolution) {
-  const coordinates = [];
-  const width = window.innerWidth;
-  const height = window.innerHeight;
+function findSlottedTextAt(host, x, y) {
+  const range = document.createRange();
+
+  for (const node of host.childNodes) {
+    if (node.nodeType !== Node.TEXT_NODE || !node.assignedSlot) {
+      continue;
+    }
 
-  for (let x = 0; x < width; x += resolution) {
-    for (let y = 0; y < height; y += resolution) {
-      coordinates.push(createCoordinate(x, y));
+    range.selectNodeContents(node);
+    for (const rect of range.getClientRects()) {
+      if (x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom) {
+        return node.assignedSlot;
+      }
     }
   }
 
-  return coordinates;
+  return null;
+}
+
+/**
+ * Finds the innermost element at a viewport coordinate, piercing open shadow roots
+ * document.elementFromPoint() stops at shadow hosts, so each open shadow root is
+ * queried in turn until no deeper element is found. Where the host itself is hit,
+ * the point may lie on slotted text; the slot rendering it is returned then, so the
+ * click is attributed to the shadow-tree element around the slot, as in the browser.
+ * @param {number} x - The x-coordinate in the viewport
+ * @param {number} y - The y-coordinate in the viewport
+ * @returns {Element|null} The innermost element at that coordinate, or null
+ */
+export function elementFromPointDeep(x, y) {
+  let element = document.elementFromPoint(x, y);
+
+  for (let depth = 0; element && element.shadowRoot && depth < MAX_SHADOW_DEPTH; depth++) {
+    const inner = element.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === element) {
+      return findSlottedTextAt(element, x, y) || element;
+    }
+    element = inner;
+  }
+
+  return element;
 }
 
 /**
  * Samples a single coordinate to find the interactive element at that position
- * @param {number} x - The x-coordinate
- * @param {number} y - The y-coordinate
+ * @param {number} x - The x-coordinate in the viewport
+ * @param {number} y - The y-coordinate in the viewport
  * @returns {Element|null} The interactive element at that coordinate, or null
  */
 export function sampleCoordinate(x, y) {
   try {
-    // Call document.elementFromPoint to get the element at this coordinate
-    const element = document.elementFromPoint(x, y);
+    // Get the element at this coordinate, including inside open shadow roots
+    const element = elementFromPointDeep(x, y);
     
     // Handle null returns gracefully
     if (!element) {
@@ -43,7 +253,8 @@ export function sampleCoordinate(x, y) {
     }
     
     // Check if element is still in the document (not removed during calculation)
-    if (!document.contains(element)) {
+    // isConnected also covers elements inside shadow trees, unlike document.contains()
+    if (!element.isConnected) {
       console.warn(`Element at (${x}, ${y}) was removed from DOM during calculation`);
       return null;
     }
@@ -60,67 +271,252 @@ export function sampleCoordinate(x, y) {
 }
 
 /**
- * Calculates hit regions for all interactive elements in the viewport
+ * Samples points of one rect for a sampling strategy
+ * Handles time slicing, cancellation, timeouts and progress, so strategies only decide
+ * which points to sample. The user may scroll while sampling is paused; the sampler never
+ * scrolls back. Only the part of the rect that stayed in view throughout is reported as
+ * sampled, so scrolled-away parts are picked up again later, and the calculation is told
+ * to stop scrolling through document tiles.
+ * @typedef {Object} RectSampler
+ * @property {function(): boolean} shouldPause - True when the current time slice is used up
+ * @property {function(): Promise<void>} pause - Yields to the main thread
+ * @property {function(Coordinate): (Element|null)} sample - Samples a document coordinate
+ * @property {function(): Element[]} findTargets - Interactive elements, found once per calculation
+ * @property {function(): Promise<HitBox[]>} collectHitBoxes - Hit boxes of the whole document, collected
+ *   once per calculation and scroll position
+ * @property {function(Element): boolean} accepts - False for elements this pass must not record,
+ *   i.e. fixed-position ones outside the first pass
+ * @property {function(number): void} progress - Reports that a number of grid points were resolved
+ * @property {function(): (Rect|null)} getSampledBounds - The part of the rect that was fully sampled
+ */
+
+/**
+ * Creates a rect sampler
+ * @param {Rect} bounds - Document-space rect to sample, inside the viewport at the scroll target
+ * @param {Object} context - Shared state of the calculation
+ * @param {TimeSlicer} context.slicer - Decides when to yield
+ * @param {boolean} context.userScrolled - Set once the page scrolled while sampling was paused
+ * @param {boolean} context.recordFixed - Whether fixed-position elements are recorded in this pass
+ * @param {Map<Element, boolean>} context.fixedLayers - Cache for isInFixedLayer()
+ * @param {function(): Element[]} context.findTargets - From createTargetFinder()
+ * @param {Function} context.hitBoxes - From createHitBoxCache()
+ * @param {AbortSignal|null} context.signal - AbortSignal for cancellation
+ * @param {number} context.deadline - performance.now() value after which the calculation times out
+ * @param {Function|null} context.onSample - Called with the number of grid points resolved
+ * @returns {RectSampler} The sampler
+ */
+function createRectSampler(bounds, context) {
+  const { slicer, recordFixed, fixedLayers, findTargets, hitBoxes, signal, deadline, onSample } = context;
+  let scrollX = window.scrollX;
+  let scrollY = window.scrollY;
+  let sampledBounds = bounds;
+
+  const accepts = element => recordFixed || !isInFixedLayer(element, fixedLayers);
+
+  const sampler = {
+    shouldPause() {
+      return slicer.shouldYield();
+    },
+
+    async pause() {
+      await slicer.yield();
+
+      // The user may have scrolled while we were paused; follow them instead of scrolling back
+      if (window.scrollX !== scrollX || window.scrollY !== scrollY) {
+        context.userScrolled = true;
+        scrollX = window.scrollX;
+        scrollY = window.scrollY;
+        sampledBounds = sampledBounds && intersectRects(sampledBounds, getSamplingBounds('viewport'));
+      }
+    },
+
+    sample(coord) {
+      // Check for cancellation
+      if (signal && signal.aborted) {
+        throw new Error('Calculation cancelled by user');
+      }
+
+      // Check for timeout
+      if (performance.now() > deadline) {
+        throw new Error('Calculation exceeded its timeout');
+      }
+
+      try {
+        // Convert the document coordinate to the viewport for elementFromPoint
+        const element = sampleCoordinate(coord.x - scrollX, coord.y - scrollY);
+
+        // Check if element is still valid before adding
+        return element && element.isConnected && accepts(element) ? element : null;
+      } catch (error) {
+        // Log error but continue with remaining coordinates
+        console.error(`Error processing coordinate (${coord.x}, ${coord.y}):`, error);
+        return null;
+      }
+    },
+
+    accepts,
+    findTargets,
+
+    collectHitBoxes() {
+      return hitBoxes(sampler);
+    },
+
+    progress(count) {
+      if (onSample) {
+        onSample(count);
+      }
+    },
+
+    getSampledBounds() {
+      return sampledBounds;
+    }
+  };
+
+  return sampler;
+}
+
+/**
+ * Grid sampling strategy: samples every grid point of the rect
+ * @param {HitRegionMap} hitRegionMap - The map to add coordinates to
+ * @param {Rect} bounds - Document-space rect to sample
+ * @param {RectSampler} sampler - Sampler for the rect
+ * @returns {Promise<void>}
+ */
+async function sampleGrid(hitRegionMap, bounds, sampler) {
+  for (const coord of iterateCoordinateGrid(hitRegionMap.resolution, bounds)) {
+    if (sampler.shouldPause()) {
+      await sampler.pause();
+    }
+
+    // If an interactive element was found, add the coordinate to the map
+    const element = sampler.sample(coord);
+    if (element) {
+      hitRegionMap.addCoordinate(element, coord);
+    }
+    sampler.progress(1);
+  }
+}
+
+/**
+ * Sampling strategies by configuration name
+ * Each fills a hit region map with the grid points of a rect, using a RectSampler
+ */
+const SAMPLING_STRATEGIES = {
+  grid: sampleGrid,
+  adaptive: sampleAdaptive,
+  geometry: sampleGeometry
+};
+
+/**
+ * Samples one rect into a hit region map with the given strategy
+ * @param {HitRegionMap} hitRegionMap - The map to add coordinates to
+ * @param {Rect} bounds - Document-space rect to sample
+ * @param {string} strategy - Name of the sampling strategy
+ * @param {Object} context - Shared state of the calculation, see createRectSampler()
+ * @returns {Promise<Rect|null>} The part of bounds that was fully sampled
+ * @throws {Error} If the calculation is aborted or times out
+ */
+async function sampleRect(hitRegionMap, bounds, strategy, context) {
+  const sampleWithStrategy = SAMPLING_STRATEGIES[strategy];
+  if (!sampleWithStrategy) {
+    throw new Error(`Unknown sampling strategy: ${strategy}`);
+  }
+
+  const sampler = createRectSampler(bounds, context);
+  await sampleWithStrategy(hitRegionMap, bounds, sampler);
+  return sampler.getSampledBounds();
+}
+
+/**
+ * Calculates hit regions for all interactive elements in the viewport or the whole document
+ * Coordinates in the returned map are in document space (viewport position + scroll offset).
+ * Sampling is time-sliced: the loop yields to the main thread between short slices, so the
+ * page stays responsive and progress updates and cancellation take effect mid-calculation.
  * @param {number} resolution - Pixels between sample points (default: 10)
  * @param {Object} options - Optional configuration
+ * @param {'viewport'|'document'} options.scope - Area to sample (default: 'viewport')
  * @param {number} options.timeout - Maximum calculation time in milliseconds (default: 5000)
  * @param {Function} options.onProgress - Progress callback function
  * @param {AbortSignal} options.signal - AbortSignal for cancellation
- * @returns {HitRegionMap} The calculated hit region map
+ * @param {number} options.sliceBudget - Milliseconds to sample before yielding (default: 8)
+ * @param {'grid'|'adaptive'|'geometry'} options.strategy - Sampling strategy (default: 'grid')
+ * @returns {Promise<HitRegionMap>} The calculated hit region map
  * @throws {Error} If calculation times out or is aborted
  */
-export function calculate(resolution = 10, options = {}) {
+export async function calculate(resolution = 10, options = {}) {
   const { 
+    scope = 'viewport',
     timeout = 5000, 
     onProgress = null,
-    signal = null 
+    signal = null,
+    sliceBudget = undefined,
+    strategy = 'grid'
   } = options;
   
   // Track calculation start time for performance monitoring
   const startTime = performance.now();
   
   // Create a new HitRegionMap instance
-  const hitRegionMap = new HitRegionMap();
+  const hitRegionMap = new HitRegionMap({ resolution });
   
-  // Generate coordinate grid using configured resolution
-  const coordinates = generateCoordinateGrid(resolution);
-  const totalCoordinates = coordinates.length;
+  // Split the scope into passes that can each be sampled at one scroll position
+  const passes = createSamplingPasses(scope);
+  const totalCoordinates = passes.reduce(
+    (total, pass) => total + countGridCoordinates(resolution, pass.bounds),
+    0
+  );
+  const progressInterval = Math.max(1, Math.floor(totalCoordinates / 100));
   
-  // Loop through all coordinates and sample each one
-  for (let i = 0; i < coordinates.length; i++) {
-    // Check for cancellation
-    if (signal && signal.aborted) {
-      throw new Error('Calculation cancelled by user');
-    }
-    
-    // Check for timeout
-    const elapsed = performance.now() - startTime;
-    if (elapsed > timeout) {
-      console.error(`Calculation timeout after ${elapsed.toFixed(2)}ms`);
-      throw new Error(`Calculation exceeded timeout of ${timeout}ms`);
-    }
-    
-    const coord = coordinates[i];
-    
-    try {
-      const element = sampleCoordinate(coord.x, coord.y);
-      
-      // If an interactive element was found, add the coordinate to the map
-      if (element) {
-        // Check if element is still valid before adding
-        if (document.contains(element)) {
-          hitRegionMap.addCoordinate(element, coord);
+  // Remember the scroll position so document scope can restore it afterwards
+  const originalScroll = { x: window.scrollX, y: window.scrollY };
+  let processed = 0;
+  
+  const context = {
+    slicer: createTimeSlicer(sliceBudget),
+    userScrolled: false,
+    recordFixed: true,
+    fixedLayers: new Map(),
+    findTargets: createTargetFinder(),
+    hitBoxes: createHitBoxCache(),
+    signal,
+    deadline: startTime + timeout,
+    // Report progress periodically (every 1%)
+    onSample: onProgress
+      ? (count) => {
+        const previous = processed;
+        processed += count;
+        if (Math.floor(processed / progressInterval) > Math.floor(previous / progressInterval)) {
+          onProgress((processed / totalCoordinates) * 100, processed, totalCoordinates);
         }
       }
-    } catch (error) {
-      // Log error but continue with remaining coordinates
-      console.error(`Error processing coordinate (${coord.x}, ${coord.y}):`, error);
+      : null
+  };
+  
+  try {
+    for (const [index, pass] of passes.entries()) {
+      if (pass.scroll) {
+        // Once the user scrolls, the remaining tiles stay unsampled until scrolled into view
+        if (context.userScrolled) {
+          break;
+        }
+        window.scrollTo({ left: pass.scroll.x, top: pass.scroll.y, behavior: 'instant' });
+      }
+      
+      context.recordFixed = index === 0;
+      const sampledBounds = await sampleRect(hitRegionMap, pass.bounds, strategy, context);
+      if (sampledBounds) {
+        hitRegionMap.markSampled(sampledBounds);
+      }
     }
-    
-    // Report progress periodically (every 10%)
-    if (onProgress && i % Math.floor(totalCoordinates / 10) === 0) {
-      const progress = (i / totalCoordinates) * 100;
-      onProgress(progress, i, totalCoordinates);
+  } catch (error) {
+    if (error.message.includes('timeout')) {
+      console.error(`Calculation timeout after ${(performance.now() - startTime).toFixed(2)}ms`);
+    }
+    throw error;
+  } finally {
+    // Leave the page where the user scrolled it
+    if (scope === 'document' && !context.userScrolled) {
+      window.scrollTo({ left: originalScroll.x, top: originalScroll.y, behavior: 'instant' });
     }
   }
   
@@ -139,13 +535,160 @@ export function calculate(resolution = 10, options = {}) {
   // Log calculation statistics
   const stats = hitRegionMap.getStats();
   console.log(
-    `Hit region calculation complete: ${stats.elementCount} elements, ` +
+    `Hit region calculation complete (${scope}, ${strategy}): ${stats.elementCount} elements, ` +
     `${stats.coordinateCount} coordinates, ${duration.toFixed(2)}ms`
   );
   
   return hitRegionMap;
 }
 
+/**
+ * Resamples part of the page into an existing hit region map
+ * Only the portion of the rect inside the current viewport can be sampled;
+ * existing coordinates there are replaced. Used to fill strips exposed by
+ * scrolling and to refresh scrolled containers without a full recalculation.
+ * Time-sliced like calculate().
+ * @param {HitRegionMap} hitRegionMap - The map to update
+ * @param {Rect} rect - Document-space rect to resample
+ * @param {Object} options - Optional configuration
+ * @param {AbortSignal} options.signal - AbortSignal for cancellation
+ * @param {number} options.timeout - Maximum time in milliseconds (default: 5000)
+ * @param {'grid'|'adaptive'|'geometry'} options.strategy - Sampling strategy (default: 'grid')
+ * @param {function(): Element[]} options.findTargets - From createTargetFinder(), to share one DOM
+ *   walk between rects resampled together (default: a new one)
+ * @param {Function} options.hitBoxes - From createHitBoxCache(), to share the geometry strategy's
+ *   DOM walk between rects resampled together (default: a new one)
+ * @returns {Promise<number>} Number of grid points resolved
+ */
+export async function calculateRegion(hitRegionMap, rect, options = {}) {
+  if (!hitRegionMap || !rect) {
+    return 0;
+  }
+
+  const visible = intersectRects(rect, getSamplingBounds('viewport'));
+  if (!visible) {
+    return 0;
+  }
+
+  const {
+    signal = null,
+    timeout = 5000,
+    strategy = 'grid',
+    findTargets = createTargetFinder(),
+    hitBoxes = createHitBoxCache()
+  } = options;
+
+  hitRegionMap.removeCoordinatesInRect(visible);
+
+  const sampledBounds = await sampleRect(hitRegionMap, visible, strategy, {
+    slicer: createTimeSlicer(),
+    userScrolled: false,
+    recordFixed: true,
+    fixedLayers: new Map(),
+    findTargets,
+    hitBoxes,
+    signal,
+    deadline: performance.now() + timeout,
+    onSample: null
+  });
+
+  if (sampledBounds) {
+    hitRegionMap.markSampled(sampledBounds);
+  }
+  return countGridCoordinates(hitRegionMap.resolution, visible);
+}
+
+/**
+ * Occlusion report comparing an element's box with its hit region
+ * @typedef {Object} OcclusionReport
+ * @property {Rect} box - The element's bounding box in document coordinates
+ * @property {number} expectedCount - Sampled grid points inside the box
+ * @property {number} coveredCount - Points inside the box owned by the element
+ * @property {number|null} coverage - Percentage of the box owned by the element, or null if nothing was sampled
+ * @property {number} outsideCount - Points owned by the element outside its box (e.g. overflowing children)
+ * @property {Coordinate[]} occludedCoordinates - Points inside the box owned by something else
+ * @property {Array<{element: Element, count: number, interactive: boolean}>} occluders - Elements stealing points, most first
+ * @property {number} unattributedCount - Occluded points with no known occluder
+ */
+
+/**
+ * Compares an element's bounding box with its actual hit region
+ * Every sampled grid point inside the box that the element does not own is "occluded".
+ * Each occluded point is attributed to the interactive element that owns it in the map,
+ * or, when no interactive element does, to the raw elementFromPoint() result. Raw lookups
+ * only work inside the current viewport; other points are counted as unattributed.
+ * @param {HitRegionMap} hitRegionMap - The hit region map to compare against
+ * @param {Element} element - The element to analyze
+ * @returns {OcclusionReport|null} Occlusion report, or null if the element has no box
+ */
+export function analyzeOcclusion(hitRegionMap, element) {
+  if (!hitRegionMap || !element) {
+    return null;
+  }
+
+  const clientRect = element.getBoundingClientRect();
+  if (clientRect.width === 0 || clientRect.height === 0) {
+    return null;
+  }
+
+  const box = clientRectToDocumentRect(clientRect);
+  const viewport = getSamplingBounds('viewport');
+  const ownKeys = new Set(
+    hitRegionMap.getCoordinates(element).map(coordToKey)
+  );
+
+  // Only grid points that were actually sampled can be compared
+  const expected = hitRegionMap.sampledRects
+    .map(sampled => intersectRects(sampled, box))
+    .filter(Boolean)
+    .flatMap(part => generateCoordinateGrid(hitRegionMap.resolution, part));
+
+  const occludedCoordinates = [];
+  const occluders = new Map();
+  let coveredCount = 0;
+  let unattributedCount = 0;
+
+  for (const coord of expected) {
+    if (ownKeys.has(coordToKey(coord))) {
+      coveredCount++;
+      continue;
+    }
+
+    occludedCoordinates.push(coord);
+
+    let occluder = hitRegionMap.getElement(coord);
+    let interactive = true;
+
+    if (!occluder && rectContainsPoint(viewport, coord)) {
+      // Client coordinates are relative to the layout viewport, which the visual viewport may be offset in
+      occluder = elementFromPointDeep(coord.x - window.scrollX, coord.y - window.scrollY);
+      interactive = false;
+    }
+
+    if (!occluder) {
+      unattributedCount++;
+      continue;
+    }
+
+    const entry = occluders.get(occluder) || { element: occluder, count: 0, interactive };
+    entry.count++;
+    occluders.set(occluder, entry);
+  }
+
+  const outsideCount = ownKeys.size - coveredCount;
+
+  return {
+    box,
+    expectedCount: expected.length,
+    coveredCount,
+    coverage: expected.length > 0 ? (coveredCount / expected.length) * 100 : null,
+    outsideCount,
+    occludedCoordinates,
+    occluders: Array.from(occluders.values()).sort((a, b) => b.count - a.count),
+    unattributedCount
+  };
+}
+
 /**
  * Gets the hit region (array of coordinates) for a specific element
  * @param {HitRegionMap} hitRegionMap - The hit region map to query
@@ -0,0 +1,190 @@
+/**
+ * Hit Region Diff
+ * Compares a page's hit regions with a saved baseline: elements that appeared or
+ * disappeared, shrank or grew, moved, or became occluded
+ *
+ * Both sides are documents from buildExportData(), so baselines, JSON exports and the
+ * live page can be compared with each other.
+ */
+
+import { identifierToKey } from './ElementIdentifier.js';
+import { rectContainsPoint } from './models/Rect.js';
+import { coordToKey } from './models/Coordinate.js';
+
+/**
+ * Color of hit region area gained since the baseline
+ * @type {string}
+ */
+export const DIFF_ADDED_COLOR = '#2ca02c';
+
+/**
+ * Color of hit region area lost since the baseline
+ * @type {string}
+ */
+export const DIFF_REMOVED_COLOR = '#d62728';
+
+/**
+ * Relative change of hit area that counts as shrinking or growing, and share of
+ * points that must differ for a region of the same size to count as moved
+ * @type {number}
+ */
+export const AREA_CHANGE_THRESHOLD = 0.1;
+
+/**
+ * Drop in coverage, in percentage points, that counts as becoming occluded
+ * @type {number}
+ */
+export const COVERAGE_CHANGE_THRESHOLD = 5;
+
+/**
+ * Kinds of change, in the order they are listed
+ * @type {string[]}
+ */
+export const DIFF_CHANGES = ['removed', 'added', 'shrunk', 'occluded', 'grown', 'moved'];
+
+/**
+ * Change to one element
+ * @typedef {Object} DiffEntry
+ * @property {string} key - Element key, as in the export documents
+ * @property {ElementIdentifier} identifier - The element's identifier
+ * @property {string} label - Short element description
+ * @property {string[]} changes - Kinds of change (DIFF_CHANGES); empty if unchanged
+ * @property {{hitArea: number, hitBounds: Object|null, coverage: number|null}|null} before - Baseline measurements, or null if added
+ * @property {{hitArea: number, hitBounds: Object|null, coverage: number|null}|null} after - Current measurements, or null if removed
+ * @property {Array<{identifier: ElementIdentifier, label: string}>} newOccluders - Occluders the baseline didn't have
+ */
+
+/**
+ * Difference between a baseline and the current page
+ * @typedef {Object} HitRegionDiff
+ * @property {boolean} comparable - Both sides use the same sampling resolution, so their points can be matched
+ * @property {number} baselineResolution - Sampling resolution of the baseline
+ * @property {DiffEntry[]} entries - One entry per element in either document, changed ones first
+ * @property {Array<{x: number, y: number, added: boolean}>} coordinates - Points gained or lost by changed
+ *   elements; empty unless comparable
+ * @property {Object<string, number>} counts - Number of entries per kind of change, plus 'unchanged'
+ */
+
+/**
+ * Creates a test for points both documents sampled
+ * Only those can be compared; everything else would show up as removed or added.
+ * @param {Object} baseline - Baseline document
+ * @param {Object} current - Current document
+ * @returns {function(Coordinate): boolean} True for points sampled on both sides
+ */
+function createSharedAreaTest(baseline, current) {
+  // Documents without sampled rects count as sampled everywhere
+  const createTest = rects => (rects ? coord => rects.some(rect => rectContainsPoint(rect, coord)) : () => true);
+  const inBaseline = createTest(baseline.sampledRects);
+  const inCurrent = createTest(current.sampledRects);
+  return coord => inBaseline(coord) && inCurrent(coord);
+}
+
+/**
+ * Summarizes an element's measurements for a diff entry
+ * @param {Object} element - Element entry from an export document
+ * @param {number} hitArea - Hit area inside the shared area
+ * @returns {{hitArea: number, hitBounds: Object|null, coverage: number|null}} The summary
+ */
+function summarize(element, hitArea) {
+  return { hitArea, hitBounds: element.hitBounds, coverage: element.coverage };
+}
+
+/**
+ * Compares the hit regions of a baseline with the current ones
+ * @param {Object} baseline - Document from buildExportData(), saved earlier
+ * @param {Object} current - Document from buildExportData() for the page now
+ * @returns {HitRegionDiff} The differences
+ */
+export function diffHitRegions(baseline, current) {
+  const comparable = baseline.resolution === current.resolution;
+  const isShared = createSharedAreaTest(baseline, current);
+  const toCoordinates = element =>
+    element ? element.coordinates.map(([x, y]) => ({ x, y })).filter(isShared) : [];
+
+  const entries = [];
+  const coordinates = [];
+  const counts = Object.fromEntries([...DIFF_CHANGES, 'unchanged'].map(change => [change, 0]));
+  const keys = new Set([...Object.keys(baseline.elements), ...Object.keys(current.elements)]);
+
+  for (const key of keys) {
+    const before = baseline.elements[key];
+    const after = current.elements[key];
+    const beforeCoordinates = toCoordinates(before);
+    const afterCoordinates = toCoordinates(after);
+
+    // Elements entirely outside the shared area can't be compared
+    if (beforeCoordinates.length === 0 && afterCoordinates.length === 0) {
+      continue;
+    }
+
+    const beforeArea = beforeCoordinates.length * baseline.resolution * baseline.resolution;
+    const afterArea = afterCoordinates.length * current.resolution * current.resolution;
+    const changes = [];
+    let gained = afterCoordinates;
+    let lost = beforeCoordinates;
+
+    if (beforeCoordinates.length === 0) {
+      changes.push('added');
+    } else if (afterCoordinates.length === 0) {
+      changes.push('removed');
+    } else {
+      const areaChange = (afterArea - beforeArea) / beforeArea;
+      if (areaChange <= -AREA_CHANGE_THRESHOLD) {
+        changes.push('shrunk');
+      } else if (areaChange >= AREA_CHANGE_THRESHOLD) {
+        changes.push('grown');
+      }
+
+      if (before.coverage !== null && after.coverage !== null &&
+          before.coverage - after.coverage >= COVERAGE_CHANGE_THRESHOLD) {
+        changes.push('occluded');
+      }
+
+      if (comparable) {
+        const beforeKeys = new Set(beforeCoordinates.map(coordToKey));
+        const afterKeys = new Set(afterCoordinates.map(coordToKey));
+        gained = afterCoordinates.filter(coord => !beforeKeys.has(coordToKey(coord)));
+        lost = beforeCoordinates.filter(coord => !afterKeys.has(coordToKey(coord)));
+
+        const moved = Math.max(gained.length, lost.length) / beforeCoordinates.length;
+        if (changes.length === 0 && moved >= AREA_CHANGE_THRESHOLD) {
+          changes.push('moved');
+        }
+      }
+    }
+
+    // Points on different grids never match, so nothing is drawn for them
+    if (comparable && changes.length > 0) {
+      gained.forEach(coord => coordinates.push({ ...coord, added: true }));
+      lost.forEach(coord => coordinates.push({ ...coord, added: false }));
+    }
+
+    const beforeOccluders = new Set(before ? before.occluders.map(occluder => identifierToKey(occluder.identifier)) : []);
+    const element = after || before;
+    entries.push({
+      key,
+      identifier: element.identifier,
+      label: element.label,
+      changes,
+      before: before ? summarize(before, beforeArea) : null,
+      after: after ? summarize(after, afterArea) : null,
+      newOccluders: before && after
+        ? after.occluders
+          .filter(occluder => !beforeOccluders.has(identifierToKey(occluder.identifier)))
+          .map(({ identifier, label }) => ({ identifier, label }))
+        : []
+    });
+
+    changes.forEach(change => counts[change]++);
+    if (changes.length === 0) {
+      counts.unchanged++;
+    }
+  }
+
+  // Changed elements first, by their most important change
+  const rank = entry => Math.min(DIFF_CHANGES.length, ...entry.changes.map(change => DIFF_CHANGES.indexOf(change)));
+  entries.sort((a, b) => rank(a) - rank(b));
+
+  return { comparable, baselineResolution: baseline.resolution, entries, coordinates, counts };
+}
@@ -0,0 +1,226 @@
+/**
+ * Hit Region Exporter
+ * Serializes hit region data to JSON and CSV, and composites overlay snapshots
+ */
+
+import {
+  generateElementIdentifier,
+  describeElement,
+  identifierToKey
+} from './ElementIdentifier.js';
+
+/**
+ * Version of the exported JSON format
+ * @type {number}
+ */
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Column order for CSV exports
+ */
+const CSV_COLUMNS = [
+  'identifierType',
+  'identifier',
+  'label',
+  'rule',
+  'boxWidth',
+  'boxHeight',
+  'hitWidth',
+  'hitHeight',
+  'hitArea',
+  'sampleCount',
+  'coverage',
+  'occluders',
+  'meetsWcag258',
+  'meetsWcag255',
+  'frame',
+  'frameUrl'
+];
+
+/**
+ * Converts an audit entry into a serializable object
+ * Elements are referenced by identifier so the result can cross message boundaries
+ * @param {AuditEntry} entry - Entry from auditElement() or auditHitRegions()
+ * @returns {Object} Serializable audit entry
+ */
+export function serializeAuditEntry(entry) {
+  return {
+    identifier: generateElementIdentifier(entry.element),
+    label: describeElement(entry.element),
+    rule: entry.rule ? entry.rule.id : null,
+    box: { width: entry.box.width, height: entry.box.height },
+    hitBounds: entry.hitBounds
+      ? { width: entry.hitBounds.width, height: entry.hitBounds.height }
+      : null,
+    hitArea: entry.hitArea,
+    sampleCount: entry.sampleCount,
+    coverage: entry.coverage,
+    occluders: entry.occluders.map(occluder => ({
+      identifier: generateElementIdentifier(occluder.element),
+      label: describeElement(occluder.element),
+      count: occluder.count,
+      interactive: occluder.interactive
+    })),
+    meetsMinimum: entry.meetsMinimum,
+    meetsEnhanced: entry.meetsEnhanced
+  };
+}
+
+/**
+ * Builds the export document for a hit region map
+ * @param {HitRegionMap} hitRegionMap - The hit region map to export
+ * @param {AuditEntry[]} auditEntries - Per-element stats from auditHitRegions()
+ * @param {Object} options - Export metadata
+ * @param {string} options.scope - Sampling scope the map was built with
+ * @returns {Object} Export document with elements keyed by identifier
+ */
+export function buildExportData(hitRegionMap, auditEntries, options = {}) {
+  const elements = {};
+
+  for (const entry of auditEntries) {
+    const serialized = serializeAuditEntry(entry);
+    serialized.coordinates = hitRegionMap
+      .getCoordinates(entry.element)
+      .map(coord => [coord.x, coord.y]);
+    elements[identifierToKey(serialized.identifier)] = serialized;
+  }
+
+  return {
+    version: EXPORT_FORMAT_VERSION,
+    url: location.href,
+    title: document.title,
+    timestamp: new Date().toISOString(),
+    resolution: hitRegionMap.resolution,
+    scope: options.scope || 'viewport',
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      devicePixelRatio: window.devicePixelRatio
+    },
+    stats: hitRegionMap.getStats(),
+    sampledRects: hitRegionMap.sampledRects.map(({ x, y, width, height }) => ({ x, y, width, height })),
+    elements
+  };
+}
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped cell
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts an export document to CSV with one row per element
+ * Coordinates are omitted; use the JSON export for raw coordinates. Elements of the
+ * documents in `exportData.frames` follow the top-level frame's, with their frame path.
+ * @param {Object} exportData - Document from buildExportData(), optionally with child frame documents
+ * @returns {string} CSV text with a header row
+ */
+export function toCSV(exportData) {
+  const rows = [CSV_COLUMNS.join(',')];
+  const documents = [exportData, ...(exportData.frames || [])];
+
+  for (const frameDocument of documents) {
+    const frame = frameDocument.frame ? frameDocument.frame.path : '';
+    for (const element of Object.values(frameDocument.elements)) {
+      rows.push(toCSVRow(element, frame, frameDocument.url));
+    }
+  }
+
+  return rows.join('\n');
+}
+
+/**
+ * Converts one exported element to a CSV row
+ * @param {Object} element - Element of an export document
+ * @param {string} frame - Frame path, or '' for the top-level frame
+ * @param {string} frameUrl - URL of the frame's document
+ * @returns {string} The CSV row
+ */
+function toCSVRow(element, frame, frameUrl) {
+  const values = [
+    element.identifier.type,
+    element.identifier.value,
+    element.label,
+    element.rule,
+    Math.round(element.box.width),
+    Math.round(element.box.height),
+    element.hitBounds ? Math.round(element.hitBounds.width) : '',
+    element.hitBounds ? Math.round(element.hitBounds.height) : '',
+    element.hitArea,
+    element.sampleCount,
+    element.coverage === null ? '' : element.coverage.toFixed(1),
+    element.occluders.map(occluder => `${occluder.label} (${occluder.count})`).join('; '),
+    element.meetsMinimum,
+    element.meetsEnhanced,
+    frame,
+    frameUrl
+  ];
+  return values.map(escapeCSV).join(',');
+}
+
+/**
+ * Composites the overlay canvas over a screenshot of the visible tab
+ * The overlay is scaled to the screenshot, which is captured in device pixels. Under pinch
+ * zoom the screenshot shows only the visual viewport, so only that part of the overlay,
+ * which covers the layout viewport, is drawn. Child frames draw their overlays in their own
+ * documents, so they are passed as images and drawn below the top-level frame's overlay.
+ * @param {string} screenshotUrl - PNG data URL from captureVisibleTab
+ * @param {HTMLCanvasElement|null} overlayCanvas - The overlay canvas, or null for no overlay
+ * @param {{x: number, y: number, width: number, height: number}|null} [visibleRect=null] - Part of the
+ *   overlay shown in the screenshot, in canvas pixels, or null for all of it
+ * @param {Array<{dataUrl: string, x: number, y: number, width: number, height: number}>} [frameOverlays=[]] -
+ *   Child frame overlays, placed in CSS pixels of the top-level layout viewport
+ * @returns {Promise<string>} PNG data URL of the composited image
+ */
+export async function compositeSnapshot(screenshotUrl, overlayCanvas, visibleRect = null, frameOverlays = []) {
+  const screenshot = new Image();
+  screenshot.src = screenshotUrl;
+  await screenshot.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = screenshot.naturalWidth;
+  canvas.height = screenshot.naturalHeight;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(screenshot, 0, 0);
+
+  // The screenshot starts at the visual viewport under pinch zoom, else at the layout viewport
+  const viewport = window.visualViewport;
+  const zoomed = viewport && viewport.scale > 1;
+  const scale = canvas.width / (zoomed ? viewport.width : window.innerWidth);
+  const left = zoomed ? viewport.offsetLeft : 0;
+  const top = zoomed ? viewport.offsetTop : 0;
+
+  for (const frameOverlay of frameOverlays) {
+    const image = new Image();
+    image.src = frameOverlay.dataUrl;
+    await image.decode();
+    ctx.drawImage(
+      image,
+      (frameOverlay.x - left) * scale, (frameOverlay.y - top) * scale,
+      frameOverlay.width * scale, frameOverlay.height * scale
+    );
+  }
+
+  if (overlayCanvas && overlayCanvas.width > 0 && overlayCanvas.height > 0) {
+    const source = visibleRect || { x: 0, y: 0, width: overlayCanvas.width, height: overlayCanvas.height };
+    ctx.drawImage(
+      overlayCanvas,
+      source.x, source.y, source.width, source.height,
+      0, 0, canvas.width, canvas.height
+    );
+  }
+
+  return canvas.toDataURL('image/png');
+}
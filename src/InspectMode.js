@@ -0,0 +1,353 @@
+/**
+ * Inspect Mode
+ * Follows the mouse and shows which element would receive a click at that point
+ */
+
+import { elementFromPointDeep } from './HitRegionCalculator.js';
+import { findInteractiveAncestor, getComposedParent, matchInteractiveRule } from './InteractiveElementFinder.js';
+import { describeElement, generateElementIdentifier, identifierToKey } from './ElementIdentifier.js';
+
+/**
+ * Color of the inspect marker and of the target's hit region
+ * @type {string}
+ */
+export const INSPECT_COLOR = '#ff00ff';
+
+/**
+ * Maximum number of elements listed in the chain when no interactive target is found
+ */
+const MAX_UNTARGETED_CHAIN_LENGTH = 5;
+
+/**
+ * Prediction of where a click at one point lands
+ * @typedef {Object} ClickPrediction
+ * @property {Coordinate} coordinate - Nearest sample point, in document coordinates
+ * @property {boolean} sampled - Whether the sample point has been sampled
+ * @property {Element|null} target - Element that receives the click according to the hit region map
+ * @property {Element|null} liveTarget - Interactive element found by sampling the point now
+ * @property {Element[]} chain - Raw elementFromPoint() result up to the live target (or a few ancestors)
+ */
+
+/**
+ * Predicts which element receives a click at a viewport position
+ * The position snaps to the nearest sample point, so the answer matches the hit region map.
+ * @param {HitRegionMap} hitRegionMap - The hit region map to query
+ * @param {number} clientX - Mouse x-coordinate in the viewport
+ * @param {number} clientY - Mouse y-coordinate in the viewport
+ * @returns {ClickPrediction} The prediction
+ */
+export function predictClick(hitRegionMap, clientX, clientY) {
+  const resolution = hitRegionMap.resolution;
+  const coordinate = {
+    x: Math.round((clientX + window.scrollX) / resolution) * resolution,
+    y: Math.round((clientY + window.scrollY) / resolution) * resolution
+  };
+
+  // Sample the snapped point live for the raw chain
+  const raw = elementFromPointDeep(coordinate.x - window.scrollX, coordinate.y - window.scrollY);
+  const liveTarget = raw ? findInteractiveAncestor(raw) : null;
+
+  const chain = [];
+  for (let current = raw; current; current = getComposedParent(current)) {
+    chain.push(current);
+    if (current === liveTarget || (!liveTarget && chain.length >= MAX_UNTARGETED_CHAIN_LENGTH)) {
+      break;
+    }
+  }
+
+  return {
+    coordinate,
+    sampled: hitRegionMap.isSampled(coordinate),
+    target: hitRegionMap.getElement(coordinate),
+    liveTarget,
+    chain
+  };
+}
+
+/**
+ * InspectMode shows a tooltip next to the mouse describing where a click would land
+ * The tooltip and marker ignore pointer events, so they never change the answer.
+ */
+export default class InspectMode {
+  /**
+   * @param {Object} options
+   * @param {function(): HitRegionMap|null} options.getHitRegionMap - Returns the current map
+   * @param {function(ClickPrediction|null): void} [options.onInspect] - Called when the prediction changes
+   * @param {function(): void} [options.onExit] - Called when the user leaves inspect mode with Escape
+   */
+  constructor(options) {
+    this.getHitRegionMap = options.getHitRegionMap;
+    this.onInspect = options.onInspect || (() => {});
+    this.onExit = options.onExit || (() => {});
+    this.enabled = false;
+    this.tooltip = null;
+    this.marker = null;
+    this.pendingFrame = null;
+    this.lastMouse = null;
+    this.lastTarget = undefined;
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleMouseLeave = this.handleMouseLeave.bind(this);
+  }
+
+  /**
+   * Checks if inspect mode is on
+   * @returns {boolean} True if inspect mode is on
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Turns inspect mode on or off
+   * @param {boolean} enabled - Whether inspect mode should be on
+   */
+  setEnabled(enabled) {
+    if (enabled) {
+      this.enable();
+    } else {
+      this.disable();
+    }
+  }
+
+  /**
+   * Turns inspect mode on and starts following the mouse
+   */
+  enable() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.enabled = true;
+    this.tooltip = this.createTooltip();
+    this.marker = this.createMarker();
+    document.documentElement.appendChild(this.tooltip);
+    document.documentElement.appendChild(this.marker);
+
+    document.addEventListener('mousemove', this.handleMouseMove, { capture: true, passive: true });
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.documentElement.addEventListener('mouseleave', this.handleMouseLeave);
+    console.log('Inspect mode enabled');
+  }
+
+  /**
+   * Turns inspect mode off and removes the tooltip
+   */
+  disable() {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.enabled = false;
+    document.removeEventListener('mousemove', this.handleMouseMove, { capture: true });
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.documentElement.removeEventListener('mouseleave', this.handleMouseLeave);
+
+    if (this.pendingFrame !== null) {
+      cancelAnimationFrame(this.pendingFrame);
+      this.pendingFrame = null;
+    }
+
+    for (const element of [this.tooltip, this.marker]) {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    }
+    this.tooltip = null;
+    this.marker = null;
+    this.lastMouse = null;
+    this.lastTarget = undefined;
+    this.onInspect(null);
+    console.log('Inspect mode disabled');
+  }
+
+  /**
+   * Re-runs the prediction at the last mouse position, e.g. after the map was recalculated
+   */
+  refresh() {
+    if (this.enabled && this.lastMouse) {
+      this.lastTarget = undefined;
+      this.update();
+    }
+  }
+
+  /**
+   * Records the mouse position; the prediction runs once per animation frame
+   * @param {MouseEvent} event - The mousemove event
+   */
+  handleMouseMove(event) {
+    this.lastMouse = { x: event.clientX, y: event.clientY };
+
+    if (this.pendingFrame === null) {
+      this.pendingFrame = requestAnimationFrame(() => {
+        this.pendingFrame = null;
+        this.update();
+      });
+    }
+  }
+
+  /**
+   * Leaves inspect mode when Escape is pressed
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.disable();
+      this.onExit();
+    }
+  }
+
+  /**
+   * Hides the tooltip while the mouse is outside the page
+   */
+  handleMouseLeave() {
+    this.lastMouse = null;
+    if (this.tooltip) {
+      this.tooltip.style.display = 'none';
+      this.marker.style.display = 'none';
+    }
+  }
+
+  /**
+   * Predicts the click target at the last mouse position and updates the tooltip
+   */
+  update() {
+    const hitRegionMap = this.getHitRegionMap();
+    if (!this.enabled || !this.lastMouse) {
+      return;
+    }
+
+    if (!hitRegionMap) {
+      this.showTooltip(['Hit regions not calculated yet']);
+      return;
+    }
+
+    try {
+      const prediction = predictClick(hitRegionMap, this.lastMouse.x, this.lastMouse.y);
+      this.showTooltip(this.describePrediction(prediction));
+      this.positionMarker(prediction.coordinate);
+
+      // Only report target changes, so listeners don't redraw on every mouse move
+      if (prediction.target !== this.lastTarget) {
+        this.lastTarget = prediction.target;
+        this.onInspect(prediction);
+      }
+    } catch (error) {
+      console.error('Error predicting click target:', error);
+    }
+  }
+
+  /**
+   * Builds the tooltip lines for a prediction
+   * @param {ClickPrediction} prediction - The prediction to describe
+   * @returns {string[]} Tooltip lines
+   */
+  describePrediction(prediction) {
+    const { coordinate, sampled, target, liveTarget, chain } = prediction;
+    const lines = [];
+
+    if (target) {
+      const rule = matchInteractiveRule(target);
+      lines.push(`Click lands on: ${describeElement(target)}`);
+      lines.push(`Identifier: ${identifierToKey(generateElementIdentifier(target))}`);
+      if (rule) {
+        lines.push(`Rule: ${rule.id}`);
+      }
+    } else if (sampled) {
+      lines.push('Click lands on: no interactive element');
+    } else {
+      lines.push('Not sampled yet');
+    }
+
+    if (chain.length > 0) {
+      lines.push(`Chain: ${chain.map(describeElement).join(' → ')}`);
+    }
+
+    if (sampled && liveTarget !== target) {
+      lines.push(`Live sample differs: ${describeElement(liveTarget)} (map is stale)`);
+    }
+
+    lines.push(`Sample point: ${coordinate.x}, ${coordinate.y}`);
+    return lines;
+  }
+
+  /**
+   * Shows the tooltip next to the mouse, flipped to stay inside the viewport
+   * @param {string[]} lines - Text lines to show
+   */
+  showTooltip(lines) {
+    const tooltip = this.tooltip;
+    tooltip.textContent = '';
+    for (const line of lines) {
+      const row = document.createElement('div');
+      row.textContent = line;
+      tooltip.appendChild(row);
+    }
+    tooltip.style.display = 'block';
+
+    const offset = 16;
+    const { x, y } = this.lastMouse;
+    const left = x + offset + tooltip.offsetWidth > window.innerWidth
+      ? Math.max(0, x - offset - tooltip.offsetWidth)
+      : x + offset;
+    const top = y + offset + tooltip.offsetHeight > window.innerHeight
+      ? Math.max(0, y - offset - tooltip.offsetHeight)
+      : y + offset;
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${top}px`;
+  }
+
+  /**
+   * Moves the marker to the sample point the prediction snapped to
+   * @param {Coordinate} coordinate - Sample point in document coordinates
+   */
+  positionMarker(coordinate) {
+    this.marker.style.display = 'block';
+    this.marker.style.left = `${coordinate.x - window.scrollX}px`;
+    this.marker.style.top = `${coordinate.y - window.scrollY}px`;
+  }
+
+  /**
+   * Creates the tooltip element
+   * @returns {HTMLDivElement} The tooltip
+   */
+  createTooltip() {
+    const tooltip = document.createElement('div');
+    tooltip.id = 'hit-region-inspect-tooltip';
+    tooltip.style.position = 'fixed';
+    tooltip.style.display = 'none';
+    tooltip.style.maxWidth = '480px';
+    tooltip.style.padding = '8px 10px';
+    tooltip.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    tooltip.style.color = 'white';
+    tooltip.style.borderRadius = '4px';
+    tooltip.style.fontFamily = 'monospace';
+    tooltip.style.fontSize = '12px';
+    tooltip.style.lineHeight = '1.5';
+    tooltip.style.wordBreak = 'break-all';
+    tooltip.style.pointerEvents = 'none';
+    tooltip.style.zIndex = '2147483647';
+    return tooltip;
+  }
+
+  /**
+   * Creates the marker drawn at the snapped sample point
+   * @returns {HTMLDivElement} The marker
+   */
+  createMarker() {
+    const marker = document.createElement('div');
+    marker.id = 'hit-region-inspect-marker';
+    marker.style.position = 'fixed';
+    marker.style.display = 'none';
+    marker.style.width = '8px';
+    marker.style.height = '8px';
+    marker.style.margin = '-5px 0 0 -5px';
+    marker.style.border = '1px solid white';
+    marker.style.borderRadius = '50%';
+    marker.style.backgroundColor = INSPECT_COLOR;
+    marker.style.pointerEvents = 'none';
+    marker.style.zIndex = '2147483647';
+    return marker;
+  }
+}
@@ -1,44 +1,155 @@
 /**
  * Interactive Element Finder
- * Identifies which elements should handle click events at given coordinates
+ * Identifies which elements should handle click events at given coordinates,
+ * using a configurable set of role, selector and cursor rules
  */
 
+import { RULE_PRESETS } from './ConfigurationManager.js';
+
+// Active rules, checked in order; defaults to the 'core' preset (buttons and links)
+let activeRules = RULE_PRESETS.core.rules;
+
+// Selectors that failed to parse, so each is only reported once
+const invalidSelectors = new Set();
+
+/**
+ * Sets the rules used to decide which elements are interactive
+ * @param {InteractiveRule[]} rules - Rules in the order they should be checked
+ */
+export function setInteractiveRules(rules) {
+  activeRules = Array.isArray(rules) ? rules : RULE_PRESETS.core.rules;
+}
+
 /**
- * Checks if an element is interactive (has role=button or role=link and valid pointer-events)
+ * Gets the rules currently used to decide which elements are interactive
+ * @returns {InteractiveRule[]} The active rules
+ */
+export function getInteractiveRules() {
+  return activeRules;
+}
+
+/**
+ * Checks a single rule against an element
+ * @param {InteractiveRule} rule - The rule to check
  * @param {Element} element - The element to check
- * @returns {boolean} True if the element is interactive
+ * @param {Function} getRole - Lazily computes the element's role
+ * @returns {boolean} True if the rule matches
  */
-export function isInteractive(element) {
+function ruleMatches(rule, element, getRole) {
+  switch (rule.type) {
+    case 'role':
+      return getRole() === rule.value;
+
+    case 'selector':
+      if (invalidSelectors.has(rule.value)) {
+        return false;
+      }
+      try {
+        return element.matches(rule.value);
+      } catch (error) {
+        invalidSelectors.add(rule.value);
+        console.warn(`Invalid interactive rule selector: ${rule.value}`, error);
+        return false;
+      }
+
+    case 'cursor': {
+      // cursor is inherited, so only match where it is set, not on every descendant
+      const cursor = window.getComputedStyle(element).cursor;
+      if (cursor !== rule.value) {
+        return false;
+      }
+      const parent = getComposedParent(element);
+      return !parent || window.getComputedStyle(parent).cursor !== rule.value;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Finds the first active rule that makes an element interactive
+ * Elements with pointer-events: none never match, since they can't receive clicks
+ * @param {Element} element - The element to check
+ * @returns {InteractiveRule|null} The matching rule, or null if the element is not interactive
+ */
+export function matchInteractiveRule(element) {
   if (!element || !(element instanceof Element)) {
-    return false;
+    return null;
   }
 
-  // Get the explicit role attribute
-  const explicitRole = element.getAttribute('role');
-  
-  // Get the implicit role based on element type
-  const implicitRole = getImplicitRole(element);
-  
-  // Use explicit role if present, otherwise use implicit role
-  const role = explicitRole || implicitRole;
-  
-  // Check if role is button or link
-  if (role !== 'button' && role !== 'link') {
-    return false;
+  let role;
+  const getRole = () => {
+    if (role === undefined) {
+      // Use explicit role if present, otherwise use implicit role
+      role = element.getAttribute('role') || getImplicitRole(element);
+    }
+    return role;
+  };
+
+  const rule = activeRules.find(candidate => ruleMatches(candidate, element, getRole));
+  if (!rule) {
+    return null;
   }
-  
+
   // Check computed style for pointer-events
   const computedStyle = window.getComputedStyle(element);
-  const pointerEvents = computedStyle.pointerEvents;
-  
-  // Return false if pointer-events is 'none'
-  if (pointerEvents === 'none') {
-    return false;
+  if (computedStyle.pointerEvents === 'none') {
+    return null;
   }
-  
-  return true;
+
+  return rule;
 }
 
+/**
+ * Checks if an element is interactive (matches an active rule and has valid pointer-events)
+ * @param {Element} element - The element to check
+ * @returns {boolean} True if the element is interactive
+ */
+export function isInteractive(element) {
+  return matchInteractiveRule(element) !== null;
+}
+
+/**
+ * Finds every interactive element in a document or shadow root, including inside open shadow roots
+ * Visibility and occlusion are not checked; use this for candidates, not for hit testing
+ * @param {Document|ShadowRoot} [root=document] - The tree to search
+ * @returns {Element[]} Interactive elements in tree order
+ */
+export function findInteractiveElements(root = document) {
+  const found = [];
+
+  for (const element of root.querySelectorAll('*')) {
+    if (isInteractive(element)) {
+      found.push(element);
+    }
+    if (element.shadowRoot) {
+      found.push(...findInteractiveElements(element.shadowRoot));
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Implicit roles for input elements, by type attribute
+ */
+const INPUT_ROLES = {
+  button: 'button',
+  submit: 'button',
+  reset: 'button',
+  image: 'button',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  range: 'slider',
+  number: 'spinbutton',
+  search: 'searchbox',
+  text: 'textbox',
+  email: 'textbox',
+  tel: 'textbox',
+  url: 'textbox'
+};
+
 /**
  * Gets the implicit ARIA role for an element based on its tag name and attributes
  * @param {Element} element - The element to check
@@ -52,12 +163,10 @@ function getImplicitRole(element) {
     return 'button';
   }
   
-  // Input elements with type=button, submit, reset, or image
+  // Input elements, by type (a missing type is a text input)
   if (tagName === 'input') {
-    const type = element.getAttribute('type');
-    if (type === 'button' || type === 'submit' || type === 'reset' || type === 'image') {
-      return 'button';
-    }
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    return INPUT_ROLES[type] || null;
   }
   
   // Anchor elements with href attribute
@@ -70,6 +179,19 @@ function getImplicitRole(element) {
     return 'link';
   }
   
+  // Form controls
+  if (tagName === 'select') {
+    return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+  }
+  
+  if (tagName === 'textarea') {
+    return 'textbox';
+  }
+  
+  if (tagName === 'option') {
+    return 'option';
+  }
+  
   return null;
 }
 
@@ -90,7 +212,31 @@ export function findInteractiveAncestor(element) {
     if (isInteractive(current)) {
       return current;
     }
-    current = current.parentElement;
+    current = getComposedParent(current);
+  }
+  
+  return null;
+}
+
+/**
+ * Gets an element's parent in the composed (rendered) tree
+ * Slotted elements continue at their slot, and shadow root children continue at the host,
+ * so ancestor walks cross shadow boundaries the same way events and hit testing do
+ * @param {Element} element - The element whose parent to find
+ * @returns {Element|null} The composed parent, or null at the top of the tree
+ */
+export function getComposedParent(element) {
+  if (element.assignedSlot) {
+    return element.assignedSlot;
+  }
+  
+  if (element.parentElement) {
+    return element.parentElement;
+  }
+  
+  const parentNode = element.parentNode;
+  if (parentNode instanceof ShadowRoot) {
+    return parentNode.host;
   }
   
   return null;
@@ -0,0 +1,134 @@
+/**
+ * Page API
+ * Lets scripts running in the page, such as Playwright or Puppeteer tests, query hit regions
+ * without DevTools. Any page script can call it, so it only runs where the pageApi setting is on.
+ *
+ * Content scripts run in an isolated world, so calls travel as window messages:
+ *   window.postMessage({ source: 'hit-region-api', version: 1, id, method, params }, '*')
+ * and are answered with { source: 'hit-region-highlighter', version: 1, id, result }
+ * or { source: 'hit-region-highlighter', version: 1, id, error }.
+ */
+
+/**
+ * Version of the request and response format
+ * Bumped on incompatible changes; requests for another version are rejected.
+ * @type {number}
+ */
+export const PAGE_API_VERSION = 1;
+
+/**
+ * `source` of requests sent by page scripts
+ * @type {string}
+ */
+export const PAGE_API_REQUEST_SOURCE = 'hit-region-api';
+
+/**
+ * `source` of responses and notifications sent by the extension
+ * @type {string}
+ */
+export const PAGE_API_RESPONSE_SOURCE = 'hit-region-highlighter';
+
+/**
+ * Attribute set on the document element once the API answers, holding its version
+ * Tests can wait for it, e.g. page.waitForSelector('html[data-hit-region-api]').
+ * @type {string}
+ */
+export const PAGE_API_READY_ATTRIBUTE = 'data-hit-region-api';
+
+/**
+ * A page API request
+ * @typedef {Object} PageApiRequest
+ * @property {string} source - Always PAGE_API_REQUEST_SOURCE
+ * @property {number} version - API version the caller expects
+ * @property {string|number} id - Caller-chosen id, echoed in the response
+ * @property {string} method - Method to call
+ * @property {Object} [params] - Method parameters
+ */
+
+/**
+ * PageApiBridge answers page API requests posted to the window it runs in
+ * Methods are supplied by the content script; getVersion is built in.
+ */
+export default class PageApiBridge {
+  /**
+   * @param {Object<string, function(Object): *>} methods - Method name -> handler; handlers receive the
+   *   request params and return a structured-cloneable result or a promise of one, or throw
+   */
+  constructor(methods) {
+    this.methods = {
+      getVersion: () => ({ version: PAGE_API_VERSION, methods: Object.keys(this.methods) }),
+      ...methods
+    };
+    this.started = false;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Starts answering requests and announces the API to the page
+   * The announcement is a { type: 'ready', version, methods } message and PAGE_API_READY_ATTRIBUTE.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    window.addEventListener('message', this.handleMessage);
+    document.documentElement.setAttribute(PAGE_API_READY_ATTRIBUTE, String(PAGE_API_VERSION));
+    this.post({ type: 'ready', methods: Object.keys(this.methods) });
+  }
+
+  /**
+   * Stops answering requests
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+
+    this.started = false;
+    window.removeEventListener('message', this.handleMessage);
+    document.documentElement.removeAttribute(PAGE_API_READY_ATTRIBUTE);
+  }
+
+  /**
+   * Answers a request posted to this window
+   * Messages from other windows (e.g. child frames) and unrelated messages are ignored;
+   * every frame with the extension answers its own requests.
+   * @param {MessageEvent} event - The message event
+   */
+  async handleMessage(event) {
+    if (event.source !== window) {
+      return;
+    }
+
+    const request = event.data;
+    if (!request || typeof request !== 'object' || request.source !== PAGE_API_REQUEST_SOURCE) {
+      return;
+    }
+
+    const { id, method, params } = request;
+    try {
+      if (request.version !== PAGE_API_VERSION) {
+        throw new Error(`Unsupported API version ${request.version}, expected ${PAGE_API_VERSION}`);
+      }
+      if (typeof method !== 'string' || !Object.prototype.hasOwnProperty.call(this.methods, method)) {
+        throw new Error(`Unknown method: ${method}`);
+      }
+
+      const result = await this.methods[method](params || {});
+      this.post({ id, result });
+    } catch (error) {
+      console.warn(`Page API call ${method} failed:`, error);
+      this.post({ id, error: error.message });
+    }
+  }
+
+  /**
+   * Posts a response or notification to the page
+   * @param {Object} message - Message fields besides source and version
+   */
+  post(message) {
+    window.postMessage({ source: PAGE_API_RESPONSE_SOURCE, version: PAGE_API_VERSION, ...message }, '*');
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Pinned Elements
+ * Keeps the elements pinned for side-by-side comparison and assigns each a color
+ *
+ * Colors are picked so that elements whose hit regions touch get different colors,
+ * which keeps the boundary between adjacent controls (e.g. a toolbar of icon buttons) visible.
+ */
+
+import { intersectRects } from './models/Rect.js';
+
+/**
+ * Colors assigned to pinned elements, in order of preference
+ * @type {string[]}
+ */
+export const PIN_PALETTE = [
+  '#4e79a7',
+  '#f28e2b',
+  '#76b7b2',
+  '#edc948',
+  '#b07aa1',
+  '#ff9da7',
+  '#9c755f',
+  '#59a14f',
+  '#e15759',
+  '#bab0ac'
+];
+
+/**
+ * Distance within which two hit regions count as neighbors and get different colors
+ */
+const NEIGHBOR_MARGIN = 8;
+
+/**
+ * Pinned element state
+ * @typedef {Object} Pin
+ * @property {number} id - Stable id, e.g. for naming the pin's render layer
+ * @property {string} color - Assigned hex color
+ * @property {Rect|null} bounds - Extent of the hit region when pinned, or null if it has none
+ */
+
+/**
+ * Grows a rect by a margin on every side
+ * @param {Rect} rect - The rect to grow
+ * @param {number} margin - Pixels to add on each side
+ * @returns {Rect} The grown rect
+ */
+function inflateRect(rect, margin) {
+  return {
+    x: rect.x - margin,
+    y: rect.y - margin,
+    width: rect.width + 2 * margin,
+    height: rect.height + 2 * margin
+  };
+}
+
+/**
+ * PinnedElements tracks pinned elements in the order they were pinned
+ */
+export default class PinnedElements {
+  /**
+   * @param {string[]} [palette=PIN_PALETTE] - Colors to assign
+   */
+  constructor(palette = PIN_PALETTE) {
+    this.palette = palette;
+    // Element -> Pin, in pin order
+    this.pins = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Number of pinned elements
+   * @type {number}
+   */
+  get size() {
+    return this.pins.size;
+  }
+
+  /**
+   * Pins an element and assigns it a color
+   * Already pinned elements keep their color.
+   * @param {Element} element - The element to pin
+   * @param {Rect|null} bounds - Extent of the element's hit region, used to find neighbors
+   * @returns {Pin} The element's pin
+   */
+  pin(element, bounds) {
+    const existing = this.pins.get(element);
+    if (existing) {
+      return existing;
+    }
+
+    const pin = { id: this.nextId++, color: this.chooseColor(bounds), bounds };
+    this.pins.set(element, pin);
+    return pin;
+  }
+
+  /**
+   * Unpins an element
+   * @param {Element} element - The element to unpin
+   * @returns {boolean} True if the element was pinned
+   */
+  unpin(element) {
+    return this.pins.delete(element);
+  }
+
+  /**
+   * Checks whether an element is pinned
+   * @param {Element} element - The element to check
+   * @returns {boolean} True if the element is pinned
+   */
+  has(element) {
+    return this.pins.has(element);
+  }
+
+  /**
+   * Unpins every element
+   */
+  clear() {
+    this.pins.clear();
+  }
+
+  /**
+   * Unpins elements that were removed from the document
+   * @returns {number} Number of elements unpinned
+   */
+  prune() {
+    let removed = 0;
+    for (const element of this.pins.keys()) {
+      if (!element.isConnected) {
+        this.pins.delete(element);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Iterates over pinned elements in pin order
+   * @returns {Iterator<[Element, Pin]>} Element and pin pairs
+   */
+  entries() {
+    return this.pins.entries();
+  }
+
+  /**
+   * Picks the color for a new pin
+   * Colors used by neighbors are avoided; among the rest, the least used color wins, with
+   * ties going to the earlier palette entry. If neighbors use every color, the least used
+   * color overall is taken.
+   * @param {Rect|null} bounds - Extent of the new pin's hit region
+   * @returns {string} Hex color
+   */
+  chooseColor(bounds) {
+    const usage = new Map(this.palette.map(color => [color, 0]));
+    const neighborColors = new Set();
+    const area = bounds ? inflateRect(bounds, NEIGHBOR_MARGIN) : null;
+
+    for (const pin of this.pins.values()) {
+      usage.set(pin.color, (usage.get(pin.color) || 0) + 1);
+      if (area && pin.bounds && intersectRects(area, pin.bounds)) {
+        neighborColors.add(pin.color);
+      }
+    }
+
+    const free = this.palette.filter(color => !neighborColors.has(color));
+    const candidates = free.length > 0 ? free : this.palette;
+    return candidates.reduce((best, color) => (usage.get(color) < usage.get(best) ? color : best));
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Scheduler
+ * Cooperative time slicing, so long loops give the page's main thread a chance to run
+ */
+
+/**
+ * Default time a slice may run before yielding, in milliseconds
+ * Half a 60Hz frame leaves the browser time to handle input and paint
+ * @type {number}
+ */
+export const DEFAULT_SLICE_BUDGET = 8;
+
+/**
+ * Longest time to wait for an idle period before continuing anyway, in milliseconds
+ */
+const IDLE_CALLBACK_TIMEOUT = 50;
+
+/**
+ * Yields to the main thread and resolves when work may continue
+ * Uses scheduler.yield() where available, which keeps the continuation ahead of other
+ * queued tasks; falls back to requestIdleCallback(), then setTimeout().
+ * @returns {Promise<void>} Resolves once the browser has had a chance to run other work
+ */
+export function yieldToMainThread() {
+  if (globalThis.scheduler && typeof globalThis.scheduler.yield === 'function') {
+    return globalThis.scheduler.yield();
+  }
+
+  if (typeof requestIdleCallback === 'function') {
+    return new Promise(resolve => requestIdleCallback(() => resolve(), { timeout: IDLE_CALLBACK_TIMEOUT }));
+  }
+
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Tracks how long the current slice has run
+ * @typedef {Object} TimeSlicer
+ * @property {function(): boolean} shouldYield - True once the slice has used its budget
+ * @property {function(): Promise<void>} yield - Yields to the main thread and starts a new slice
+ */
+
+/**
+ * Creates a time slicer for a long-running loop
+ * @param {number} [budget=DEFAULT_SLICE_BUDGET] - Milliseconds a slice may run
+ * @returns {TimeSlicer} The slicer
+ */
+export function createTimeSlicer(budget = DEFAULT_SLICE_BUDGET) {
+  let sliceStart = performance.now();
+
+  return {
+    shouldYield() {
+      return performance.now() - sliceStart >= budget;
+    },
+
+    async yield() {
+      await yieldToMainThread();
+      sliceStart = performance.now();
+    }
+  };
+}
@@ -0,0 +1,283 @@
+/**
+ * Spacing Analyzer
+ * Checks how far apart targets are for a pointer of a given size
+ *
+ * WCAG 2.5.8 lets targets be smaller than 24×24 if a 24px circle centered on each one
+ * doesn't intersect another target or another undersized target's circle. The same test
+ * is run here with a configurable pointer diameter, using hit regions rather than boxes.
+ * Spots where a pointer-sized contact would touch two targets are found as well.
+ */
+
+import { getRegionBounds, WCAG_MINIMUM_TARGET_SIZE } from './HitRegionAuditor.js';
+import { iterateCoordinateGrid } from './HitRegionCalculator.js';
+import { coordToKey } from './models/Coordinate.js';
+
+/**
+ * Pointer diameters in CSS pixels (96px per inch)
+ * - mouse: the 24px circle of WCAG 2.5.8
+ * - pen: a 4mm stylus tip
+ * - finger: a 9mm finger pad
+ * @type {Object<string, number>}
+ */
+export const POINTER_DIAMETERS = {
+  mouse: WCAG_MINIMUM_TARGET_SIZE,
+  pen: 15,
+  finger: 34
+};
+
+/**
+ * Color of the circles drawn for spacing violations
+ * @type {string}
+ */
+export const SPACING_VIOLATION_COLOR = '#ff6d00';
+
+/**
+ * A target's hit region prepared for distance queries
+ * @typedef {Object} SpacingTarget
+ * @property {Element} element - The target element
+ * @property {Rect} bounds - Extent of the hit region
+ * @property {Coordinate[]} edge - Sample points on the region's edge
+ * @property {Coordinate} center - Center of the hit region's extent
+ * @property {boolean} undersized - Whether the region is narrower or shorter than the pointer
+ */
+
+/**
+ * Spacing result for a single target
+ * @typedef {Object} SpacingEntry
+ * @property {Element} element - The target element
+ * @property {Rect} bounds - Extent of the hit region
+ * @property {boolean} undersized - Whether the region is narrower or shorter than the pointer
+ * @property {{element: Element, gap: number}|null} nearest - Closest other target and the gap between the regions in pixels
+ * @property {boolean} passesSpacing - For undersized targets, whether the pointer circle centered on the target stays clear of other targets and their circles; always true otherwise
+ * @property {Element[]} circleConflicts - Targets the pointer circle intersects
+ * @property {Array<{element: Element, spot: Coordinate, spotCount: number}>} overlaps - Targets a pointer contact can touch together with this one, with the spot closest to both and the number of such spots
+ */
+
+/**
+ * Spacing analysis of a whole map
+ * @typedef {Object} SpacingReport
+ * @property {number} diameter - Pointer diameter used
+ * @property {SpacingEntry[]} entries - One entry per target
+ * @property {Array<{center: Coordinate, radius: number}>} circles - Violations to draw: circles of failing undersized targets and contacts touching two targets
+ */
+
+/**
+ * Gap between two sample cells, edge to edge
+ * @param {Coordinate} a - First cell center
+ * @param {Coordinate} b - Second cell center
+ * @param {number} resolution - Cell size
+ * @returns {number} Distance in pixels; 0 for touching cells
+ */
+function cellGap(a, b, resolution) {
+  const dx = Math.max(0, Math.abs(a.x - b.x) - resolution);
+  const dy = Math.max(0, Math.abs(a.y - b.y) - resolution);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Distance from a point to the nearest part of a region
+ * @param {Coordinate} point - The point
+ * @param {Coordinate[]} edge - Edge cells of the region
+ * @param {number} resolution - Cell size
+ * @returns {number} Distance in pixels; 0 inside an edge cell
+ */
+function pointToRegion(point, edge, resolution) {
+  const half = resolution / 2;
+  let best = Infinity;
+  for (const cell of edge) {
+    const dx = Math.max(0, Math.abs(point.x - cell.x) - half);
+    const dy = Math.max(0, Math.abs(point.y - cell.y) - half);
+    best = Math.min(best, Math.hypot(dx, dy));
+  }
+  return best;
+}
+
+/**
+ * Gap between two rects, edge to edge
+ * @param {Rect} a - First rect
+ * @param {Rect} b - Second rect
+ * @returns {number} Distance in pixels; 0 for touching or overlapping rects
+ */
+function rectGap(a, b) {
+  const dx = Math.max(0, a.x - (b.x + b.width), b.x - (a.x + a.width));
+  const dy = Math.max(0, a.y - (b.y + b.height), b.y - (a.y + a.height));
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Prepares every target in a map for distance queries
+ * Only edge cells are kept: the nearest point of a region always lies on its edge.
+ * @param {HitRegionMap} hitRegionMap - The map to analyze
+ * @param {number} diameter - Pointer diameter
+ * @returns {SpacingTarget[]} One target per element with a hit region
+ */
+function collectTargets(hitRegionMap, diameter) {
+  const resolution = hitRegionMap.resolution;
+  const targets = [];
+
+  for (const element of hitRegionMap.getElements()) {
+    const coordinates = hitRegionMap.getCoordinates(element);
+    const bounds = getRegionBounds(coordinates, resolution);
+    if (!bounds) {
+      continue;
+    }
+
+    const edge = coordinates.filter(coord =>
+      [[resolution, 0], [-resolution, 0], [0, resolution], [0, -resolution]].some(([dx, dy]) =>
+        hitRegionMap.coordinateToElement.get(coordToKey({ x: coord.x + dx, y: coord.y + dy })) !== element
+      )
+    );
+
+    targets.push({
+      element,
+      bounds,
+      edge,
+      center: { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 },
+      undersized: bounds.width < diameter || bounds.height < diameter
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Finds the spots where a contact of the given radius touches both targets
+ * Candidates are the sample points within reach of both regions' extents.
+ * @param {SpacingTarget} a - First target
+ * @param {SpacingTarget} b - Second target
+ * @param {number} radius - Pointer radius
+ * @param {number} resolution - Sample spacing
+ * @returns {{spot: Coordinate, spotCount: number}|null} The spot closest to both targets, or null if there is none
+ */
+function findOverlapSpots(a, b, radius, resolution) {
+  const reachA = {
+    x: a.bounds.x - radius,
+    y: a.bounds.y - radius,
+    width: a.bounds.width + 2 * radius,
+    height: a.bounds.height + 2 * radius
+  };
+  const reachB = {
+    x: b.bounds.x - radius,
+    y: b.bounds.y - radius,
+    width: b.bounds.width + 2 * radius,
+    height: b.bounds.height + 2 * radius
+  };
+  const left = Math.max(reachA.x, reachB.x);
+  const top = Math.max(reachA.y, reachB.y);
+  const right = Math.min(reachA.x + reachA.width, reachB.x + reachB.width);
+  const bottom = Math.min(reachA.y + reachA.height, reachB.y + reachB.height);
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+
+  const middle = { x: (a.center.x + b.center.x) / 2, y: (a.center.y + b.center.y) / 2 };
+  let best = null;
+  let bestScore = Infinity;
+  let bestOffset = Infinity;
+  let spotCount = 0;
+  for (const point of iterateCoordinateGrid(resolution, { x: left, y: top, width: right - left, height: bottom - top })) {
+    const distanceA = pointToRegion(point, a.edge, resolution);
+    if (distanceA >= radius) {
+      continue;
+    }
+    const distanceB = pointToRegion(point, b.edge, resolution);
+    if (distanceB >= radius) {
+      continue;
+    }
+
+    spotCount++;
+    // Prefer the spot closest to both targets, then the one nearest the middle between them
+    const score = Math.max(distanceA, distanceB);
+    const offset = Math.hypot(point.x - middle.x, point.y - middle.y);
+    if (score < bestScore || (score === bestScore && offset < bestOffset)) {
+      bestScore = score;
+      bestOffset = offset;
+      best = point;
+    }
+  }
+
+  return best ? { spot: best, spotCount } : null;
+}
+
+/**
+ * Analyzes target spacing in a hit region map for a pointer of the given diameter
+ * Regions are compared on their sample cells, so gaps are accurate to the map's resolution.
+ * @param {HitRegionMap} hitRegionMap - The map to analyze
+ * @param {number} [diameter=POINTER_DIAMETERS.mouse] - Pointer diameter in CSS pixels
+ * @returns {SpacingReport} The analysis
+ */
+export function analyzeSpacing(hitRegionMap, diameter = POINTER_DIAMETERS.mouse) {
+  const resolution = hitRegionMap.resolution;
+  const radius = diameter / 2;
+  const targets = collectTargets(hitRegionMap, diameter);
+  const circles = [];
+
+  const entries = targets.map(target => ({
+    element: target.element,
+    bounds: target.bounds,
+    undersized: target.undersized,
+    nearest: null,
+    passesSpacing: true,
+    circleConflicts: [],
+    overlaps: []
+  }));
+
+  for (let i = 0; i < targets.length; i++) {
+    const a = targets[i];
+
+    for (let j = i + 1; j < targets.length; j++) {
+      const b = targets[j];
+      const boundsGap = rectGap(a.bounds, b.bounds);
+
+      // Nearest neighbor, skipping pairs that can't beat the best gap so far
+      const needsGap = [entries[i], entries[j]].some(entry => !entry.nearest || boundsGap < entry.nearest.gap);
+      if (needsGap) {
+        let gap = Infinity;
+        for (const cellA of a.edge) {
+          for (const cellB of b.edge) {
+            gap = Math.min(gap, cellGap(cellA, cellB, resolution));
+          }
+        }
+        for (const [entry, other] of [[entries[i], b], [entries[j], a]]) {
+          if (!entry.nearest || gap < entry.nearest.gap) {
+            entry.nearest = { element: other.element, gap };
+          }
+        }
+      }
+
+      // Targets further apart than the pointer can't share a contact or a circle
+      if (boundsGap >= diameter) {
+        continue;
+      }
+
+      // WCAG 2.5.8 style test: circles on undersized targets must not touch other targets or circles
+      const circleHitsB = a.undersized && pointToRegion(a.center, b.edge, resolution) < radius;
+      const circleHitsA = b.undersized && pointToRegion(b.center, a.edge, resolution) < radius;
+      const circlesTouch = a.undersized && b.undersized &&
+        Math.hypot(a.center.x - b.center.x, a.center.y - b.center.y) < diameter;
+      if (circleHitsB || circlesTouch) {
+        entries[i].circleConflicts.push(b.element);
+      }
+      if (circleHitsA || circlesTouch) {
+        entries[j].circleConflicts.push(a.element);
+      }
+
+      const overlap = findOverlapSpots(a, b, radius, resolution);
+      if (overlap) {
+        entries[i].overlaps.push({ element: b.element, ...overlap });
+        entries[j].overlaps.push({ element: a.element, ...overlap });
+        circles.push({ center: overlap.spot, radius });
+      }
+    }
+  }
+
+  targets.forEach((target, index) => {
+    const entry = entries[index];
+    if (target.undersized && entry.circleConflicts.length > 0) {
+      entry.passesSpacing = false;
+      circles.push({ center: target.center, radius });
+    }
+  });
+
+  return { diameter, entries, circles };
+}
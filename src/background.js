@@ -3,10 +3,81 @@
 
 console.log('Hit Region Highlighter: Background script loaded');
 
+// Content scripts run in every frame; messages without a frameId go to the top-level frame
+const TOP_FRAME_ID = 0;
+
+// Messages that apply to every frame in the tab
+const BROADCAST_MESSAGE_TYPES = [
+  'elementDeselected',
+  'elementUnhovered',
+  'cancelCalculation',
+  'clearPins',
+  'clearSpacing',
+  'clearBaselineDiff',
+  'deleteBaseline'
+];
+
+// Messages whose per-frame results are combined into one response, with the array field to combine
+const COLLECTED_MESSAGE_FIELDS = {
+  auditPage: 'rows',
+  pinAllElements: 'pins',
+  setHeatmapMode: 'heatmaps',
+  analyzeSpacing: 'rows',
+  saveBaseline: 'baselines',
+  listBaselines: 'baselines',
+  compareBaseline: 'diffs',
+  exportBaseline: 'baselines',
+  exportFrameDocument: 'documents',
+  exportFrameOverlay: 'overlays'
+};
+
+// Child frame positions reported by their parent frames
+// tabId -> Map(frameId -> { parentFrameId, x, y }), x/y in the parent's viewport
+const frameOffsets = new Map();
+
+// Tabs with inspect mode turned on
+const inspectModeTabs = new Set();
+
+// Name of the ports calculation status is streamed over; matches content.js and devtools.js
+const STATUS_PORT_NAME = 'hit-region-status';
+
+// Status ports of content scripts: tabId -> Map(frameId -> port)
+const contentStatusPorts = new Map();
+
+// Status port of the DevTools window inspecting each tab: tabId -> port
+const devtoolsStatusPorts = new Map();
+
+// Latest status of each frame, replayed when DevTools subscribes: tabId -> Map(frameId -> status)
+const latestStatuses = new Map();
+
 // Message routing system
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Background received message:', message, 'from:', sender);
   
+  // Downloads requested by DevTools are handled here; devtools pages can't use chrome.downloads
+  if (message.source === 'devtools' && message.type === 'download') {
+    handleDownload(message.data, sendResponse);
+    return true; // Keep channel open for async response
+  }
+  
+  // Inspect mode is toggled here so the panel and the keyboard command share its state
+  if (message.source === 'devtools' && message.type === 'toggleInspectMode') {
+    toggleInspectMode(message.tabId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+  
+  // Frame list for DevTools, which can't use chrome.webNavigation
+  if (message.source === 'devtools' && message.type === 'getFrames') {
+    handleGetFrames(message.tabId, sendResponse);
+    return true; // Keep channel open for async response
+  }
+  
+  // Page audits, pinning all elements, heatmaps, spacing analyses and baselines cover every frame, so they are collected here rather than forwarded
+  if (message.source === 'devtools' && COLLECTED_MESSAGE_FIELDS[message.type] && message.frameId === undefined) {
+    handleFrameCollection(message.tabId, message, COLLECTED_MESSAGE_FIELDS[message.type], sendResponse);
+    return true; // Keep channel open for async response
+  }
+  
   // Route messages from DevTools to content script
   if (message.source === 'devtools') {
     const tabId = message.tabId;
@@ -35,7 +106,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       forwardedMessage.data = message.data;
     }
     
-    chrome.tabs.sendMessage(tabId, forwardedMessage, (response) => {
+    // Target one frame; selections inside frames carry the frame's id
+    const options = {};
+    if (typeof message.frameId === 'number') {
+      options.frameId = message.frameId;
+    } else if (!BROADCAST_MESSAGE_TYPES.includes(message.type)) {
+      options.frameId = TOP_FRAME_ID;
+    }
+    
+    chrome.tabs.sendMessage(tabId, forwardedMessage, options, (response) => {
       if (chrome.runtime.lastError) {
         console.error('Error sending message to content script:', chrome.runtime.lastError);
         sendResponse({ error: chrome.runtime.lastError.message });
@@ -46,13 +125,45 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
-  // Route messages from content script to DevTools
+  // Screenshots are requested by the content script for PNG exports
+  if (message.source === 'content' && message.type === 'captureVisibleTab') {
+    handleCaptureVisibleTab(sender, sendResponse);
+    return true; // Keep channel open for async response
+  }
+  
+  // Parent frames report where their child frames sit
+  if (message.source === 'content' && message.type === 'frameOffsets') {
+    storeFrameOffsets(sender, message.frames);
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  // Inspect mode was left from the page (Escape); turn it off in every frame
+  if (message.source === 'content' && message.type === 'inspectModeChanged') {
+    if (sender.tab && !message.enabled && inspectModeTabs.has(sender.tab.id)) {
+      setInspectMode(sender.tab.id, false);
+    }
+    sendResponse({ success: true });
+    return true;
+  }
+  
+  // Child frames ask where they sit in the top-level viewport
+  if (message.source === 'content' && message.type === 'getFrameOffset') {
+    const offset = sender.tab ? getTopLevelOffset(sender.tab.id, sender.frameId) : null;
+    sendResponse(offset ? { success: true, offset } : { success: false, error: 'Frame offset unknown' });
+    return true;
+  }
+  
+  // Frames ask on load whether DevTools already listens to their statuses
+  if (message.source === 'content' && message.type === 'getStatusSubscription') {
+    const subscribed = Boolean(sender.tab) && devtoolsStatusPorts.has(sender.tab.id);
+    sendResponse({ success: true, subscribed });
+    return true;
+  }
+  
+  // Calculation status reaches DevTools over status ports; other content messages are acknowledged
   if (message.source === 'content') {
-    // Content scripts can send status updates or responses
     console.log('Content script message:', message.type);
-    
-    // If there's a specific DevTools connection for this tab, forward the message
-    // For now, just acknowledge receipt
     sendResponse({ received: true });
     return true;
   }
@@ -63,6 +174,358 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// Status ports: content scripts stream calculation status, DevTools subscribes to one tab
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STATUS_PORT_NAME) {
+    return;
+  }
+  
+  if (port.sender && port.sender.tab) {
+    connectContentStatusPort(port);
+  } else {
+    connectDevToolsStatusPort(port);
+  }
+});
+
+// Relay one frame's statuses to the DevTools window inspecting its tab
+function connectContentStatusPort(port) {
+  const tabId = port.sender.tab.id;
+  const frameId = port.sender.frameId;
+  
+  if (!contentStatusPorts.has(tabId)) {
+    contentStatusPorts.set(tabId, new Map());
+  }
+  contentStatusPorts.get(tabId).set(frameId, port);
+  
+  // Frames only connect while subscribed, but DevTools may have closed meanwhile
+  port.postMessage({ type: 'subscription', subscribed: devtoolsStatusPorts.has(tabId) });
+  
+  port.onMessage.addListener((status) => {
+    const frameStatus = { ...status, frameId, frameUrl: port.sender.url };
+    
+    if (!latestStatuses.has(tabId)) {
+      latestStatuses.set(tabId, new Map());
+    }
+    latestStatuses.get(tabId).set(frameId, frameStatus);
+    
+    const devtoolsPort = devtoolsStatusPorts.get(tabId);
+    if (devtoolsPort) {
+      devtoolsPort.postMessage({ type: 'status', status: frameStatus });
+    }
+  });
+  
+  // The frame navigated or was removed; a new document connects its own port
+  port.onDisconnect.addListener(() => {
+    const ports = contentStatusPorts.get(tabId);
+    if (!ports || ports.get(frameId) !== port) {
+      return;
+    }
+    ports.delete(frameId);
+    if (ports.size === 0) {
+      contentStatusPorts.delete(tabId);
+    }
+  });
+}
+
+// Subscribe a DevTools window to the statuses of the tab it inspects
+// Its first message is { type: 'subscribe', tabId }
+function connectDevToolsStatusPort(port) {
+  let tabId = null;
+  
+  port.onMessage.addListener((message) => {
+    if (message.type !== 'subscribe' || !message.tabId) {
+      return;
+    }
+    
+    tabId = message.tabId;
+    devtoolsStatusPorts.set(tabId, port);
+    setStatusSubscription(tabId, true);
+    
+    const statuses = latestStatuses.get(tabId);
+    if (statuses) {
+      for (const status of statuses.values()) {
+        port.postMessage({ type: 'status', status });
+      }
+    }
+  });
+  
+  port.onDisconnect.addListener(() => {
+    if (tabId !== null && devtoolsStatusPorts.get(tabId) === port) {
+      devtoolsStatusPorts.delete(tabId);
+      setStatusSubscription(tabId, false);
+    }
+  });
+}
+
+// Tell every frame of a tab whether DevTools listens to its statuses
+// Frames without a port open one when subscribed, and close it when not
+function setStatusSubscription(tabId, subscribed) {
+  const message = { type: 'statusSubscription', source: 'background', data: { subscribed } };
+  chrome.tabs.sendMessage(tabId, message, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('Error updating status subscription:', chrome.runtime.lastError);
+    }
+  });
+}
+
+// Save exported data through the downloads API
+// data.url is a data: URL, since service workers can't create object URLs
+function handleDownload(data, sendResponse) {
+  if (!data || !data.url || !data.filename) {
+    sendResponse({ success: false, error: 'Download requires url and filename' });
+    return;
+  }
+  
+  chrome.downloads.download({ url: data.url, filename: data.filename }, (downloadId) => {
+    if (chrome.runtime.lastError) {
+      console.error('Error starting download:', chrome.runtime.lastError);
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+    } else {
+      sendResponse({ success: true, downloadId });
+    }
+  });
+}
+
+// Capture the visible area of the sender's tab as a PNG data URL
+// Child frame overlays are composited from their canvases, so they're hidden while capturing
+async function handleCaptureVisibleTab(sender, sendResponse) {
+  if (!sender.tab) {
+    sendResponse({ success: false, error: 'Screenshots can only be requested from a tab' });
+    return;
+  }
+  
+  const tabId = sender.tab.id;
+  await setFrameOverlaysVisible(tabId, sender.frameId, false);
+  chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'png' }, (dataUrl) => {
+    setFrameOverlaysVisible(tabId, sender.frameId, true);
+    if (chrome.runtime.lastError) {
+      console.error('Error capturing visible tab:', chrome.runtime.lastError);
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+    } else {
+      sendResponse({ success: true, dataUrl });
+    }
+  });
+}
+
+// Show or hide the overlays of every frame of a tab but one, resolving once they are painted
+async function setFrameOverlaysVisible(tabId, exceptFrameId, visible) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    await Promise.all((frames || [])
+      .filter(frame => frame.frameId !== exceptFrameId)
+      .map(frame =>
+        chrome.tabs.sendMessage(tabId, { type: 'setOverlayVisible', source: 'background', data: { visible } }, { frameId: frame.frameId })
+          .catch(error => console.log(`Frame ${frame.frameId} did not respond to setOverlayVisible:`, error.message))
+      ));
+  } catch (error) {
+    console.warn('Error updating frame overlays:', error);
+  }
+}
+
+// Turn inspect mode on or off in every frame of a tab
+function setInspectMode(tabId, enabled, sendResponse) {
+  if (enabled) {
+    inspectModeTabs.add(tabId);
+  } else {
+    inspectModeTabs.delete(tabId);
+  }
+  
+  const message = { type: 'setInspectMode', source: 'background', data: { enabled } };
+  chrome.tabs.sendMessage(tabId, message, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error setting inspect mode:', chrome.runtime.lastError);
+      if (sendResponse) {
+        sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      }
+    } else if (sendResponse) {
+      sendResponse({ success: true, enabled });
+    }
+  });
+}
+
+// Flip inspect mode for a tab
+function toggleInspectMode(tabId, sendResponse) {
+  if (!tabId) {
+    if (sendResponse) {
+      sendResponse({ success: false, error: 'No tabId provided' });
+    }
+    return;
+  }
+  
+  setInspectMode(tabId, !inspectModeTabs.has(tabId), sendResponse);
+}
+
+// Keyboard command for inspect mode (see "commands" in manifest.json)
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'toggle-inspect-mode' && tab && tab.id) {
+    toggleInspectMode(tab.id);
+  }
+});
+
+// Record child frame offsets reported by a parent frame
+function storeFrameOffsets(sender, frames) {
+  if (!sender.tab || !Array.isArray(frames)) {
+    return;
+  }
+  
+  if (!frameOffsets.has(sender.tab.id)) {
+    frameOffsets.set(sender.tab.id, new Map());
+  }
+  
+  const offsets = frameOffsets.get(sender.tab.id);
+  const moved = new Set();
+  for (const frame of frames) {
+    const previous = offsets.get(frame.frameId);
+    if (!previous || previous.parentFrameId !== sender.frameId || previous.x !== frame.x || previous.y !== frame.y) {
+      moved.add(frame.frameId);
+    }
+    offsets.set(frame.frameId, { parentFrameId: sender.frameId, x: frame.x, y: frame.y });
+  }
+  
+  if (moved.size > 0) {
+    pushFrameOffsets(sender.tab.id, moved);
+  }
+}
+
+// Checks whether a frame is one of the given frames or nested inside one of them
+function isInFrames(tabId, frameId, frameIds) {
+  const offsets = frameOffsets.get(tabId);
+  let current = frameId;
+  
+  // Depth guard in case stale entries form a cycle
+  for (let depth = 0; current !== TOP_FRAME_ID && depth <= 32; depth++) {
+    if (frameIds.has(current)) {
+      return true;
+    }
+    const entry = offsets && offsets.get(current);
+    if (!entry) {
+      return false;
+    }
+    current = entry.parentFrameId;
+  }
+  
+  return false;
+}
+
+// Send the new top-level offset to every frame that moved, along with the frames inside them
+// Parents report their children after scrolling, resizing and layout changes, so child frames
+// stay placed without measuring themselves
+function pushFrameOffsets(tabId, movedFrameIds) {
+  for (const frameId of frameOffsets.get(tabId).keys()) {
+    if (!isInFrames(tabId, frameId, movedFrameIds)) {
+      continue;
+    }
+    
+    const offset = getTopLevelOffset(tabId, frameId);
+    if (!offset) {
+      continue;
+    }
+    
+    chrome.tabs.sendMessage(tabId, {
+      type: 'setFrameOffset',
+      source: 'background',
+      data: { offset }
+    }, { frameId }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error sending frame offset:', chrome.runtime.lastError);
+      }
+    });
+  }
+}
+
+// Sum the offsets from a frame up to the top-level frame
+// Returns null if any ancestor hasn't reported its children yet
+function getTopLevelOffset(tabId, frameId) {
+  const offsets = frameOffsets.get(tabId);
+  let x = 0;
+  let y = 0;
+  let current = frameId;
+  
+  // Depth guard in case stale entries form a cycle
+  for (let depth = 0; current !== TOP_FRAME_ID; depth++) {
+    const entry = offsets && offsets.get(current);
+    if (!entry || depth > 32) {
+      return null;
+    }
+    
+    x += entry.x;
+    y += entry.y;
+    current = entry.parentFrameId;
+  }
+  
+  return { x, y };
+}
+
+// List the frames of a tab for DevTools
+function handleGetFrames(tabId, sendResponse) {
+  chrome.webNavigation.getAllFrames({ tabId }, (frames) => {
+    if (chrome.runtime.lastError || !frames) {
+      const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No frames';
+      sendResponse({ success: false, error });
+      return;
+    }
+    
+    sendResponse({
+      success: true,
+      frames: frames.map(frame => ({
+        frameId: frame.frameId,
+        parentFrameId: frame.parentFrameId,
+        url: frame.url
+      }))
+    });
+  });
+}
+
+// Send a message to every frame in the tab and combine the given array field of the responses
+// (e.g. audit rows); frames without the content script (e.g. about:blank placeholders) are skipped
+async function handleFrameCollection(tabId, message, field, sendResponse) {
+  const { type, data } = message;
+  if (!tabId) {
+    sendResponse({ success: false, error: 'No tabId provided' });
+    return;
+  }
+  
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    const responses = await Promise.all((frames || []).map(frame =>
+      chrome.tabs.sendMessage(tabId, { type, source: 'devtools', data }, { frameId: frame.frameId })
+        .catch(error => {
+          console.log(`Frame ${frame.frameId} did not respond to ${type}:`, error.message);
+          return null;
+        })
+    ));
+    
+    const topResponse = responses[frames.findIndex(frame => frame.frameId === TOP_FRAME_ID)];
+    if (!topResponse || !topResponse.success) {
+      sendResponse(topResponse || { success: false, error: 'Top-level frame did not respond' });
+      return;
+    }
+    
+    const items = responses
+      .filter(response => response && response.success)
+      .flatMap(response => response[field]);
+    sendResponse({ success: true, [field]: items });
+  } catch (error) {
+    console.error(`Error collecting ${type} from frames:`, error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Forget frame offsets when the top-level document goes away
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId === TOP_FRAME_ID) {
+    frameOffsets.delete(details.tabId);
+    inspectModeTabs.delete(details.tabId);
+    
+    // Statuses of the old document's frames no longer apply
+    latestStatuses.delete(details.tabId);
+    const devtoolsPort = devtoolsStatusPorts.get(details.tabId);
+    if (devtoolsPort) {
+      devtoolsPort.postMessage({ type: 'reset' });
+    }
+  }
+});
+
 // Tab management - track active tabs with extension loaded
 const activeTabs = new Set();
 
@@ -78,6 +541,9 @@ chrome.tabs.query({}, (tabs) => {
 
 // Handle tab removal - clean up state
 chrome.tabs.onRemoved.addListener((tabId) => {
+  frameOffsets.delete(tabId);
+  inspectModeTabs.delete(tabId);
+  latestStatuses.delete(tabId);
   if (activeTabs.has(tabId)) {
     activeTabs.delete(tabId);
     console.log('Tab closed and removed from active tabs:', tabId);
@@ -1,64 +1,188 @@
 // Content script for Hit Region Highlighter extension
 // Orchestrates hit region calculation and visualization
 
-import { ConfigurationManager } from "./ConfigurationManager.js";
-import { calculate } from "./HitRegionCalculator.js";
+import {
+  ConfigurationManager,
+  resolveInteractiveRules,
+} from "./ConfigurationManager.js";
+import {
+  calculate,
+  calculateRegion,
+  createTargetFinder,
+  getSamplingBounds,
+  analyzeOcclusion,
+} from "./HitRegionCalculator.js";
+import { createHitBoxCache } from "./GeometryCalculator.js";
+import {
+  isInteractive,
+  setInteractiveRules,
+  findInteractiveAncestor,
+  getComposedParent,
+} from "./InteractiveElementFinder.js";
+import {
+  auditElement,
+  auditHitRegions,
+  getRegionBounds,
+} from "./HitRegionAuditor.js";
+import {
+  serializeAuditEntry,
+  buildExportData,
+  toCSV,
+  compositeSnapshot,
+} from "./HitRegionExporter.js";
+import {
+  generateElementIdentifier,
+  describeElement,
+  findElementByShadowPath,
+} from "./ElementIdentifier.js";
+import {
+  getFrameId,
+  getFramePath,
+  isTopFrame,
+  reportChildFrames,
+  requestFrameOffset,
+} from "./FrameCoordinator.js";
 import CanvasRenderer from "./CanvasRenderer.js";
+import InspectMode, { INSPECT_COLOR, predictClick } from "./InspectMode.js";
+import PinnedElements from "./PinnedElements.js";
+import { buildHeatmap, HEATMAP_MODES } from "./HeatmapBuilder.js";
+import {
+  analyzeSpacing,
+  POINTER_DIAMETERS,
+  SPACING_VIOLATION_COLOR,
+} from "./SpacingAnalyzer.js";
+import PageApiBridge from "./PageApi.js";
+import BaselineStore, { getBaselinePageUrl } from "./BaselineStore.js";
+import {
+  diffHitRegions,
+  DIFF_ADDED_COLOR,
+  DIFF_REMOVED_COLOR,
+} from "./HitRegionDiff.js";
+import DirtyRegionTracker, {
+  getRectsArea,
+  mergeDirtyRects,
+} from "./DirtyRegionTracker.js";
+import { clientRectToDocumentRect, intersectRects } from "./models/Rect.js";
 
 console.log("Hit Region Highlighter: Content script loaded");
 
 // Global state
 let configManager = null;
 let currentConfig = null;
+let activeProfileName = null;
 let hitRegionMap = null;
 let renderer = null;
+let inspectMode = null;
 let currentlySelectedElement = null;
+let currentlyHoveredElement = null;
+let pinnedElements = new PinnedElements();
+let pinLayerNames = new Set();
+let heatmapMode = null;
+let heatmapStats = null;
+let spacingRequest = null;
+let spacingReport = null;
+let coarsePointerQuery = null;
+let pageApi = null;
+let pageApiOverrides = {};
+let diffBaseline = null;
+let baselineDiff = null;
+let currentOcclusionReport = null;
 let mutationObserver = null;
 let resizeObserver = null;
 let mutationDebounceTimer = null;
 let resizeDebounceTimer = null;
+let scrollDebounceTimer = null;
+let windowScrolled = false;
+let scrolledContainers = new Set();
+let mapPatching = null;
 let calculationAbortController = null;
 let progressIndicator = null;
+let activeRulesSignature = null;
+let frameOffset = { x: 0, y: 0 };
+let dirtyRegionTracker = new DirtyRegionTracker();
+let pendingMutations = [];
+let viewportSize = { width: window.innerWidth, height: window.innerHeight };
+let statusPort = null;
+let statusSubscribed = false;
+let lastStatus = null;
+
+// Name of the port calculation status is streamed over; matches background.js and devtools.js
+const STATUS_PORT_NAME = "hit-region-status";
+
+// Id prefix of the nodes the extension adds to the page
+const EXTENSION_NODE_ID_PREFIX = "hit-region-";
+
+// Attribute that tells DevTools which of several frames sharing a URL holds an element;
+// matches panel.js and devtools.js
+const ELEMENT_MARK_ATTRIBUTE = "data-hit-region-mark";
+
+// Share of the sampled area above which a full recalculation is cheaper than patching
+const FULL_RECALCULATION_RATIO = 0.5;
+
+// Stacking order of overlay layers: the heatmap at the bottom, the baseline diff, pinned elements,
+// the selection, spacing violations, hover previews above them, the inspect target on top
+const LAYER_ORDER = {
+  heatmap: 0,
+  diff: 1,
+  pins: 2,
+  selection: 3,
+  spacing: 4,
+  hover: 5,
+  inspect: 6,
+};
 
 /**
  * Initialize the Hit Region Highlighter extension
  * Requirements: 1.1, 1.3
  */
 async function initialize() {
-  console.log("Initializing Hit Region Highlighter...");
+  console.log(
+    isTopFrame()
+      ? "Initializing Hit Region Highlighter..."
+      : `Initializing Hit Region Highlighter in frame ${location.href}...`,
+  );
 
   try {
-    // Load configuration from storage
+    // DevTools may already be open on this tab
+    requestStatusSubscription();
+
+    // Load configuration from storage, with the site profile for this page applied
     configManager = new ConfigurationManager();
-    currentConfig = await configManager.loadConfiguration();
+    await configManager.loadConfiguration();
+    currentConfig = resolvePageConfiguration();
     console.log("Configuration loaded:", currentConfig);
+    applyInteractiveRules();
 
     // Create CanvasRenderer instance
     renderer = new CanvasRenderer();
 
-    // Trigger initial hit region calculation
-    await calculateHitRegions();
+    // Inspect mode follows the mouse and predicts click targets from the map
+    inspectMode = new InspectMode({
+      getHitRegionMap: () => hitRegionMap,
+      onInspect: showInspectTarget,
+      onExit: () => {
+        chrome.runtime
+          .sendMessage({
+            source: "content",
+            type: "inspectModeChanged",
+            enabled: false,
+          })
+          .catch((error) =>
+            console.warn("Failed to report inspect mode change:", error),
+          );
+      },
+    });
 
-    // Set up configuration change listener
-    configManager.addChangeListener((oldConfig, newConfig) => {
-      console.log("Configuration changed:", { oldConfig, newConfig });
-      currentConfig = newConfig;
+    // Trigger initial hit region calculation
+    await calculateHitRegions({ reason: "initial" });
 
-      // Recalculate if resolution changed
-      if (oldConfig.samplingResolution !== newConfig.samplingResolution) {
-        calculateHitRegions();
-      }
+    // Settings and profile changes apply to the page right away
+    configManager.addChangeListener(applyConfiguration);
 
-      // Update visualization if color or opacity changed and element is selected
-      if (
-        currentlySelectedElement &&
-        (oldConfig.highlightColor !== newConfig.highlightColor ||
-          oldConfig.highlightOpacity !== newConfig.highlightOpacity)
-      ) {
-        console.log("Updating visualization with new color/opacity");
-        visualizeHitRegion(currentlySelectedElement);
-      }
-    });
+    // Single-page apps can navigate to a URL that matches another profile
+    if (window.navigation) {
+      window.navigation.addEventListener("navigatesuccess", applyConfiguration);
+    }
 
     // Start listening for configuration changes
     configManager.startListening();
@@ -66,6 +190,12 @@ async function initialize() {
     // Set up DOM and layout change detection
     setupMutationObserver();
     setupResizeObserver();
+    setupScrollTracking();
+    setupPointerTracking();
+
+    // Tests in the page can query hit regions once the first map is ready, if enabled
+    pageApi = new PageApiBridge(createPageApiMethods());
+    applyPageApi();
 
     console.log("Hit Region Highlighter initialized successfully");
   } catch (error) {
@@ -73,6 +203,138 @@ async function initialize() {
   }
 }
 
+/**
+ * Resolve the configuration for the current URL
+ * The first site profile whose pattern matches overrides the global settings, and
+ * settings passed to the page API's computeRegions() override both.
+ *
+ * @returns {Configuration} The page's configuration
+ */
+function resolvePageConfiguration() {
+  const profile = configManager.getProfileForUrl(location.href);
+  const profileName = profile ? profile.name || profile.pattern : null;
+
+  if (profileName !== activeProfileName) {
+    console.log(
+      profileName
+        ? `Using site profile "${profileName}"`
+        : "Using global settings",
+    );
+    activeProfileName = profileName;
+  }
+  const config = configManager.getConfigurationForUrl(location.href);
+  return config.pageApi ? { ...config, ...pageApiOverrides } : config;
+}
+
+/**
+ * Start or stop the page API as configured for this page
+ * Until it is enabled the page sees nothing: no attribute, no messages, no answers.
+ * Stopping it drops the settings passed to computeRegions().
+ */
+function applyPageApi() {
+  if (!pageApi) {
+    return;
+  }
+
+  if (currentConfig.pageApi) {
+    pageApi.start();
+  } else {
+    pageApi.stop();
+    pageApiOverrides = {};
+  }
+}
+
+/**
+ * Re-resolve the configuration and update everything that depends on it
+ * Runs when the settings or site profiles change, and after same-document navigations.
+ */
+function applyConfiguration() {
+  const oldConfig = currentConfig;
+  const newConfig = resolvePageConfiguration();
+  currentConfig = newConfig;
+
+  console.log("Configuration changed:", { oldConfig, newConfig });
+  const rulesChanged = applyInteractiveRules();
+  applyPageApi();
+
+  // Recalculate if resolution, sampling scope, strategy or interactive rules changed
+  if (
+    oldConfig.samplingResolution !== newConfig.samplingResolution ||
+    oldConfig.samplingScope !== newConfig.samplingScope ||
+    oldConfig.samplingStrategy !== newConfig.samplingStrategy ||
+    rulesChanged
+  ) {
+    calculateHitRegions({ reason: "settings" });
+  }
+
+  // Update visualization if color, opacity or render mode changed and element is selected
+  if (
+    currentlySelectedElement &&
+    (oldConfig.highlightColor !== newConfig.highlightColor ||
+      oldConfig.highlightOpacity !== newConfig.highlightOpacity ||
+      oldConfig.occlusionColor !== newConfig.occlusionColor ||
+      oldConfig.renderMode !== newConfig.renderMode)
+  ) {
+    console.log("Updating visualization with new color/opacity/render mode");
+    visualizeHitRegion(currentlySelectedElement);
+  }
+
+  // Update the hover preview if its color, opacity or render mode changed
+  if (
+    currentlyHoveredElement &&
+    (oldConfig.hoverColor !== newConfig.hoverColor ||
+      oldConfig.highlightOpacity !== newConfig.highlightOpacity ||
+      oldConfig.renderMode !== newConfig.renderMode)
+  ) {
+    previewHitRegion(currentlyHoveredElement);
+  }
+
+  // Pins keep their colors but follow opacity and render mode; the heatmap follows opacity
+  if (
+    oldConfig.highlightOpacity !== newConfig.highlightOpacity ||
+    oldConfig.renderMode !== newConfig.renderMode
+  ) {
+    renderPins();
+    renderHeatmap();
+  }
+
+  // Automatic spacing for touch pointers can be switched on and off
+  if (oldConfig.touchSpacing !== newConfig.touchSpacing) {
+    handlePointerModeChange();
+  }
+
+  // Spacing follows opacity and, unless the panel picked a pointer, the configured diameter
+  if (
+    oldConfig.highlightOpacity !== newConfig.highlightOpacity ||
+    oldConfig.pointerDiameter !== newConfig.pointerDiameter
+  ) {
+    renderSpacing();
+  }
+}
+
+/**
+ * Apply the interactive rules configured for this page
+ * Site profiles are already applied to currentConfig.
+ *
+ * @returns {boolean} True if the active rules changed
+ */
+function applyInteractiveRules() {
+  const rules = resolveInteractiveRules(currentConfig);
+  const signature = rules.map((rule) => rule.id).join("|");
+
+  if (signature === activeRulesSignature) {
+    return false;
+  }
+
+  activeRulesSignature = signature;
+  setInteractiveRules(rules);
+  console.log(
+    "Interactive rules:",
+    rules.map((rule) => rule.id),
+  );
+  return true;
+}
+
 /**
  * Shows a progress indicator for long calculations
  * Requirements: 2.4
@@ -94,10 +356,24 @@ function showProgressIndicator() {
   progressIndicator.style.zIndex = "2147483646";
   progressIndicator.style.fontFamily = "sans-serif";
   progressIndicator.style.fontSize = "14px";
+  // Sampling runs while the indicator is shown, so it must not catch elementFromPoint()
+  progressIndicator.style.pointerEvents = "none";
   progressIndicator.innerHTML =
-    'Calculating hit regions... <span id="progress-percent">0%</span>';
+    'Calculating hit regions... <span id="progress-percent">0%</span> (Esc to cancel)';
 
-  document.body.appendChild(progressIndicator);
+  // Outside document.body, so the MutationObserver doesn't see it come and go
+  document.documentElement.appendChild(progressIndicator);
+  document.addEventListener("keydown", handleProgressKeyDown, true);
+}
+
+/**
+ * Cancels the calculation when Escape is pressed while the progress indicator is shown
+ * Requirements: 2.4
+ */
+function handleProgressKeyDown(event) {
+  if (event.key === "Escape") {
+    cancelCalculation();
+  }
 }
 
 /**
@@ -118,6 +394,7 @@ function updateProgressIndicator(progress) {
  * Requirements: 2.4
  */
 function hideProgressIndicator() {
+  document.removeEventListener("keydown", handleProgressKeyDown, true);
   if (progressIndicator && progressIndicator.parentNode) {
     progressIndicator.parentNode.removeChild(progressIndicator);
     progressIndicator = null;
@@ -126,34 +403,62 @@ function hideProgressIndicator() {
 
 /**
  * Calculate hit regions for all interactive elements
+ * The calculation is time-sliced, so it can overlap with page changes; a new
+ * calculation cancels the one in progress.
  * Requirements: 1.1, 1.2, 2.4
+ *
+ * @param {Object} [options] - Settings for this calculation instead of the configured ones
+ * @param {number} [options.resolution] - Pixels between sample points
+ * @param {'viewport'|'document'} [options.scope] - Sampling scope
+ * @param {'grid'|'adaptive'|'geometry'} [options.strategy] - Sampling strategy
+ * @param {string} [options.reason] - Why the map is recalculated, reported to DevTools
+ * @returns {Promise<HitRegionMap|null>} The new map, or null if the calculation was cancelled
  */
-async function calculateHitRegions() {
+async function calculateHitRegions(options = {}) {
   console.log("Calculating hit regions...");
+  const { reason = "update" } = options;
+
+  // Only one calculation at a time; the newest one wins
+  if (calculationAbortController) {
+    calculationAbortController.abort();
+  }
+
+  // Create abort controller for cancellation support
+  const abortController = new AbortController();
+  calculationAbortController = abortController;
+
+  // Show progress indicator for long calculations
+  const progressTimeout = setTimeout(() => {
+    showProgressIndicator();
+  }, 500); // Show after 500ms if still calculating
+
+  const resolution = options.resolution || currentConfig.samplingResolution;
+  const scope = options.scope || currentConfig.samplingScope;
+  const strategy = options.strategy || currentConfig.samplingStrategy;
+  reportStatus({ state: "started", reason, resolution, scope, strategy });
 
   try {
     const startTime = performance.now();
 
-    // Create abort controller for cancellation support
-    calculationAbortController = new AbortController();
-
-    // Show progress indicator for long calculations
-    const progressTimeout = setTimeout(() => {
-      showProgressIndicator();
-    }, 500); // Show after 500ms if still calculating
+    // Remember element boxes as sampled, so later changes can be patched incrementally
+    await dirtyRegionTracker.recordSubtree(document.documentElement, {
+      signal: abortController.signal,
+    });
+    viewportSize = { width: window.innerWidth, height: window.innerHeight };
 
     // Call calculator.calculate() with configured resolution and options
-    hitRegionMap = calculate(currentConfig.samplingResolution, {
-      timeout: 10000, // 10 second timeout
-      signal: calculationAbortController.signal,
+    const newMap = await calculate(resolution, {
+      scope,
+      strategy,
+      // Sampling yields to the page, so a long limit doesn't freeze it
+      timeout: 60000,
+      signal: abortController.signal,
       onProgress: (progress) => {
         updateProgressIndicator(progress);
+        reportStatus({ state: "progress", reason, progress });
       },
     });
-
-    // Clear progress timeout and hide indicator
-    clearTimeout(progressTimeout);
-    hideProgressIndicator();
+    hitRegionMap = newMap;
 
     const endTime = performance.now();
     const duration = endTime - startTime;
@@ -165,21 +470,145 @@ async function calculateHitRegions() {
         `${stats.coordinateCount} coordinates in ${duration.toFixed(2)}ms`,
     );
 
-    calculationAbortController = null;
+    // Keep the map in top-level coordinates, and tell child frames where they are
+    hitRegionMap.setFrameOffset(frameOffset);
+    reportChildFrames();
+
+    if (inspectMode) {
+      inspectMode.refresh();
+    }
+    reportStatus({
+      state: "completed",
+      reason,
+      duration,
+      elementCount: stats.elementCount,
+      coordinateCount: stats.coordinateCount,
+    });
+
     return hitRegionMap;
   } catch (error) {
-    hideProgressIndicator();
-
     if (error.message.includes("cancelled")) {
       console.log("Hit region calculation was cancelled");
-    } else if (error.message.includes("timeout")) {
+      // A calculation replaced by a newer one isn't reported; the newer one already started
+      if (calculationAbortController === abortController) {
+        reportStatus({ state: "cancelled", reason });
+      }
+      return null;
+    }
+
+    if (error.message.includes("timeout")) {
       console.error("Hit region calculation timed out:", error);
+      reportStatus({ state: "timeout", reason, error: error.message });
     } else {
       console.error("Failed to calculate hit regions:", error);
+      reportStatus({ state: "error", reason, error: error.message });
     }
-
-    calculationAbortController = null;
     throw error;
+  } finally {
+    // A newer calculation owns the controller and the indicator if it replaced ours
+    clearTimeout(progressTimeout);
+    if (calculationAbortController === abortController) {
+      calculationAbortController = null;
+      hideProgressIndicator();
+
+      // Scrolls during the calculation were held back
+      if (windowScrolled || scrolledContainers.size > 0) {
+        processScrollChanges();
+      }
+    }
+  }
+}
+
+/**
+ * Stream a calculation status to DevTools over this frame's status port
+ * Nothing is sent while DevTools isn't subscribed to the tab, so closed DevTools cost
+ * no port and no service worker wake-ups. The last status other than progress is kept
+ * and sent when DevTools subscribes.
+ *
+ * @param {Object} status - Status to send
+ * @param {'started'|'progress'|'completed'|'cancelled'|'timeout'|'error'} status.state - What happened
+ * @param {string} status.reason - Why the map was being updated, e.g. 'mutation' or 'scroll'
+ */
+function reportStatus(status) {
+  const message = { ...status, timestamp: Date.now() };
+  if (status.state !== "progress") {
+    lastStatus = message;
+  }
+
+  if (statusSubscribed && openStatusPort()) {
+    statusPort.postMessage(message);
+  }
+}
+
+/**
+ * Open this frame's status port, unless it is open
+ *
+ * @returns {boolean} False if the extension is gone and no port can be opened
+ */
+function openStatusPort() {
+  if (statusPort) {
+    return true;
+  }
+
+  try {
+    statusPort = chrome.runtime.connect({ name: STATUS_PORT_NAME });
+  } catch (error) {
+    // The extension was reloaded or removed; this content script is orphaned
+    console.warn("Failed to open status port:", error);
+    return false;
+  }
+
+  statusPort.onMessage.addListener((message) => {
+    if (message.type === "subscription") {
+      setStatusSubscription(message.subscribed);
+    }
+  });
+  // The background worker restarted; DevTools subscribes again and tells us
+  statusPort.onDisconnect.addListener(() => {
+    statusPort = null;
+    statusSubscribed = false;
+  });
+  return true;
+}
+
+/**
+ * Start or stop streaming statuses as DevTools subscribes to or leaves this tab
+ * Subscribing opens the port and catches DevTools up with the last status; leaving
+ * closes the port.
+ *
+ * @param {boolean} subscribed - Whether DevTools listens to this tab's statuses
+ */
+function setStatusSubscription(subscribed) {
+  if (subscribed === statusSubscribed) {
+    return;
+  }
+
+  statusSubscribed = subscribed;
+  if (subscribed) {
+    if (openStatusPort() && lastStatus) {
+      statusPort.postMessage(lastStatus);
+    }
+  } else if (statusPort) {
+    statusPort.disconnect();
+    statusPort = null;
+  }
+}
+
+/**
+ * Ask the background worker whether DevTools is subscribed to this tab
+ * Later changes arrive as 'statusSubscription' messages.
+ */
+async function requestStatusSubscription() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      source: "content",
+      type: "getStatusSubscription",
+    });
+    if (response && response.success) {
+      setStatusSubscription(response.subscribed);
+    }
+  } catch (error) {
+    console.warn("Failed to get status subscription:", error);
   }
 }
 
@@ -190,8 +619,8 @@ async function calculateHitRegions() {
 function cancelCalculation() {
   if (calculationAbortController) {
     console.log("Cancelling hit region calculation...");
+    // calculateHitRegions() clears the controller once the calculation stops
     calculationAbortController.abort();
-    calculationAbortController = null;
     hideProgressIndicator();
     return true;
   }
@@ -212,7 +641,7 @@ function visualizeHitRegion(element) {
   }
 
   // Validate element is still in the document
-  if (!document.contains(element)) {
+  if (!element.isConnected) {
     console.warn("Cannot visualize hit region: element is not in the document");
     clearVisualization();
     return false;
@@ -230,91 +659,1234 @@ function visualizeHitRegion(element) {
     // Check if element exists in HitRegionMap before visualizing
     const coordinates = hitRegionMap.getCoordinates(element);
 
-    if (!coordinates || coordinates.length === 0) {
+    // Compare the element's box with its hit region. Only interactive elements
+    // are analyzed; for anything else the whole box would show as occluded.
+    currentOcclusionReport =
+      hitRegionMap.hasElement(element) || isInteractive(element)
+        ? analyzeOcclusion(hitRegionMap, element)
+        : null;
+    const occludedCoordinates = currentOcclusionReport
+      ? currentOcclusionReport.occludedCoordinates
+      : [];
+
+    if (coordinates.length === 0 && occludedCoordinates.length === 0) {
       console.log("No hit region found for element:", element);
       clearVisualization();
       return false;
     }
 
-    console.log(
-      `Visualizing hit region with ${coordinates.length} coordinates`,
-    );
+    console.log(
+      `Visualizing hit region with ${coordinates.length} coordinates ` +
+        `(${occludedCoordinates.length} occluded)`,
+    );
+
+    // Validate renderer exists
+    if (!renderer) {
+      console.error("Cannot visualize hit region: renderer not initialized");
+      return false;
+    }
+
+    // Create canvas overlay if not exists
+    if (!renderer.hasOverlay()) {
+      try {
+        renderer.createOverlay();
+      } catch (canvasError) {
+        // Handle canvas creation failures gracefully
+        console.error("Failed to create canvas overlay:", canvasError);
+        return false;
+      }
+    }
+
+    // Validate configuration
+    if (!currentConfig) {
+      console.error("Cannot visualize hit region: configuration not loaded");
+      return false;
+    }
+
+    const renderOptions = {
+      mode: currentConfig.renderMode,
+      resolution: hitRegionMap.resolution,
+      order: LAYER_ORDER.selection,
+    };
+
+    // Draw the hit region, then the occluded part of the box in a second color
+    // The hover preview and inspect target are separate layers and stay drawn
+    renderer.removeLayer("hitRegion");
+    renderer.removeLayer("occlusion");
+    if (coordinates.length > 0) {
+      renderer.setLayer(
+        "hitRegion",
+        coordinates,
+        currentConfig.highlightColor,
+        currentConfig.highlightOpacity,
+        renderOptions,
+      );
+    }
+    if (occludedCoordinates.length > 0) {
+      renderer.setLayer(
+        "occlusion",
+        occludedCoordinates,
+        currentConfig.occlusionColor,
+        currentConfig.highlightOpacity,
+        renderOptions,
+      );
+    }
+
+    return true;
+  } catch (error) {
+    console.error("Failed to visualize hit region:", error);
+    clearVisualization();
+    return false;
+  }
+}
+
+/**
+ * Draw the hit region of the element under the mouse in inspect mode
+ *
+ * @param {Object|null} prediction - Click prediction from InspectMode, or null when it ends
+ */
+function showInspectTarget(prediction) {
+  if (!renderer) {
+    return;
+  }
+
+  if (!prediction || !prediction.target || !hitRegionMap) {
+    renderer.removeLayer("inspect");
+    return;
+  }
+
+  if (!renderer.hasOverlay()) {
+    renderer.createOverlay();
+  }
+
+  renderer.setLayer(
+    "inspect",
+    hitRegionMap.getCoordinates(prediction.target),
+    INSPECT_COLOR,
+    currentConfig.highlightOpacity,
+    {
+      mode: currentConfig.renderMode,
+      resolution: hitRegionMap.resolution,
+      order: LAYER_ORDER.inspect,
+    },
+  );
+}
+
+/**
+ * Preview the hit region of an element hovered in the DevTools panel
+ * Drawn in the hover color above the selection, which stays drawn
+ * Requirements: 1.1.2
+ *
+ * @param {Element} element - The hovered element
+ * @returns {boolean} True if the element has a hit region to preview
+ */
+function previewHitRegion(element) {
+  if (!element || !element.isConnected || !hitRegionMap || !renderer) {
+    clearHoverPreview();
+    return false;
+  }
+
+  currentlyHoveredElement = element;
+
+  const coordinates = hitRegionMap.getCoordinates(element);
+  if (coordinates.length === 0) {
+    renderer.removeLayer("hover");
+    return false;
+  }
+
+  if (!renderer.hasOverlay()) {
+    renderer.createOverlay();
+  }
+
+  renderer.setLayer(
+    "hover",
+    coordinates,
+    currentConfig.hoverColor,
+    currentConfig.highlightOpacity,
+    {
+      mode: currentConfig.renderMode,
+      resolution: hitRegionMap.resolution,
+      order: LAYER_ORDER.hover,
+    },
+  );
+  return true;
+}
+
+/**
+ * Clear the hover preview, keeping the selection
+ */
+function clearHoverPreview() {
+  if (renderer) {
+    renderer.removeLayer("hover");
+  }
+  currentlyHoveredElement = null;
+}
+
+/**
+ * Redraw the hover preview from the current map, or drop it if its element is gone
+ */
+function refreshHoverPreview() {
+  if (currentlyHoveredElement) {
+    previewHitRegion(currentlyHoveredElement);
+  }
+}
+
+/**
+ * Pin elements for comparison, each drawn in its own color
+ * Elements without a hit region are skipped.
+ *
+ * @param {Iterable<Element>} elements - Elements to pin
+ * @returns {number} Number of elements pinned
+ */
+function pinElements(elements) {
+  if (!hitRegionMap) {
+    console.warn("Cannot pin elements: hit region map not calculated");
+    return 0;
+  }
+
+  let pinned = 0;
+  for (const element of elements) {
+    const coordinates = hitRegionMap.getCoordinates(element);
+    if (!element.isConnected || coordinates.length === 0) {
+      continue;
+    }
+    pinnedElements.pin(
+      element,
+      getRegionBounds(coordinates, hitRegionMap.resolution),
+    );
+    pinned++;
+  }
+
+  renderPins();
+  return pinned;
+}
+
+/**
+ * Draw every pinned element's hit region in its color, below the selection
+ * Pins of removed elements are dropped; pins without a hit region in the current map
+ * stay pinned but are not drawn.
+ */
+function renderPins() {
+  if (!renderer) {
+    return;
+  }
+
+  pinnedElements.prune();
+
+  const drawn = new Set();
+  if (hitRegionMap) {
+    for (const [element, pin] of pinnedElements.entries()) {
+      const coordinates = hitRegionMap.getCoordinates(element);
+      if (coordinates.length === 0) {
+        continue;
+      }
+
+      if (!renderer.hasOverlay()) {
+        renderer.createOverlay();
+      }
+
+      const name = `pin-${pin.id}`;
+      renderer.setLayer(
+        name,
+        coordinates,
+        pin.color,
+        currentConfig.highlightOpacity,
+        {
+          mode: currentConfig.renderMode,
+          resolution: hitRegionMap.resolution,
+          order: LAYER_ORDER.pins,
+        },
+      );
+      drawn.add(name);
+    }
+  }
+
+  for (const name of pinLayerNames) {
+    if (!drawn.has(name)) {
+      renderer.removeLayer(name);
+    }
+  }
+  pinLayerNames = drawn;
+}
+
+/**
+ * Draw the heatmap of the current map, or remove it if the heatmap is off
+ * Every sampled coordinate is colored, including those where clicks reach no element.
+ */
+function renderHeatmap() {
+  if (!renderer) {
+    return;
+  }
+
+  if (!heatmapMode || !hitRegionMap) {
+    renderer.removeLayer("heatmap");
+    heatmapStats = null;
+    return;
+  }
+
+  const startTime = performance.now();
+  const heatmap = buildHeatmap(hitRegionMap, heatmapMode);
+  heatmapStats = {
+    cellCount: heatmap.cells.length,
+    deadCount: heatmap.deadCount,
+    crowdedCount: heatmap.crowdedCount,
+  };
+  console.log(
+    `Built ${heatmapMode} heatmap with ${heatmap.cells.length} cells in ` +
+      `${(performance.now() - startTime).toFixed(2)}ms`,
+  );
+
+  if (heatmap.cells.length === 0) {
+    renderer.removeLayer("heatmap");
+    return;
+  }
+
+  if (!renderer.hasOverlay()) {
+    renderer.createOverlay();
+  }
+
+  renderer.setLayer(
+    "heatmap",
+    heatmap.cells,
+    "#000000",
+    currentConfig.highlightOpacity,
+    {
+      mode: "heatmap",
+      resolution: heatmap.resolution,
+      order: LAYER_ORDER.heatmap,
+    },
+  );
+}
+
+/**
+ * Analyze target spacing and draw the violations as pointer-sized circles
+ * Does nothing but remove the circles while the analysis is off.
+ */
+function renderSpacing() {
+  if (!renderer) {
+    return;
+  }
+
+  if (!spacingRequest || !hitRegionMap) {
+    renderer.removeLayer("spacing");
+    spacingReport = null;
+    return;
+  }
+
+  const diameter = spacingRequest.diameter || getDefaultPointerDiameter();
+  const startTime = performance.now();
+  spacingReport = analyzeSpacing(hitRegionMap, diameter);
+  console.log(
+    `Analyzed spacing of ${spacingReport.entries.length} targets for a ${diameter}px pointer ` +
+      `in ${(performance.now() - startTime).toFixed(2)}ms`,
+  );
+
+  if (spacingReport.circles.length === 0) {
+    renderer.removeLayer("spacing");
+    return;
+  }
+
+  if (!renderer.hasOverlay()) {
+    renderer.createOverlay();
+  }
+
+  renderer.setLayer(
+    "spacing",
+    spacingReport.circles.map(({ center, radius }) => ({ ...center, radius })),
+    SPACING_VIOLATION_COLOR,
+    currentConfig.highlightOpacity,
+    { mode: "circles", order: LAYER_ORDER.spacing },
+  );
+}
+
+/**
+ * Convert the spacing report into message-safe rows for DevTools
+ * Rows are tagged with this frame, like audit rows.
+ *
+ * @returns {Object[]} One row per target
+ */
+function summarizeSpacing() {
+  if (!spacingReport) {
+    return [];
+  }
+
+  const frameId = getFrameId();
+  const reference = (element) => ({
+    identifier: generateElementIdentifier(element),
+    label: describeElement(element),
+  });
+
+  return spacingReport.entries.map((entry) => ({
+    ...reference(entry.element),
+    frameId,
+    frameUrl: location.href,
+    diameter: spacingReport.diameter,
+    hitBounds: {
+      width: entry.bounds.width,
+      height: entry.bounds.height,
+    },
+    undersized: entry.undersized,
+    passesSpacing: entry.passesSpacing,
+    nearest: entry.nearest
+      ? { ...reference(entry.nearest.element), gap: entry.nearest.gap }
+      : null,
+    circleConflicts: entry.circleConflicts.map(reference),
+    overlaps: entry.overlaps.map((overlap) => ({
+      ...reference(overlap.element),
+      spotCount: overlap.spotCount,
+    })),
+  }));
+}
+
+/**
+ * Compare the current map with the loaded baseline and draw the area gained and lost
+ * Does nothing but remove the overlay while no baseline is loaded. The baseline is
+ * dropped once the frame navigates to another page.
+ */
+function renderBaselineDiff() {
+  if (!renderer) {
+    return;
+  }
+
+  if (
+    diffBaseline &&
+    getBaselinePageUrl(diffBaseline.url) !== getBaselinePageUrl(location.href)
+  ) {
+    console.log(`Page changed, no longer comparing with baseline "${diffBaseline.name}"`);
+    diffBaseline = null;
+  }
+
+  if (!diffBaseline || !hitRegionMap) {
+    renderer.removeLayer("diff");
+    baselineDiff = null;
+    return;
+  }
+
+  const startTime = performance.now();
+  baselineDiff = diffHitRegions(diffBaseline, buildCurrentDocument());
+  console.log(
+    `Compared with baseline "${diffBaseline.name}" in ` +
+      `${(performance.now() - startTime).toFixed(2)}ms:`,
+    baselineDiff.counts,
+  );
+
+  if (baselineDiff.coordinates.length === 0) {
+    renderer.removeLayer("diff");
+    return;
+  }
+
+  if (!renderer.hasOverlay()) {
+    renderer.createOverlay();
+  }
+
+  renderer.setLayer(
+    "diff",
+    baselineDiff.coordinates,
+    DIFF_ADDED_COLOR,
+    currentConfig.highlightOpacity,
+    {
+      mode: "diff",
+      resolution: hitRegionMap.resolution,
+      removedColor: DIFF_REMOVED_COLOR,
+      order: LAYER_ORDER.diff,
+    },
+  );
+}
+
+/**
+ * Convert the baseline diff into a message-safe summary for DevTools
+ * Only changed elements are listed; unchanged ones are counted.
+ *
+ * @returns {Object[]} One summary for this frame, or none without a diff
+ */
+function summarizeBaselineDiff() {
+  if (!baselineDiff) {
+    return [];
+  }
+
+  return [
+    {
+      name: diffBaseline.name,
+      timestamp: diffBaseline.timestamp,
+      comparable: baselineDiff.comparable,
+      baselineResolution: baselineDiff.baselineResolution,
+      resolution: hitRegionMap.resolution,
+      counts: baselineDiff.counts,
+      entries: baselineDiff.entries
+        .filter((entry) => entry.changes.length > 0)
+        .map(({ key, ...entry }) => entry),
+      frameId: getFrameId(),
+      frameUrl: location.href,
+    },
+  ];
+}
+
+/**
+ * Redraw the hover preview, pins, heatmap, spacing violations and baseline diff after the map changed
+ */
+function refreshOverlays() {
+  refreshHoverPreview();
+  renderPins();
+  renderHeatmap();
+  renderSpacing();
+  renderBaselineDiff();
+}
+
+/**
+ * Convert the pinned elements into a message-safe legend for DevTools
+ *
+ * @returns {Object[]} One entry per pinned element, in pin order
+ */
+function summarizePins() {
+  const frameId = getFrameId();
+  return Array.from(pinnedElements.entries(), ([element, pin]) => ({
+    identifier: generateElementIdentifier(element),
+    label: describeElement(element),
+    color: pin.color,
+    hitArea: hitRegionMap
+      ? hitRegionMap.getCoordinates(element).length *
+        hitRegionMap.resolution *
+        hitRegionMap.resolution
+      : 0,
+    frameId,
+    frameUrl: location.href,
+  }));
+}
+
+/**
+ * Convert an occlusion report into a message-safe summary for DevTools
+ * Occluders are referenced by element identifier
+ *
+ * @param {Object|null} report - Report from analyzeOcclusion()
+ * @returns {Object|null} Serializable summary, or null if there is no report
+ */
+function summarizeOcclusion(report) {
+  if (!report) {
+    return null;
+  }
+
+  return {
+    coverage: report.coverage,
+    box: { width: report.box.width, height: report.box.height },
+    expectedCount: report.expectedCount,
+    coveredCount: report.coveredCount,
+    occludedCount: report.occludedCoordinates.length,
+    outsideCount: report.outsideCount,
+    unattributedCount: report.unattributedCount,
+    occluders: report.occluders.map((occluder) => ({
+      identifier: generateElementIdentifier(occluder.element),
+      label: describeElement(occluder.element),
+      count: occluder.count,
+      interactive: occluder.interactive,
+    })),
+  };
+}
+
+/**
+ * Collect the hit region stats the Elements sidebar shows for a selected element
+ * Elements that aren't targets themselves, like an icon inside a button, get the stats
+ * of their nearest interactive ancestor, which is what receives their clicks.
+ *
+ * @param {Element} element - The selected element
+ * @returns {Object} Message-safe stats; `stats` is null if no target has a box
+ */
+function getElementStats(element) {
+  const parent = getComposedParent(element);
+  const ancestor = parent ? findInteractiveAncestor(parent) : null;
+  const interactive = isInteractive(element);
+  const target =
+    interactive || hitRegionMap.hasElement(element) ? element : ancestor;
+  const entry = target ? auditElement(hitRegionMap, target) : null;
+
+  return {
+    label: describeElement(element),
+    interactive,
+    interactiveAncestor: ancestor
+      ? {
+          identifier: generateElementIdentifier(ancestor),
+          label: describeElement(ancestor),
+        }
+      : null,
+    inherited: Boolean(entry) && target !== element,
+    stats: entry ? serializeAuditEntry(entry) : null,
+    resolution: hitRegionMap.resolution,
+    frameId: getFrameId(),
+    frameUrl: location.href,
+  };
+}
+
+/**
+ * Refresh where this frame sits in the top-level viewport
+ * Child frames ask the background worker, which chains the offsets reported by
+ * their ancestors; the top-level frame is always at the origin.
+ */
+async function refreshFrameOffset() {
+  const offset = await requestFrameOffset();
+  if (!offset) {
+    console.warn("Frame offset unknown, using top-left of the top-level viewport");
+    return;
+  }
+
+  applyFrameOffset(offset);
+}
+
+/**
+ * Place this frame's hit regions at a new top-level offset
+ * The background worker pushes the offset whenever a parent frame reports that this
+ * frame, or one of its ancestors, has moved.
+ *
+ * @param {{x: number, y: number}} offset - Top-left of this frame's viewport in the top-level viewport
+ */
+function applyFrameOffset(offset) {
+  frameOffset = { x: offset.x, y: offset.y };
+  if (hitRegionMap) {
+    hitRegionMap.setFrameOffset(frameOffset);
+  }
+}
+
+/**
+ * Mark an element so DevTools can tell which of several same-URL frames holds it
+ * DevTools evaluates code in subframes by URL only, so the mark is checked on the
+ * DevTools side after evaluating in the frame it resolves.
+ *
+ * @param {Element} element - Element to mark
+ * @param {string} token - Unique value for this request
+ */
+function markElement(element, token) {
+  element.setAttribute(ELEMENT_MARK_ATTRIBUTE, token);
+}
+
+/**
+ * Remove a mark set by markElement() or by DevTools
+ *
+ * @param {Element|null} element - Element that may carry the mark
+ * @param {string} token - Value the mark must have
+ * @returns {boolean} True if the element carried the mark
+ */
+function takeElementMark(element, token) {
+  if (!element || element.getAttribute(ELEMENT_MARK_ATTRIBUTE) !== token) {
+    return false;
+  }
+
+  element.removeAttribute(ELEMENT_MARK_ATTRIBUTE);
+  return true;
+}
+
+/**
+ * Audit the hit region of every element in the current HitRegionMap
+ * Rows are tagged with this frame, and their boxes are also given in top-level
+ * viewport coordinates so rows from different frames can be compared.
+ *
+ * @returns {Promise<Object[]>} Serializable audit rows
+ */
+async function auditPage() {
+  if (!hitRegionMap) {
+    throw new Error("Hit region map not calculated");
+  }
+
+  await refreshFrameOffset();
+
+  const startTime = performance.now();
+  const frameId = getFrameId();
+  const rows = auditHitRegions(hitRegionMap).map((entry) => ({
+    ...serializeAuditEntry(entry),
+    frameId,
+    frameUrl: location.href,
+    topLevelBox: hitRegionMap.toTopLevelRect(entry.box),
+  }));
+  console.log(
+    `Audited ${rows.length} elements in ${(performance.now() - startTime).toFixed(2)}ms`,
+  );
+  return rows;
+}
+
+/**
+ * Find the element a page API call refers to
+ * Elements are given as CSS selectors, joined by " >>> " to descend into open
+ * shadow roots, or as identifiers like the ones in audit rows.
+ *
+ * @param {string|Object} target - Selector or element identifier
+ * @returns {Element} The element
+ * @throws {Error} If no element matches
+ */
+function findPageApiTarget(target) {
+  const element =
+    typeof target === "string"
+      ? findElementByShadowPath(target)
+      : findElementByIdentifier(target);
+
+  if (!element) {
+    throw new Error(`Element not found: ${JSON.stringify(target)}`);
+  }
+  return element;
+}
+
+/**
+ * Methods of the page API, for tests that query hit regions without DevTools
+ * Results are plain objects with elements referenced by identifier and label.
+ *
+ * @returns {Object<string, Function>} Method name -> handler
+ */
+function createPageApiMethods() {
+  const requireMap = () => {
+    if (!hitRegionMap) {
+      throw new Error("Hit region map not calculated");
+    }
+    return hitRegionMap;
+  };
+  const reference = (element) =>
+    element
+      ? {
+          identifier: generateElementIdentifier(element),
+          label: describeElement(element),
+        }
+      : null;
+
+  return {
+    // Recalculate the map, optionally with another resolution, scope or strategy
+    // The settings stay in effect for later recalculations until the next call
+    computeRegions: async ({ resolution, scope, strategy } = {}) => {
+      const overrides = Object.fromEntries(
+        Object.entries({
+          samplingResolution: resolution,
+          samplingScope: scope,
+          samplingStrategy: strategy,
+        }).filter(([, value]) => value !== undefined),
+      );
+      if (!configManager.validateConfiguration(overrides)) {
+        throw new Error("Invalid resolution, scope or strategy");
+      }
+
+      pageApiOverrides = overrides;
+      currentConfig = resolvePageConfiguration();
+
+      const startTime = performance.now();
+      const map = await calculateHitRegions({ reason: "api" });
+      if (!map) {
+        throw new Error("Hit region calculation was cancelled");
+      }
+
+      if (currentlySelectedElement && currentlySelectedElement.isConnected) {
+        visualizeHitRegion(currentlySelectedElement);
+      }
+      refreshOverlays();
+
+      const stats = map.getStats();
+      return {
+        resolution: map.resolution,
+        scope: currentConfig.samplingScope,
+        strategy: currentConfig.samplingStrategy,
+        elementCount: stats.elementCount,
+        coordinateCount: stats.coordinateCount,
+        duration: performance.now() - startTime,
+      };
+    },
+
+    // Hit area, coverage and occluders of one element
+    getHitRegion: async ({ target }) => {
+      const map = requireMap();
+      const element = findPageApiTarget(target);
+      const entry = auditElement(map, element);
+      if (!entry) {
+        throw new Error(`Element has no box: ${JSON.stringify(target)}`);
+      }
+
+      return {
+        ...serializeAuditEntry(entry),
+        interactive: isInteractive(element),
+        // Document coordinates, for assertions on position
+        boxRect: entry.box,
+        hitRect: entry.hitBounds,
+      };
+    },
+
+    // Element that receives a click at a viewport position, from the map and sampled live
+    elementAtPoint: async ({ x, y }) => {
+      const map = requireMap();
+      if (typeof x !== "number" || typeof y !== "number") {
+        throw new Error("elementAtPoint needs numeric x and y viewport coordinates");
+      }
+
+      const prediction = predictClick(map, x, y);
+      return {
+        coordinate: prediction.coordinate,
+        sampled: prediction.sampled,
+        target: reference(prediction.target),
+        liveTarget: reference(prediction.liveTarget),
+      };
+    },
+
+    // Audit rows of every element in this frame, as in the DevTools panel
+    auditPage: async () => auditPage(),
+  };
+}
+
+/**
+ * Build a file name for exported data, e.g. "hit-regions-example.com-2024-01-01T12-00-00-000Z"
+ *
+ * @returns {string} File name without extension
+ */
+function getExportBaseName() {
+  const host = location.hostname || "page";
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return `hit-regions-${host}-${timestamp}`;
+}
+
+/**
+ * Build the export document of the current HitRegionMap, which is also the baseline format
+ *
+ * @returns {Object} Document from buildExportData()
+ */
+function buildCurrentDocument() {
+  return buildExportData(hitRegionMap, auditHitRegions(hitRegionMap), {
+    scope: currentConfig.samplingScope,
+  });
+}
+
+/**
+ * Build this frame's part of a multi-frame export
+ * Coordinates stay in the frame's document; `frame.offset` places its viewport in the
+ * top-level viewport and `frame.path` tells apart frames that load the same URL.
+ *
+ * @returns {Object[]} The frame's export document, tagged with the frame
+ */
+function exportFrameDocument() {
+  if (!hitRegionMap) {
+    throw new Error("Hit region map not calculated");
+  }
+
+  return [
+    {
+      ...buildCurrentDocument(),
+      frame: {
+        frameId: getFrameId(),
+        path: getFramePath(),
+        offset: { x: frameOffset.x, y: frameOffset.y },
+      },
+    },
+  ];
+}
+
+/**
+ * Export the current HitRegionMap with per-element stats
+ * Called in the top-level frame, with the documents the other frames built for the export.
+ *
+ * @param {'json'|'csv'} format - Export format
+ * @param {Object[]} [frames=[]] - Child frame documents from exportFrameDocument()
+ * @returns {{filename: string, mimeType: string, content: string}} File to download
+ */
+function exportData(format, frames = []) {
+  if (!hitRegionMap) {
+    throw new Error("Hit region map not calculated");
+  }
+
+  const data = buildCurrentDocument();
+  if (frames.length > 0) {
+    data.frames = frames;
+  }
+
+  if (format === "csv") {
+    return {
+      filename: `${getExportBaseName()}.csv`,
+      mimeType: "text/csv",
+      content: toCSV(data),
+    };
+  }
+
+  return {
+    filename: `${getExportBaseName()}.json`,
+    mimeType: "application/json",
+    content: JSON.stringify(data, null, 2),
+  };
+}
+
+/**
+ * Get the baselines of this frame's page
+ * Frames that load the same URL are told apart by their place in the frame tree.
+ *
+ * @returns {BaselineStore} The frame's baseline store
+ */
+function getBaselineStore() {
+  return new BaselineStore(location.href, getFramePath());
+}
+
+/**
+ * Save the current hit regions of this frame as a named baseline
+ *
+ * @param {string} name - Baseline name; an existing baseline of that name is replaced
+ * @returns {Promise<Object[]>} Summary of the saved baseline, tagged with this frame
+ */
+async function saveBaseline(name) {
+  if (!hitRegionMap) {
+    throw new Error("Hit region map not calculated");
+  }
+
+  const baseline = await getBaselineStore().save(
+    name,
+    buildCurrentDocument(),
+  );
+  const elementCount = Object.keys(baseline.elements).length;
+  console.log(`Saved baseline "${baseline.name}" with ${elementCount} elements`);
+
+  return [
+    {
+      name: baseline.name,
+      timestamp: baseline.timestamp,
+      resolution: baseline.resolution,
+      elementCount,
+      frameId: getFrameId(),
+      frameUrl: location.href,
+    },
+  ];
+}
+
+/**
+ * List the baselines saved for this frame's page
+ *
+ * @returns {Promise<Object[]>} Baseline summaries, tagged with this frame
+ */
+async function listBaselines() {
+  const frameId = getFrameId();
+  const baselines = await getBaselineStore().list();
+  return baselines.map((baseline) => ({
+    ...baseline,
+    frameId,
+    frameUrl: location.href,
+  }));
+}
+
+/**
+ * Load a baseline and keep comparing the hit regions with it until cleared
+ *
+ * @param {string} name - Baseline name
+ * @returns {Promise<Object[]>} Diff summary from summarizeBaselineDiff()
+ * @throws {Error} If the map isn't calculated or there is no such baseline for this page
+ */
+async function compareWithBaseline(name) {
+  if (!hitRegionMap) {
+    throw new Error("Hit region map not calculated");
+  }
+
+  const baseline = await getBaselineStore().load(name);
+  if (!baseline) {
+    throw new Error(`No baseline named "${name}" for this page`);
+  }
+
+  diffBaseline = baseline;
+  renderBaselineDiff();
+  return summarizeBaselineDiff();
+}
+
+/**
+ * Stop comparing with a baseline and remove the diff overlay
+ */
+function clearBaselineDiff() {
+  diffBaseline = null;
+  renderBaselineDiff();
+}
+
+/**
+ * Delete a baseline of this frame's page, and stop comparing with it
+ *
+ * @param {string} name - Baseline name
+ * @returns {Promise<boolean>} True if a baseline was deleted
+ */
+async function deleteBaseline(name) {
+  const removed = await getBaselineStore().remove(name);
+  if (diffBaseline && diffBaseline.name === name) {
+    clearBaselineDiff();
+  }
+  return removed;
+}
+
+/**
+ * Load a baseline for export
+ *
+ * @param {string} name - Baseline name
+ * @returns {Promise<Object[]>} The full baseline, tagged with this frame
+ * @throws {Error} If there is no such baseline for this page
+ */
+async function exportBaseline(name) {
+  const baseline = await getBaselineStore().load(name);
+  if (!baseline) {
+    throw new Error(`No baseline named "${name}" for this page`);
+  }
+  return [{ ...baseline, frameId: getFrameId() }];
+}
+
+/**
+ * Get this child frame's overlay as an image for the top-level frame's snapshot
+ *
+ * @returns {Object[]} The overlay, placed in the top-level viewport, or nothing in the
+ *   top-level frame and in frames without an overlay
+ */
+function exportFrameOverlay() {
+  if (isTopFrame() || !renderer || !renderer.hasOverlay()) {
+    return [];
+  }
+
+  return [
+    {
+      frameId: getFrameId(),
+      dataUrl: renderer.canvas.toDataURL("image/png"),
+      x: frameOffset.x,
+      y: frameOffset.y,
+      width: window.innerWidth,
+      height: window.innerHeight,
+    },
+  ];
+}
 
-    // Validate renderer exists
-    if (!renderer) {
-      console.error("Cannot visualize hit region: renderer not initialized");
-      return false;
-    }
+/**
+ * Show or hide the overlay, resolving once the change is painted
+ * The background worker hides child frame overlays while it captures a snapshot.
+ *
+ * @param {boolean} visible - Whether the overlay is shown
+ * @returns {Promise<void>}
+ */
+async function setOverlayVisible(visible) {
+  if (!renderer || !renderer.hasOverlay()) {
+    return;
+  }
 
-    // Create canvas overlay if not exists
-    if (!renderer.hasOverlay()) {
-      try {
-        renderer.createOverlay();
-      } catch (canvasError) {
-        // Handle canvas creation failures gracefully
-        console.error("Failed to create canvas overlay:", canvasError);
-        return false;
-      }
-    }
+  renderer.setVisible(visible);
+  await new Promise((resolve) =>
+    requestAnimationFrame(() => requestAnimationFrame(resolve)),
+  );
+}
 
-    // Validate configuration
-    if (!currentConfig) {
-      console.error("Cannot visualize hit region: configuration not loaded");
-      return false;
+/**
+ * Capture a PNG of the visible tab with the hit region overlay composited on top
+ * The overlay is hidden while the background script takes the screenshot so it
+ * isn't captured twice; the background script hides child frame overlays too.
+ *
+ * @param {Object[]} [frameOverlays=[]] - Child frame overlays from exportFrameOverlay()
+ * @returns {Promise<{filename: string, dataUrl: string}>} PNG to download
+ */
+async function exportSnapshot(frameOverlays = []) {
+  const overlay = renderer && renderer.hasOverlay() ? renderer.canvas : null;
+
+  if (overlay) {
+    renderer.setVisible(false);
+    // Wait for a frame without the overlay to be painted
+    await new Promise((resolve) =>
+      requestAnimationFrame(() => requestAnimationFrame(resolve)),
+    );
+  }
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      source: "content",
+      type: "captureVisibleTab",
+    });
+  } finally {
+    if (overlay) {
+      renderer.setVisible(true);
     }
+  }
 
-    // Call renderer.renderHitRegion() with coordinates and config
-    renderer.renderHitRegion(
-      coordinates,
-      currentConfig.highlightColor,
-      currentConfig.highlightOpacity,
+  if (!response || !response.success) {
+    throw new Error(
+      (response && response.error) || "Failed to capture visible tab",
     );
+  }
 
-    return true;
-  } catch (error) {
-    console.error("Failed to visualize hit region:", error);
-    clearVisualization();
-    return false;
+  return {
+    filename: `${getExportBaseName()}.png`,
+    dataUrl: await compositeSnapshot(
+      response.dataUrl,
+      overlay,
+      overlay && getVisibleOverlayRect(overlay),
+      frameOverlays,
+    ),
+  };
+}
+
+/**
+ * Find the part of the overlay canvas that captureVisibleTab shows
+ * The overlay covers the layout viewport; pinch zoom shows only the visual viewport.
+ *
+ * @param {HTMLCanvasElement} canvas - The overlay canvas
+ * @returns {{x: number, y: number, width: number, height: number}|null} Canvas pixels, or null if not zoomed
+ */
+function getVisibleOverlayRect(canvas) {
+  const viewport = window.visualViewport;
+  if (!viewport || viewport.scale <= 1) {
+    return null;
   }
+
+  const scaleX = canvas.width / window.innerWidth;
+  const scaleY = canvas.height / window.innerHeight;
+  return {
+    x: viewport.offsetLeft * scaleX,
+    y: viewport.offsetTop * scaleY,
+    width: viewport.width * scaleX,
+    height: viewport.height * scaleY,
+  };
 }
 
 /**
- * Clear the hit region visualization
+ * Clear the hit region visualization of the selected element
+ * The hover preview and inspect target are cleared separately
  * Requirements: 1.1.4, 5.5
  */
 function clearVisualization() {
   if (renderer) {
-    renderer.clear();
+    renderer.removeLayer("hitRegion");
+    renderer.removeLayer("occlusion");
   }
   // Clear currently selected element
   currentlySelectedElement = null;
+  currentOcclusionReport = null;
+}
+
+/**
+ * Run an incremental patch of the current map once no other patch is running
+ * Dirty rect and scroll resampling both remove and resample coordinates of the same map,
+ * so they must not interleave. Scrolls that arrive meanwhile are handled afterwards.
+ *
+ * @param {function(): Promise<*>} patch - Patches the map
+ * @returns {Promise<*>} What the patch returns
+ */
+async function runMapPatch(patch) {
+  while (mapPatching) {
+    await mapPatching.catch(() => {});
+  }
+
+  mapPatching = patch();
+  try {
+    return await mapPatching;
+  } finally {
+    mapPatching = null;
+
+    if (
+      (windowScrolled || scrolledContainers.size > 0) &&
+      !calculationAbortController
+    ) {
+      processScrollChanges();
+    }
+  }
+}
+
+/**
+ * Resample only the dirty parts of the current map
+ * The whole dirty area is invalidated, but only its visible part is sampled; the rest stays
+ * marked unsampled and is picked up when scrolled into view.
+ * Requirements: 6.1, 6.2
+ *
+ * @param {Rect[]} dirtyRects - Document-space rects that may have changed
+ * @returns {Promise<boolean>} False if a full recalculation replaced the map meanwhile
+ */
+function resampleDirtyRects(dirtyRects) {
+  return runMapPatch(async () => {
+    const map = hitRegionMap;
+    const bounds = getSamplingBounds("document");
+    const rects = mergeDirtyRects(
+      dirtyRects.map((rect) => intersectRects(rect, bounds)).filter(Boolean),
+    );
+
+    for (const rect of rects) {
+      map.removeCoordinatesInRect(rect);
+      map.markUnsampled(rect);
+    }
+
+    // calculateRegion clips each rect to the viewport in viewport scope
+    const findTargets = createTargetFinder();
+    const hitBoxes = createHitBoxCache();
+    let sampled = 0;
+    for (const rect of rects) {
+      sampled += await calculateRegion(map, rect, {
+        strategy: currentConfig.samplingStrategy,
+        findTargets,
+        hitBoxes,
+      });
+    }
+
+    console.log(
+      `Resampled ${rects.length} dirty rects (${sampled} coordinates)`,
+    );
+    return map === hitRegionMap;
+  });
 }
 
 /**
  * Handle page changes (DOM mutations, layout changes, CSS changes)
+ * With dirty rects, only those are resampled and patched into the map. Without them, or
+ * when they cover most of the sampled area, the map is recalculated from scratch.
  * Requirements: 6.1, 6.2, 6.3, 6.4
+ *
+ * @param {Rect[]|null} [dirtyRects=null] - Document-space rects that may have changed, or null if unknown
+ * @param {'mutation'|'resize'} [reason='mutation'] - What changed, reported to DevTools
  */
-async function handlePageChanges() {
+async function handlePageChanges(dirtyRects = null, reason = "mutation") {
   console.log("Page changes detected, handling...");
 
-  try {
-    // Invalidate current HitRegionMap
-    if (hitRegionMap) {
-      hitRegionMap.clear();
-      console.log("Hit region map invalidated");
-    }
+  // Resizes and layout changes can move child frames, even without recalculating
+  reportChildFrames();
 
+  try {
     // Check if autoRecalculate is enabled in config
     if (currentConfig && currentConfig.autoRecalculate) {
-      console.log("Auto-recalculate enabled, recalculating hit regions...");
+      const bounds = getSamplingBounds(currentConfig.samplingScope);
+      const incremental =
+        dirtyRects &&
+        hitRegionMap &&
+        !calculationAbortController &&
+        getRectsArea(mergeDirtyRects(dirtyRects), bounds) <
+          FULL_RECALCULATION_RATIO * bounds.width * bounds.height;
+
+      if (incremental) {
+        if (dirtyRects.length === 0) {
+          return;
+        }
+
+        const startTime = performance.now();
+        reportStatus({ state: "started", reason, incremental: true });
+
+        // A full recalculation replaced the map while we were patching it
+        let patched;
+        try {
+          patched = await resampleDirtyRects(dirtyRects);
+        } catch (error) {
+          reportStatus({ state: "error", reason, error: error.message });
+          throw error;
+        }
+        if (!patched) {
+          return;
+        }
+
+        if (inspectMode) {
+          inspectMode.refresh();
+        }
+        const stats = hitRegionMap.getStats();
+        reportStatus({
+          state: "completed",
+          reason,
+          incremental: true,
+          duration: performance.now() - startTime,
+          elementCount: stats.elementCount,
+          coordinateCount: stats.coordinateCount,
+        });
+      } else {
+        if (hitRegionMap) {
+          hitRegionMap.clear();
+          console.log("Hit region map invalidated");
+        }
 
-      // Trigger recalculation
-      await calculateHitRegions();
+        console.log("Auto-recalculate enabled, recalculating hit regions...");
+
+        // Trigger recalculation; if a newer one replaced it, that one takes over
+        const recalculated = await calculateHitRegions({ reason });
+        if (!recalculated) {
+          return;
+        }
+      }
 
       // Re-visualize currently selected element if exists
       if (
         currentlySelectedElement &&
-        document.contains(currentlySelectedElement)
+        currentlySelectedElement.isConnected
       ) {
         console.log("Re-visualizing currently selected element");
         visualizeHitRegion(currentlySelectedElement);
@@ -324,9 +1896,20 @@ async function handlePageChanges() {
         currentlySelectedElement = null;
         clearVisualization();
       }
+      refreshOverlays();
     } else {
+      // Invalidate current HitRegionMap
+      if (hitRegionMap) {
+        hitRegionMap.clear();
+        console.log("Hit region map invalidated");
+      }
+
       console.log("Auto-recalculate disabled, skipping recalculation");
       clearVisualization();
+      clearHoverPreview();
+      renderPins();
+      renderHeatmap();
+      renderSpacing();
     }
   } catch (error) {
     console.error("Error handling page changes:", error);
@@ -335,10 +1918,15 @@ async function handlePageChanges() {
 
 /**
  * Debounced handler for DOM mutations
- * Debounces to avoid excessive recalculation (300ms)
+ * Debounces to avoid excessive recalculation (300ms). Dirty rects come from the boxes of
+ * mutated subtrees before and after the change, plus map elements the change moved.
  * Requirements: 6.1, 6.3
+ *
+ * @param {MutationRecord[]} mutations - Relevant mutation records
  */
-function handleMutation() {
+function handleMutation(mutations) {
+  pendingMutations.push(...mutations);
+
   // Clear existing timer
   if (mutationDebounceTimer) {
     clearTimeout(mutationDebounceTimer);
@@ -347,7 +1935,20 @@ function handleMutation() {
   // Set new timer
   mutationDebounceTimer = setTimeout(() => {
     console.log("Debounced mutation handler triggered");
-    handlePageChanges();
+    const records = pendingMutations;
+    pendingMutations = [];
+
+    const mutationRects = dirtyRegionTracker.collectMutationRects(records);
+    const dirtyRects =
+      mutationRects && hitRegionMap
+        ? [
+            ...mutationRects,
+            ...dirtyRegionTracker.collectLayoutShiftRects(
+              hitRegionMap.getElements(),
+            ),
+          ]
+        : null;
+    handlePageChanges(dirtyRects);
   }, 300);
 }
 
@@ -371,10 +1972,235 @@ function handleResize() {
       renderer.updateDimensions();
     }
 
-    handlePageChanges();
+    // A new viewport size reflows the page; otherwise only patch what moved
+    const viewportResized =
+      window.innerWidth !== viewportSize.width ||
+      window.innerHeight !== viewportSize.height;
+    viewportSize = { width: window.innerWidth, height: window.innerHeight };
+
+    handlePageChanges(
+      viewportResized || !hitRegionMap
+        ? null
+        : dirtyRegionTracker.collectLayoutShiftRects(hitRegionMap.getElements()),
+      "resize",
+    );
   }, 200);
 }
 
+/**
+ * Scroll handler for the window and nested scroll containers
+ * Scroll events don't bubble, so this listens in the capture phase on the document.
+ * The overlay re-projects itself immediately; resampling is debounced (100ms).
+ * Requirements: 6.2
+ */
+function handleScroll(event) {
+  // Document-scope calculations scroll the page themselves
+  if (calculationAbortController && currentConfig.samplingScope === "document") {
+    return;
+  }
+
+  const target = event.target;
+  if (
+    target === document ||
+    target === document.documentElement ||
+    target === document.body ||
+    target === window.visualViewport
+  ) {
+    windowScrolled = true;
+  } else if (target instanceof Element) {
+    scrolledContainers.add(target);
+  }
+
+  // Viewport-scope scrolls during a calculation are processed once it finishes
+  if (calculationAbortController) {
+    return;
+  }
+
+  if (scrollDebounceTimer) {
+    clearTimeout(scrollDebounceTimer);
+  }
+
+  scrollDebounceTimer = setTimeout(() => {
+    console.log("Debounced scroll handler triggered");
+    processScrollChanges();
+  }, 100);
+}
+
+/**
+ * Resample only what scrolling made stale or newly visible
+ * - Window scroll: strips of the viewport that were never sampled
+ * - Nested container scroll: the container's visible area, whose content moved
+ * Resampling is time-sliced; scrolls that arrive meanwhile are handled in a follow-up run.
+ * Requirements: 6.2
+ */
+async function processScrollChanges() {
+  // The running patch picks up these scrolls when it finishes
+  if (mapPatching) {
+    return;
+  }
+
+  const containers = Array.from(scrolledContainers);
+  const checkViewport = windowScrolled;
+  scrolledContainers = new Set();
+  windowScrolled = false;
+
+  // Scrolling moves child frames relative to the top-level viewport
+  reportChildFrames();
+
+  if (!hitRegionMap || !currentConfig || !currentConfig.autoRecalculate) {
+    return;
+  }
+
+  const map = hitRegionMap;
+  const startTime = performance.now();
+
+  try {
+    const sampled = await runMapPatch(async () => {
+      const findTargets = createTargetFinder();
+      const hitBoxes = createHitBoxCache();
+      let count = 0;
+
+      for (const container of containers) {
+        if (!container.isConnected) {
+          continue;
+        }
+
+        // Everything inside the container moved, including parts scrolled out of view
+        const containerRect = clientRectToDocumentRect(
+          container.getBoundingClientRect(),
+        );
+        map.removeCoordinatesInRect(containerRect);
+        map.markUnsampled(containerRect);
+        await dirtyRegionTracker.recordSubtree(container);
+        count += await calculateRegion(map, containerRect, {
+          strategy: currentConfig.samplingStrategy,
+          findTargets,
+          hitBoxes,
+        });
+      }
+
+      if (checkViewport || containers.length > 0) {
+        const strips = map.getUnsampledRects(getSamplingBounds("viewport"));
+        for (const strip of strips) {
+          count += await calculateRegion(map, strip, {
+            strategy: currentConfig.samplingStrategy,
+            findTargets,
+            hitBoxes,
+          });
+        }
+      }
+
+      return count;
+    });
+
+    // A full recalculation replaced the map while we were sampling
+    if (sampled === 0 || map !== hitRegionMap) {
+      return;
+    }
+
+    console.log(`Resampled ${sampled} coordinates after scroll`);
+    // Scrolls resample often and briefly, so only the result is reported
+    const stats = map.getStats();
+    reportStatus({
+      state: "completed",
+      reason: "scroll",
+      incremental: true,
+      duration: performance.now() - startTime,
+      elementCount: stats.elementCount,
+      coordinateCount: stats.coordinateCount,
+    });
+
+    if (
+      currentlySelectedElement &&
+      currentlySelectedElement.isConnected
+    ) {
+      visualizeHitRegion(currentlySelectedElement);
+    }
+    refreshOverlays();
+  } catch (error) {
+    console.error("Error handling scroll changes:", error);
+    reportStatus({ state: "error", reason: "scroll", error: error.message });
+  }
+}
+
+/**
+ * Set up scroll tracking for the window and nested scroll containers
+ * Requirements: 6.2
+ */
+function setupScrollTracking() {
+  document.addEventListener("scroll", handleScroll, {
+    capture: true,
+    passive: true,
+  });
+
+  // Panning and zooming a pinch-zoomed page moves the visible area without scrolling the window
+  if (window.visualViewport) {
+    window.visualViewport.addEventListener("scroll", handleScroll, {
+      passive: true,
+    });
+    window.visualViewport.addEventListener("resize", handleScroll, {
+      passive: true,
+    });
+  }
+  console.log("Scroll tracking started");
+}
+
+/**
+ * Check whether the primary pointer is coarse, e.g. under DevTools touch emulation
+ *
+ * @returns {boolean} True for touch screens and touch emulation
+ */
+function isCoarsePointer() {
+  return coarsePointerQuery !== null && coarsePointerQuery.matches;
+}
+
+/**
+ * Pointer diameter for spacing analyses that don't ask for one
+ * Touch screens get the finger diameter; otherwise the configured pointer is used.
+ *
+ * @returns {number} Diameter in CSS pixels
+ */
+function getDefaultPointerDiameter() {
+  return isCoarsePointer()
+    ? POINTER_DIAMETERS.finger
+    : currentConfig.pointerDiameter;
+}
+
+/**
+ * Turn spacing analysis on for touch pointers and off again when they go away
+ * Follows the touchSpacing setting, which is on by default. Analyses started from
+ * the panel are left alone.
+ */
+function handlePointerModeChange() {
+  const coarse = isCoarsePointer();
+  console.log(`Primary pointer is ${coarse ? "coarse" : "fine"}`);
+  const automatic = coarse && currentConfig.touchSpacing;
+
+  if (automatic && !spacingRequest) {
+    spacingRequest = { diameter: null, automatic: true };
+  } else if (!automatic && spacingRequest && spacingRequest.automatic) {
+    spacingRequest = null;
+  } else if (!spacingRequest || spacingRequest.diameter) {
+    return;
+  }
+  renderSpacing();
+}
+
+/**
+ * Follow the (pointer: coarse) media query, which DevTools touch emulation switches on
+ */
+function setupPointerTracking() {
+  if (typeof window.matchMedia !== "function") {
+    return;
+  }
+
+  coarsePointerQuery = window.matchMedia("(pointer: coarse)");
+  coarsePointerQuery.addEventListener("change", handlePointerModeChange);
+  if (coarsePointerQuery.matches) {
+    handlePointerModeChange();
+  }
+}
+
 /**
  * Check if a mutation affects interactive elements or layout
  * Requirements: 6.5
@@ -411,14 +2237,29 @@ function isRelevantMutation(mutation) {
     return true;
   }
 
-  // Check for DOM structure changes
+  // Check for DOM structure changes, other than the extension adding or removing its own nodes
   if (mutation.type === "childList") {
-    return true;
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length === 0 || !nodes.every(isExtensionNode);
   }
 
   return false;
 }
 
+/**
+ * Check whether a node is one the extension adds to the page: the overlay canvas,
+ * the progress indicator or the inspect mode tooltip and marker
+ *
+ * @param {Node} node - Added or removed node
+ * @returns {boolean} True for the extension's own nodes
+ */
+function isExtensionNode(node) {
+  return (
+    node.nodeType === Node.ELEMENT_NODE &&
+    node.id.startsWith(EXTENSION_NODE_ID_PREFIX)
+  );
+}
+
 /**
  * Set up MutationObserver to watch for DOM changes
  * Requirements: 6.1, 6.3, 6.5
@@ -429,11 +2270,11 @@ function setupMutationObserver() {
   // Create MutationObserver to watch for DOM changes
   mutationObserver = new MutationObserver((mutations) => {
     // Check if any mutations are relevant
-    const hasRelevantMutation = mutations.some(isRelevantMutation);
+    const relevantMutations = mutations.filter(isRelevantMutation);
 
-    if (hasRelevantMutation) {
+    if (relevantMutations.length > 0) {
       console.log("Relevant DOM mutations detected");
-      handleMutation();
+      handleMutation(relevantMutations);
     }
   });
 
@@ -495,7 +2336,7 @@ function validateElementIdentifier(elementId) {
     return false;
   }
 
-  const validTypes = ["css", "xpath", "id"];
+  const validTypes = ["css", "xpath", "id", "shadow"];
   if (!validTypes.includes(elementId.type)) {
     console.warn(
       `Invalid element identifier type: ${elementId.type}. Must be one of: ${validTypes.join(", ")}`,
@@ -541,13 +2382,17 @@ function findElementByIdentifier(elementId) {
         element = document.getElementById(elementId.value);
         break;
 
+      case "shadow":
+        element = findElementByShadowPath(elementId.value);
+        break;
+
       default:
         console.warn("Unknown element identifier type:", elementId.type);
         return null;
     }
 
     // Validate that the found element is still in the document
-    if (element && !document.contains(element)) {
+    if (element && !element.isConnected) {
       console.warn("Found element is not in the document");
       return null;
     }
@@ -574,28 +2419,282 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         const selectedElement = findElementByIdentifier(message.elementId);
         if (selectedElement) {
           const success = visualizeHitRegion(selectedElement);
-          sendResponse({ success });
+          sendResponse({
+            success,
+            occlusion: summarizeOcclusion(currentOcclusionReport),
+          });
+        } else {
+          sendResponse({ success: false, error: "Element not found" });
+        }
+        break;
+
+      case "getElementStats":
+        // Handle 'getElementStats' message: stats of the element selected in the Elements panel
+        const inspectedElement = findElementByIdentifier(message.elementId);
+        if (!hitRegionMap) {
+          sendResponse({ success: false, error: "Hit region map not calculated" });
+        } else if (inspectedElement) {
+          sendResponse({ success: true, ...getElementStats(inspectedElement) });
         } else {
           sendResponse({ success: false, error: "Element not found" });
         }
         break;
 
       case "elementHovered":
-        // Handle 'elementHovered' message: call visualizeHitRegion()
+        // Handle 'elementHovered' message: call previewHitRegion()
         console.log("Element hovered:", message.elementId);
         const hoveredElement = findElementByIdentifier(message.elementId);
         if (hoveredElement) {
-          const success = visualizeHitRegion(hoveredElement);
+          const success = previewHitRegion(hoveredElement);
           sendResponse({ success });
         } else {
+          clearHoverPreview();
           sendResponse({ success: false, error: "Element not found" });
         }
         break;
 
+      case "elementUnhovered":
+        // Handle 'elementUnhovered' message: call clearHoverPreview()
+        console.log("Element unhovered");
+        clearHoverPreview();
+        sendResponse({ success: true });
+        break;
+
       case "elementDeselected":
-        // Handle 'elementDeselected' message: call clearVisualization()
+        // Handle 'elementDeselected' message: clear the selection and any hover preview
         console.log("Element deselected");
         clearVisualization();
+        clearHoverPreview();
+        sendResponse({ success: true });
+        break;
+
+      case "pinElement":
+        // Handle 'pinElement' message: add the element to the comparison overlay
+        console.log("Pin requested:", message.elementId);
+        const elementToPin = findElementByIdentifier(message.elementId);
+        if (elementToPin) {
+          const pinned = pinElements([elementToPin]) > 0;
+          sendResponse({
+            success: pinned,
+            error: pinned ? undefined : "Element has no hit region",
+            pins: summarizePins(),
+          });
+        } else {
+          sendResponse({ success: false, error: "Element not found" });
+        }
+        break;
+
+      case "unpinElement":
+        // Handle 'unpinElement' message: remove the element from the comparison overlay
+        console.log("Unpin requested:", message.elementId);
+        const elementToUnpin = findElementByIdentifier(message.elementId);
+        if (elementToUnpin) {
+          pinnedElements.unpin(elementToUnpin);
+        }
+        renderPins();
+        sendResponse({ success: true, pins: summarizePins() });
+        break;
+
+      case "pinAllElements":
+        // Handle 'pinAllElements' message: pin every element in the map
+        console.log("Pinning all interactive elements");
+        pinElements(hitRegionMap ? hitRegionMap.getElements() : []);
+        sendResponse({ success: true, pins: summarizePins() });
+        break;
+
+      case "clearPins":
+        // Handle 'clearPins' message: empty the comparison overlay
+        console.log("Clearing pins");
+        pinnedElements.clear();
+        renderPins();
+        sendResponse({ success: true, pins: [] });
+        break;
+
+      case "setHeatmapMode":
+        // Handle 'setHeatmapMode' message: switch the heatmap off or between modes
+        console.log("Heatmap mode requested:", message.data);
+        const requestedMode = (message.data && message.data.mode) || null;
+        if (requestedMode && !HEATMAP_MODES.includes(requestedMode)) {
+          sendResponse({ success: false, error: "Unknown heatmap mode" });
+          break;
+        }
+        heatmapMode = requestedMode;
+        renderHeatmap();
+        sendResponse({
+          success: true,
+          heatmaps: heatmapStats
+            ? [{ ...heatmapStats, mode: heatmapMode, frameId: getFrameId() }]
+            : [],
+        });
+        break;
+
+      case "analyzeSpacing":
+        // Handle 'analyzeSpacing' message: check target spacing for a pointer size
+        console.log("Spacing analysis requested:", message.data);
+        spacingRequest = {
+          diameter: (message.data && message.data.diameter) || null,
+        };
+        renderSpacing();
+        sendResponse({ success: true, rows: summarizeSpacing() });
+        break;
+
+      case "clearSpacing":
+        // Handle 'clearSpacing' message: stop drawing spacing violations
+        console.log("Clearing spacing analysis");
+        spacingRequest = null;
+        renderSpacing();
+        sendResponse({ success: true });
+        break;
+
+      case "auditPage":
+        // Handle 'auditPage' message: audit every element in the map
+        console.log("Page audit requested");
+        auditPage()
+          .then((rows) => sendResponse({ success: true, rows }))
+          .catch((error) => {
+            console.error("Failed to audit page:", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        break;
+
+      case "exportFrameDocument":
+        // Handle 'exportFrameDocument' message: this frame's part of a JSON or CSV export
+        sendResponse({ success: true, documents: exportFrameDocument() });
+        break;
+
+      case "exportData":
+        // Handle 'exportData' message: serialize the map and the child frames' documents as JSON or CSV
+        console.log("Export requested:", message.data && message.data.format);
+        sendResponse({
+          success: true,
+          ...exportData(
+            message.data && message.data.format,
+            (message.data && message.data.frames) || [],
+          ),
+        });
+        break;
+
+      case "saveBaseline":
+        // Handle 'saveBaseline' message: store this frame's hit regions under a name
+        console.log("Baseline save requested:", message.data);
+        saveBaseline(message.data && message.data.name)
+          .then((baselines) => sendResponse({ success: true, baselines }))
+          .catch((error) => {
+            console.error("Failed to save baseline:", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        break;
+
+      case "listBaselines":
+        // Handle 'listBaselines' message: summarize the baselines of this frame's page
+        listBaselines()
+          .then((baselines) => sendResponse({ success: true, baselines }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        break;
+
+      case "compareBaseline":
+        // Handle 'compareBaseline' message: diff against a baseline and draw the changes
+        console.log("Baseline comparison requested:", message.data);
+        compareWithBaseline(message.data && message.data.name)
+          .then((diffs) => sendResponse({ success: true, diffs }))
+          .catch((error) => {
+            console.error("Failed to compare with baseline:", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        break;
+
+      case "clearBaselineDiff":
+        // Handle 'clearBaselineDiff' message: stop comparing and remove the overlay
+        console.log("Clearing baseline diff");
+        clearBaselineDiff();
+        sendResponse({ success: true });
+        break;
+
+      case "deleteBaseline":
+        // Handle 'deleteBaseline' message: remove a stored baseline
+        console.log("Baseline deletion requested:", message.data);
+        deleteBaseline(message.data && message.data.name)
+          .then((removed) => sendResponse({ success: true, removed }))
+          .catch((error) => {
+            console.error("Failed to delete baseline:", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        break;
+
+      case "exportBaseline":
+        // Handle 'exportBaseline' message: return a stored baseline for download
+        console.log("Baseline export requested:", message.data);
+        exportBaseline(message.data && message.data.name)
+          .then((baselines) => sendResponse({ success: true, baselines }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        break;
+
+      case "exportFrameOverlay":
+        // Handle 'exportFrameOverlay' message: this child frame's overlay for a snapshot
+        sendResponse({ success: true, overlays: exportFrameOverlay() });
+        break;
+
+      case "setOverlayVisible":
+        // Handle 'setOverlayVisible' message: hidden while the background worker captures a snapshot (async)
+        setOverlayVisible(Boolean(message.data && message.data.visible)).then(() =>
+          sendResponse({ success: true }),
+        );
+        break;
+
+      case "exportSnapshot":
+        // Handle 'exportSnapshot' message: screenshot with overlay (async)
+        console.log("Snapshot export requested");
+        exportSnapshot((message.data && message.data.overlays) || [])
+          .then((snapshot) => sendResponse({ success: true, ...snapshot }))
+          .catch((error) => {
+            console.error("Failed to export snapshot:", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        break;
+
+      case "setInspectMode":
+        // Handle 'setInspectMode' message: toggled from DevTools or a keyboard command
+        console.log("Inspect mode requested:", message.data);
+        if (inspectMode) {
+          inspectMode.setEnabled(Boolean(message.data && message.data.enabled));
+        }
+        sendResponse({
+          success: Boolean(inspectMode),
+          enabled: Boolean(inspectMode && inspectMode.isEnabled()),
+        });
+        break;
+
+      case "setFrameOffset":
+        // Handle 'setFrameOffset' message: a parent frame reported that this frame moved
+        if (message.data && message.data.offset) {
+          applyFrameOffset(message.data.offset);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case "markElement":
+        // Handle 'markElement' message: DevTools is about to inspect this element by frame URL
+        const elementToMark = findElementByIdentifier(message.elementId);
+        if (elementToMark && message.data && message.data.token) {
+          markElement(elementToMark, message.data.token);
+          sendResponse({ success: true, frameUrl: location.href });
+        } else {
+          sendResponse({ success: false, error: "Element not found" });
+        }
+        break;
+
+      case "takeElementMark":
+        // Handle 'takeElementMark' message: check whether DevTools' mark landed in this frame
+        const marked = takeElementMark(
+          findElementByIdentifier(message.elementId),
+          message.data && message.data.token,
+        );
+        sendResponse({ success: true, marked });
+        break;
+
+      case "statusSubscription":
+        // Handle 'statusSubscription' message: DevTools opened or closed on this tab
+        setStatusSubscription(Boolean(message.data && message.data.subscribed));
         sendResponse({ success: true });
         break;
 
@@ -4,6 +4,129 @@
 
 console.log('Hit Region Highlighter: DevTools script loaded');
 
+// Panel window, available once the panel has been shown
+// Results for the panel are kept until it can display them
+let panelWindow = null;
+let lastOcclusionReport = null;
+let lastSelection = null;
+
+// Elements sidebar window, available while the sidebar is shown
+let sidebarWindow = null;
+let lastElementStats = null;
+// Incremented per stats request, so responses to older requests are dropped
+let sidebarRequestId = 0;
+
+// Name of the port calculation status is streamed over; matches background.js and content.js
+const STATUS_PORT_NAME = 'hit-region-status';
+
+// Latest calculation status of each frame of the inspected tab
+const frameStatuses = new Map();
+
+// Forward the occlusion report for the current selection to the panel
+function showOcclusionInPanel(report) {
+  lastOcclusionReport = report;
+  if (panelWindow && typeof panelWindow.showOcclusion === 'function') {
+    panelWindow.showOcclusion(report);
+  }
+}
+
+// Tell the panel which element is selected, so it can be pinned
+function showSelectionInPanel(selection) {
+  lastSelection = selection;
+  if (panelWindow && typeof panelWindow.showSelection === 'function') {
+    panelWindow.showSelection(selection);
+  }
+}
+
+// Forward the selected element's stats to the Elements sidebar
+function showStatsInSidebar(stats) {
+  lastElementStats = stats;
+  if (sidebarWindow && typeof sidebarWindow.showElementStats === 'function') {
+    sidebarWindow.showElementStats(stats);
+  }
+}
+
+// Ask the frame owning the selection for its stats; only done while the sidebar is shown
+function refreshSidebar() {
+  if (!sidebarWindow) {
+    return;
+  }
+  if (!lastSelection) {
+    showStatsInSidebar(null);
+    return;
+  }
+
+  const requestId = ++sidebarRequestId;
+  chrome.runtime.sendMessage({
+    source: 'devtools',
+    type: 'getElementStats',
+    elementId: lastSelection.elementId,
+    frameId: lastSelection.frameId,
+    tabId: chrome.devtools.inspectedWindow.tabId
+  }, (response) => {
+    if (requestId !== sidebarRequestId) {
+      return;
+    }
+    if (chrome.runtime.lastError || !response || !response.success) {
+      const error = chrome.runtime.lastError
+        ? chrome.runtime.lastError.message
+        : (response && response.error) || 'unknown error';
+      showStatsInSidebar({ error });
+      return;
+    }
+    showStatsInSidebar(response);
+  });
+}
+
+// Show the calculation status of every frame in the panel
+function showStatusInPanel() {
+  if (panelWindow && typeof panelWindow.showCalculationStatus === 'function') {
+    panelWindow.showCalculationStatus([...frameStatuses.values()]);
+  }
+}
+
+// Subscribe to the inspected tab's calculation status
+// The background worker can be stopped when idle, which closes the port; it is reopened then
+function connectStatusPort() {
+  let port;
+  try {
+    port = chrome.runtime.connect({ name: STATUS_PORT_NAME });
+  } catch (error) {
+    // The extension was reloaded; this DevTools page is orphaned
+    console.warn('Failed to open status port:', error);
+    return;
+  }
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'reset') {
+      frameStatuses.clear();
+      showStatusInPanel();
+      return;
+    }
+    if (message.type !== 'status') {
+      return;
+    }
+
+    const { status } = message;
+    frameStatuses.set(status.frameId, status);
+    showStatusInPanel();
+
+    // The frame owning the selection has a new map
+    if (status.state === 'completed' && lastSelection && status.frameId === lastSelection.frameId) {
+      refreshSidebar();
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    console.log('Status port closed, reconnecting');
+    setTimeout(connectStatusPort, 1000);
+  });
+
+  port.postMessage({ type: 'subscribe', tabId: chrome.devtools.inspectedWindow.tabId });
+}
+
+connectStatusPort();
+
 // Create the DevTools panel
 // Requirement: Register panel with chrome.devtools.panels.create()
 chrome.devtools.panels.create(
@@ -13,188 +136,345 @@ chrome.devtools.panels.create(
   (panel) => {
     console.log('Hit Region panel created');
     
-    panel.onShown.addListener(() => {
+    panel.onShown.addListener((window) => {
       console.log('Hit Region panel shown');
+      panelWindow = window;
+      showOcclusionInPanel(lastOcclusionReport);
+      showSelectionInPanel(lastSelection);
+      showStatusInPanel();
+      if (typeof panelWindow.checkPointerMode === 'function') {
+        panelWindow.checkPointerMode();
+      }
+      if (typeof panelWindow.refreshBaselineList === 'function') {
+        panelWindow.refreshBaselineList();
+      }
     });
     
     // Requirement 1.1.4: Detect when element is deselected or DevTools loses focus
     panel.onHidden.addListener(() => {
       console.log('Hit Region panel hidden - clearing visualization');
       // When panel is hidden, clear any active visualization
-      // Send 'elementDeselected' message to background script
-      chrome.runtime.sendMessage({
-        source: 'devtools',
-        type: 'elementDeselected',
-        tabId: chrome.devtools.inspectedWindow.tabId
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('Error sending elementDeselected message:', chrome.runtime.lastError);
-        }
-      });
+      // Send 'elementDeselected' message to every frame through the background script
+      sendDeselection();
     });
   }
 );
 
+// Create the Elements sidebar pane, so stats are visible without switching panels
+chrome.devtools.panels.elements.createSidebarPane('Hit Region', (pane) => {
+  pane.setPage('src/devtools/sidebar.html');
+
+  pane.onShown.addListener((window) => {
+    sidebarWindow = window;
+    showStatsInSidebar(lastElementStats);
+    refreshSidebar();
+  });
+
+  // Stop requesting stats nobody sees
+  pane.onHidden.addListener(() => {
+    sidebarWindow = null;
+  });
+});
+
+// Expression that generates an identifier for the selected element ($0)
+// Evaluated in the frame that owns the element; returns null in other frames
+const SELECTION_IDENTIFIER_EXPRESSION = `(function() {
+  const el = $0;
+  if (!el) return null;
+
+  // Generate unique CSS selector within a document or shadow root
+  function generateSelector(element, root) {
+    // Try ID first (most specific)
+    if (element.id) {
+      const idSelector = '#' + CSS.escape(element.id);
+      // Verify it's unique
+      if (root.querySelectorAll(idSelector).length === 1) {
+        return idSelector;
+      }
+    }
+
+    // Build path from element to root
+    const path = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      let selector = current.nodeName.toLowerCase();
+
+      // Add nth-child if needed for uniqueness
+      if (current.parentElement) {
+        const siblings = Array.from(current.parentElement.children);
+        const sameTagSiblings = siblings.filter(s => s.nodeName === current.nodeName);
+
+        if (sameTagSiblings.length > 1) {
+          const index = sameTagSiblings.indexOf(current) + 1;
+          selector += ':nth-of-type(' + index + ')';
+        }
+      }
+
+      path.unshift(selector);
+      current = current.parentElement;
+
+      // Stop at body to keep selector reasonable
+      if (current && current.nodeName.toLowerCase() === 'body') {
+        path.unshift('body');
+        break;
+      }
+    }
+
+    return path.join(' > ');
+  }
+
+  // Elements inside shadow roots get a shadow path: one selector per root,
+  // joined by ' >>> ', descending from the document through each host
+  if (el.getRootNode() instanceof ShadowRoot) {
+    const segments = [];
+    let current = el;
+    while (current) {
+      const root = current.getRootNode();
+      segments.unshift(generateSelector(current, root));
+      current = root instanceof ShadowRoot ? root.host : null;
+    }
+
+    // Verify the path resolves back to the element
+    let root = document;
+    let found = null;
+    for (const selector of segments) {
+      found = root ? root.querySelector(selector) : null;
+      root = found && found.shadowRoot;
+    }
+    if (found !== el) {
+      console.warn('Generated shadow path does not resolve to the selected element');
+    }
+
+    return { type: 'shadow', value: segments.join(' >>> ') };
+  }
+
+  const cssSelector = generateSelector(el, document);
+
+  // Verify selector works
+  try {
+    const found = document.querySelector(cssSelector);
+    if (found === el) {
+      return { type: 'css', value: cssSelector };
+    }
+  } catch (e) {
+    console.error('Generated invalid CSS selector:', e);
+  }
+
+  // Fallback to XPath if CSS selector fails
+  function generateXPath(element) {
+    if (element.id) {
+      return '//*[@id="' + element.id + '"]';
+    }
+
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      let index = 0;
+      let sibling = current.previousSibling;
+
+      while (sibling) {
+        if (sibling.nodeType === Node.ELEMENT_NODE && 
+            sibling.nodeName === current.nodeName) {
+          index++;
+        }
+        sibling = sibling.previousSibling;
+      }
+
+      const tagName = current.nodeName.toLowerCase();
+      const pathIndex = index > 0 ? '[' + (index + 1) + ']' : '';
+      parts.unshift(tagName + pathIndex);
+
+      current = current.parentElement;
+    }
+
+    return '/' + parts.join('/');
+  }
+
+  return { type: 'xpath', value: generateXPath(el) };
+})()`;
+
+// Frame holding the visualized element, so its highlight can be cleared when the selection moves
+let selectedFrameId = null;
+
+// Attribute that tells which of several frames sharing a URL holds an element; matches content.js
+const ELEMENT_MARK_ATTRIBUTE = 'data-hit-region-mark';
+
+// Evaluate the identifier expression in the top-level frame, or in the subframe with a URL
+// DevTools addresses subframes by URL only. With a token, the selected element is also marked,
+// so the frame holding it can be told apart from other frames sharing the URL.
+function evalSelectionIdentifier(frameUrl, token, callback) {
+  const expression = token
+    ? `(function() {
+  const elementId = ${SELECTION_IDENTIFIER_EXPRESSION};
+  if (elementId) {
+    $0.setAttribute('${ELEMENT_MARK_ATTRIBUTE}', '${token}');
+  }
+  return elementId;
+})()`
+    : SELECTION_IDENTIFIER_EXPRESSION;
+  const options = frameUrl ? { frameURL: frameUrl } : {};
+  chrome.devtools.inspectedWindow.eval(expression, options, (elementId, isException) => {
+    if (isException) {
+      console.error('Failed to generate element identifier:', isException);
+      callback(null);
+      return;
+    }
+    callback(elementId || null);
+  });
+}
+
+// Find which of the frames sharing a URL holds the element marked with the token
+// Each frame's content script checks the element and removes the mark if it's there
+function findMarkedFrame(elementId, frameIds, token, callback) {
+  const tryFrame = (index) => {
+    if (index >= frameIds.length) {
+      callback(null);
+      return;
+    }
+    chrome.runtime.sendMessage({
+      source: 'devtools',
+      type: 'takeElementMark',
+      tabId: chrome.devtools.inspectedWindow.tabId,
+      frameId: frameIds[index],
+      elementId,
+      data: { token }
+    }, (response) => {
+      if (!chrome.runtime.lastError && response && response.marked) {
+        callback(frameIds[index]);
+      } else {
+        tryFrame(index + 1);
+      }
+    });
+  };
+  tryFrame(0);
+}
+
+// Find the selected element's identifier and the id of the frame it lives in
+// $0 is only bound in the frame that owns the selection, so the top-level frame is
+// tried first and the subframes after it, once per URL
+function findSelectedElement(callback) {
+  evalSelectionIdentifier(null, null, (elementId) => {
+    if (elementId) {
+      callback(elementId, 0);
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      source: 'devtools',
+      type: 'getFrames',
+      tabId: chrome.devtools.inspectedWindow.tabId
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        callback(null, 0);
+        return;
+      }
+
+      const frameIdsByUrl = new Map();
+      for (const frame of response.frames) {
+        if (frame.frameId === 0) {
+          continue;
+        }
+        if (!frameIdsByUrl.has(frame.url)) {
+          frameIdsByUrl.set(frame.url, []);
+        }
+        frameIdsByUrl.get(frame.url).push(frame.frameId);
+      }
+
+      const urls = Array.from(frameIdsByUrl.keys());
+      const tryUrl = (index) => {
+        if (index >= urls.length) {
+          callback(null, 0);
+          return;
+        }
+        const frameIds = frameIdsByUrl.get(urls[index]);
+        const token = frameIds.length > 1 ? crypto.randomUUID() : null;
+        evalSelectionIdentifier(urls[index], token, (frameElementId) => {
+          if (!frameElementId) {
+            tryUrl(index + 1);
+          } else if (!token) {
+            callback(frameElementId, frameIds[0]);
+          } else {
+            findMarkedFrame(frameElementId, frameIds, token, (frameId) => {
+              callback(frameElementId, frameId === null ? frameIds[0] : frameId);
+            });
+          }
+        });
+      };
+      tryUrl(0);
+    });
+  });
+}
+
+// Clear the visualization in one frame, or in every frame if frameId is omitted
+function sendDeselection(frameId) {
+  chrome.runtime.sendMessage({
+    source: 'devtools',
+    type: 'elementDeselected',
+    tabId: chrome.devtools.inspectedWindow.tabId,
+    frameId
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.error('Error sending elementDeselected message:', chrome.runtime.lastError);
+    }
+  });
+}
+
 // Listen for element selection changes in the Elements panel
 // Requirement: Use chrome.devtools.panels.elements.onSelectionChanged
 chrome.devtools.panels.elements.onSelectionChanged.addListener(() => {
   console.log('Element selection changed');
   
-  // Get the currently selected element using chrome.devtools.inspectedWindow.eval('$0')
-  chrome.devtools.inspectedWindow.eval(
-    '$0',
-    (result, isException) => {
-      if (isException) {
-        console.error('Error getting selected element:', isException);
-        return;
-      }
-      
-      if (result) {
-        // Generate element identifier (CSS selector or XPath)
-        chrome.devtools.inspectedWindow.eval(
-          `(function() {
-            const el = $0;
-            if (!el) return null;
-            
-            // Generate unique CSS selector
-            function generateSelector(element) {
-              // Try ID first (most specific)
-              if (element.id) {
-                const idSelector = '#' + CSS.escape(element.id);
-                // Verify it's unique
-                if (document.querySelectorAll(idSelector).length === 1) {
-                  return idSelector;
-                }
-              }
-              
-              // Build path from element to root
-              const path = [];
-              let current = element;
-              
-              while (current && current.nodeType === Node.ELEMENT_NODE) {
-                let selector = current.nodeName.toLowerCase();
-                
-                // Add nth-child if needed for uniqueness
-                if (current.parentElement) {
-                  const siblings = Array.from(current.parentElement.children);
-                  const sameTagSiblings = siblings.filter(s => s.nodeName === current.nodeName);
-                  
-                  if (sameTagSiblings.length > 1) {
-                    const index = sameTagSiblings.indexOf(current) + 1;
-                    selector += ':nth-of-type(' + index + ')';
-                  }
-                }
-                
-                path.unshift(selector);
-                current = current.parentElement;
-                
-                // Stop at body to keep selector reasonable
-                if (current && current.nodeName.toLowerCase() === 'body') {
-                  path.unshift('body');
-                  break;
-                }
-              }
-              
-              return path.join(' > ');
-            }
-            
-            const cssSelector = generateSelector(el);
-            
-            // Verify selector works
-            try {
-              const found = document.querySelector(cssSelector);
-              if (found === el) {
-                return { type: 'css', value: cssSelector };
-              }
-            } catch (e) {
-              console.error('Generated invalid CSS selector:', e);
-            }
-            
-            // Fallback to XPath if CSS selector fails
-            function generateXPath(element) {
-              if (element.id) {
-                return '//*[@id="' + element.id + '"]';
-              }
-              
-              const parts = [];
-              let current = element;
-              
-              while (current && current.nodeType === Node.ELEMENT_NODE) {
-                let index = 0;
-                let sibling = current.previousSibling;
-                
-                while (sibling) {
-                  if (sibling.nodeType === Node.ELEMENT_NODE && 
-                      sibling.nodeName === current.nodeName) {
-                    index++;
-                  }
-                  sibling = sibling.previousSibling;
-                }
-                
-                const tagName = current.nodeName.toLowerCase();
-                const pathIndex = index > 0 ? '[' + (index + 1) + ']' : '';
-                parts.unshift(tagName + pathIndex);
-                
-                current = current.parentElement;
-              }
-              
-              return '/' + parts.join('/');
-            }
-            
-            return { type: 'xpath', value: generateXPath(el) };
-          })()`,
-          (elementId, isException) => {
-            if (!isException && elementId) {
-              console.log('Generated element identifier:', elementId);
-              
-              // Send 'elementSelected' message to background script
-              chrome.runtime.sendMessage({
-                source: 'devtools',
-                type: 'elementSelected',
-                elementId: elementId,
-                tabId: chrome.devtools.inspectedWindow.tabId
-              }, (response) => {
-                if (chrome.runtime.lastError) {
-                  console.error('Error sending elementSelected message:', chrome.runtime.lastError);
-                } else {
-                  console.log('elementSelected message sent successfully:', response);
-                }
-              });
-            } else {
-              console.error('Failed to generate element identifier:', isException);
-            }
-          }
-        );
+  // Generate element identifier (CSS selector, XPath or shadow path) in the owning frame
+  findSelectedElement((elementId, frameId) => {
+    if (!elementId) {
+      // Requirement 1.1.4: Detect when element is deselected
+      // No element selected - send deselection message to every frame
+      console.log('No element selected, sending deselection message');
+      showOcclusionInPanel(null);
+      showSelectionInPanel(null);
+      refreshSidebar();
+      selectedFrameId = null;
+      sendDeselection();
+      return;
+    }
+    
+    console.log('Generated element identifier:', elementId, 'in frame', frameId);
+    
+    // The previous selection may be highlighted in another frame
+    if (selectedFrameId !== null && selectedFrameId !== frameId) {
+      sendDeselection(selectedFrameId);
+    }
+    selectedFrameId = frameId;
+    showSelectionInPanel({ elementId, frameId });
+    refreshSidebar();
+    
+    // Send 'elementSelected' message to background script
+    chrome.runtime.sendMessage({
+      source: 'devtools',
+      type: 'elementSelected',
+      elementId: elementId,
+      frameId: frameId,
+      tabId: chrome.devtools.inspectedWindow.tabId
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error sending elementSelected message:', chrome.runtime.lastError);
       } else {
-        // Requirement 1.1.4: Detect when element is deselected
-        // No element selected - send deselection message
-        console.log('No element selected, sending deselection message');
-        chrome.runtime.sendMessage({
-          source: 'devtools',
-          type: 'elementDeselected',
-          tabId: chrome.devtools.inspectedWindow.tabId
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            console.error('Error sending elementDeselected message:', chrome.runtime.lastError);
-          }
-        });
+        console.log('elementSelected message sent successfully:', response);
+        // The panel previews occluders on hover, which needs the frame they live in
+        showOcclusionInPanel(response && response.occlusion ? { ...response.occlusion, frameId } : null);
       }
-    }
-  );
+    });
+  });
 });
 
 // Element hover detection
 // Requirement: 1.1.2 - Listen for hover events in Elements panel (if API available)
-// Note: Chrome DevTools API does not provide a native hover event for elements in the Elements panel
-// The requirement specifies "if API available" - since this API is not available in Chrome DevTools,
-// we rely on element selection as the primary interaction method.
-// 
-// Alternative approaches considered:
-// - Polling $0 to detect changes (significant performance impact)
-// - Custom UI in the panel for hover-like interactions
-// - Using the Elements panel selection as the primary interaction method (current approach)
-//
-// The current implementation provides immediate visualization when an element is selected,
-// which provides a similar user experience to hover-based visualization.
+// Note: Chrome DevTools API does not provide a native hover event for nodes in the Elements panel's
+// DOM tree, and polling $0 only sees selections. Hover previews therefore come from our own panel:
+// panel.js sends 'elementHovered' and 'elementUnhovered' as the pointer moves over the audit table,
+// the occluder list and the pin legend, and the content script draws the preview in the hover color on top of the
+// committed selection.
 
 console.log('DevTools integration initialized - element selection detection active');
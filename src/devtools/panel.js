@@ -4,7 +4,66 @@
 console.log('Hit Region Highlighter: Panel script loaded');
 
 const statusElement = document.getElementById('status');
+const calculationProgress = document.getElementById('calculationProgress');
+const cancelCalculationBtn = document.getElementById('cancelCalculationBtn');
+const calculationDetailsElement = document.getElementById('calculationDetails');
 const settingsBtn = document.getElementById('settingsBtn');
+const coverageElement = document.getElementById('coverage');
+const occlusionDetailsElement = document.getElementById('occlusionDetails');
+const occluderListElement = document.getElementById('occluderList');
+const auditBtn = document.getElementById('auditBtn');
+const auditSummaryElement = document.getElementById('auditSummary');
+const auditTable = document.getElementById('auditTable');
+const auditTableBody = document.getElementById('auditTableBody');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportPngBtn = document.getElementById('exportPngBtn');
+const exportStatusElement = document.getElementById('exportStatus');
+const inspectBtn = document.getElementById('inspectBtn');
+const inspectStatusElement = document.getElementById('inspectStatus');
+const pinBtn = document.getElementById('pinBtn');
+const pinAllBtn = document.getElementById('pinAllBtn');
+const clearPinsBtn = document.getElementById('clearPinsBtn');
+const pinStatusElement = document.getElementById('pinStatus');
+const pinLegendElement = document.getElementById('pinLegend');
+const heatmapModeInput = document.getElementById('heatmapMode');
+const heatmapStatusElement = document.getElementById('heatmapStatus');
+const heatmapLegendElement = document.getElementById('heatmapLegend');
+const pointerSizeInput = document.getElementById('pointerSize');
+const defaultPointerOption = document.getElementById('defaultPointerOption');
+const spacingBtn = document.getElementById('spacingBtn');
+const clearSpacingBtn = document.getElementById('clearSpacingBtn');
+const spacingSummaryElement = document.getElementById('spacingSummary');
+const spacingTable = document.getElementById('spacingTable');
+const spacingTableBody = document.getElementById('spacingTableBody');
+const baselineNameInput = document.getElementById('baselineName');
+const saveBaselineBtn = document.getElementById('saveBaselineBtn');
+const baselineSelect = document.getElementById('baselineSelect');
+const compareBaselineBtn = document.getElementById('compareBaselineBtn');
+const clearDiffBtn = document.getElementById('clearDiffBtn');
+const exportBaselineBtn = document.getElementById('exportBaselineBtn');
+const deleteBaselineBtn = document.getElementById('deleteBaselineBtn');
+const baselineStatusElement = document.getElementById('baselineStatus');
+const diffLegendElement = document.getElementById('diffLegend');
+const diffTable = document.getElementById('diffTable');
+const diffTableBody = document.getElementById('diffTableBody');
+
+// Audit table state
+let auditRows = [];
+let auditSortKey = 'wcag';
+let auditSortAscending = true;
+
+// Frame showing a hover preview, so it can be cleared when the pointer moves on
+let hoveredFrameId = null;
+
+// Element selected in the Elements panel ({ elementId, frameId }), set by devtools.js
+let selectedElement = null;
+
+// Legend entries of pinned elements, per frame
+const pinsByFrame = new Map();
+
+// Attribute that tells which of several frames sharing a URL holds an element; matches content.js
+const ELEMENT_MARK_ATTRIBUTE = 'data-hit-region-mark';
 
 // Open settings page
 settingsBtn.addEventListener('click', () => {
@@ -18,11 +77,927 @@ function updateStatus(message) {
   }
 }
 
-// Listen for messages from background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'statusUpdate') {
-    updateStatus(message.status);
+// What triggered a calculation, as reported by the content script
+const CALCULATION_REASONS = {
+  initial: 'page load',
+  settings: 'settings change',
+  api: 'page API',
+  mutation: 'DOM change',
+  resize: 'resize',
+  scroll: 'scroll',
+  update: 'update'
+};
+
+// Describe where a status came from; the top-level frame needs no label
+function describeStatusSource(status) {
+  const reason = CALCULATION_REASONS[status.reason] || status.reason;
+  return status.frameId ? `${reason}, frame: ${formatFrameUrl(status.frameUrl)}` : reason;
+}
+
+// Show the latest calculation status of every frame: a progress bar while any frame is
+// calculating, otherwise the outcome of the most recent calculation
+// Called by devtools.js whenever a frame reports over the status port
+function showCalculationStatus(statuses) {
+  const running = statuses.filter(status => status.state === 'started' || status.state === 'progress');
+  calculationProgress.hidden = running.length === 0;
+  // Incremental updates are short and can't be cancelled; only full calculations can
+  cancelCalculationBtn.hidden = !running.some(status => !status.incremental);
+
+  if (running.length > 0) {
+    // Frames that haven't reported progress yet count as just started
+    const progress = running.reduce((total, status) => total + (status.progress || 0), 0) / running.length;
+    calculationProgress.value = progress;
+    updateStatus(running.length === 1
+      ? `Calculating hit regions (${describeStatusSource(running[0])})...`
+      : `Calculating hit regions in ${running.length} frames...`);
+    calculationDetailsElement.textContent = `${Math.round(progress)}%`;
+    return;
+  }
+
+  const latest = statuses.reduce((newest, status) =>
+    (!newest || status.timestamp > newest.timestamp ? status : newest), null);
+  if (!latest) {
+    updateStatus('Ready - Select an element to begin');
+    calculationDetailsElement.textContent = '';
+    return;
+  }
+
+  const source = describeStatusSource(latest);
+  switch (latest.state) {
+    case 'completed':
+      updateStatus(`Ready - ${latest.incremental ? 'updated' : 'calculated'} after ${source}`);
+      calculationDetailsElement.textContent =
+        `${latest.elementCount} elements · ${latest.coordinateCount} points · ${Math.round(latest.duration)}ms`;
+      break;
+    case 'cancelled':
+      updateStatus(`Calculation cancelled (${source})`);
+      calculationDetailsElement.textContent = '';
+      break;
+    case 'timeout':
+      updateStatus(`Calculation timed out (${source})`);
+      calculationDetailsElement.textContent = latest.error || '';
+      break;
+    default:
+      updateStatus(`Calculation failed (${source})`);
+      calculationDetailsElement.textContent = latest.error || '';
+  }
+}
+
+// Cancel calculations in every frame
+cancelCalculationBtn.addEventListener('click', () => {
+  sendToContent('cancelCalculation', {}, (response) => {
+    if (!response.success) {
+      calculationDetailsElement.textContent = `Cancel failed: ${response.error || 'unknown error'}`;
+    }
+  });
+});
+
+// Show the occlusion report for the selected element
+// Called by devtools.js with the summary returned from the content script
+function showOcclusion(report) {
+  occluderListElement.textContent = '';
+  occlusionDetailsElement.textContent = '';
+
+  if (!report) {
+    coverageElement.textContent = 'No interactive element selected';
+    return;
+  }
+
+  if (report.coverage === null) {
+    coverageElement.textContent = 'Element box was not sampled';
+    return;
+  }
+
+  coverageElement.textContent =
+    `${report.coverage.toFixed(1)}% of the ${Math.round(report.box.width)}×${Math.round(report.box.height)}px box is clickable`;
+
+  const details = [`${report.occludedCount} of ${report.expectedCount} sample points occluded`];
+  if (report.unattributedCount > 0) {
+    details.push(`${report.unattributedCount} outside the viewport could not be attributed`);
+  }
+  if (report.outsideCount > 0) {
+    details.push(`${report.outsideCount} clickable points outside the box`);
+  }
+  occlusionDetailsElement.textContent = details.join(' · ');
+
+  for (const occluder of report.occluders) {
+    const item = document.createElement('li');
+    const label = document.createElement('code');
+    label.textContent = occluder.label;
+    item.appendChild(label);
+    item.appendChild(document.createTextNode(
+      ` steals ${occluder.count} point${occluder.count === 1 ? '' : 's'}` +
+      (occluder.interactive ? ' (interactive)' : '')
+    ));
+    item.title = occluder.identifier.value;
+    // Occluders live in the same frame as the selected element
+    item.addEventListener('mouseenter', () => hoverElement(occluder.identifier, report.frameId || 0));
+    occluderListElement.appendChild(item);
+  }
+}
+
+// Send a message to the inspected tab's content script through the background script
+function sendToContent(type, extra, callback) {
+  chrome.runtime.sendMessage({
+    source: 'devtools',
+    type,
+    tabId: chrome.devtools.inspectedWindow.tabId,
+    ...extra
+  }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.error(`Error sending ${type} message:`, chrome.runtime.lastError);
+      callback({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    callback(response || { success: false, error: 'No response' });
+  });
+}
+
+// Preview an element's hit region in the page while the pointer is over it in the panel
+// The selection stays drawn; the preview uses the hover color on top of it
+function hoverElement(identifier, frameId) {
+  if (hoveredFrameId !== null && hoveredFrameId !== frameId) {
+    unhoverElement();
+  }
+  hoveredFrameId = frameId;
+  sendToContent('elementHovered', { elementId: identifier, frameId }, () => {});
+}
+
+// Clear the hover preview when the pointer leaves a list
+function unhoverElement() {
+  if (hoveredFrameId === null) {
+    return;
+  }
+  sendToContent('elementUnhovered', { frameId: hoveredFrameId }, () => {});
+  hoveredFrameId = null;
+}
+
+occluderListElement.addEventListener('mouseleave', unhoverElement);
+auditTableBody.addEventListener('mouseleave', unhoverElement);
+
+// Build an expression that evaluates to the element in the inspected page
+function identifierToExpression(identifier) {
+  const value = JSON.stringify(identifier.value);
+  switch (identifier.type) {
+    case 'id':
+      return `document.getElementById(${value})`;
+    case 'css':
+      return `document.querySelector(${value})`;
+    case 'xpath':
+      return `document.evaluate(${value}, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue`;
+    case 'shadow':
+      // Descend one shadow root per ' >>> ' separated segment
+      return `(function (path) {
+        let root = document;
+        let node = null;
+        for (const selector of path.split(' >>> ')) {
+          if (!root) return null;
+          node = root.querySelector(selector);
+          root = node && node.shadowRoot;
+        }
+        return node;
+      })(${value})`;
+    default:
+      return null;
+  }
+}
+
+// Select an element in the Elements panel
+// DevTools evaluates code in subframes by URL only, so the content script of the frame with
+// the given id marks the element first. The element is only inspected if the frame DevTools
+// picks for the URL has the mark, which it may not if several frames share the URL.
+function inspectElement(identifier, frameId) {
+  const expression = identifierToExpression(identifier);
+  if (!expression) {
+    console.warn('Cannot inspect element with identifier:', identifier);
+    return;
+  }
+
+  if (!frameId) {
+    chrome.devtools.inspectedWindow.eval(`inspect(${expression})`, {}, (result, isException) => {
+      if (isException) {
+        console.error('Error inspecting element:', isException);
+      }
+    });
+    return;
+  }
+
+  const token = crypto.randomUUID();
+  sendToContent('markElement', { elementId: identifier, frameId, data: { token } }, (response) => {
+    if (!response.success) {
+      console.warn('Cannot inspect element in frame', frameId, response.error);
+      return;
+    }
+
+    const markedExpression = `(function() {
+  const element = ${expression};
+  if (!element || element.getAttribute('${ELEMENT_MARK_ATTRIBUTE}') !== '${token}') return false;
+  element.removeAttribute('${ELEMENT_MARK_ATTRIBUTE}');
+  inspect(element);
+  return true;
+})()`;
+    chrome.devtools.inspectedWindow.eval(markedExpression, { frameURL: response.frameUrl }, (inspected, isException) => {
+      if (isException) {
+        console.error('Error inspecting element:', isException);
+      }
+      if (!inspected) {
+        console.warn('Cannot inspect element: another frame shares its URL', response.frameUrl);
+        sendToContent('takeElementMark', { elementId: identifier, frameId, data: { token } }, () => {});
+      }
+    });
+  });
+}
+
+// Toggle click-through inspect mode in the inspected page
+// Escape in the page or the keyboard command also toggle it, so the label reflects the last click here
+inspectBtn.addEventListener('click', () => {
+  sendToContent('toggleInspectMode', {}, (response) => {
+    if (!response.success) {
+      inspectStatusElement.textContent = `Inspect mode failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+    inspectBtn.textContent = response.enabled ? 'Stop inspecting' : 'Inspect clicks';
+    inspectStatusElement.textContent = response.enabled
+      ? 'Hover the page; press Esc to exit'
+      : 'Hover the page to see which element receives a click (Alt+Shift+H, Esc to exit)';
+  });
+});
+
+// Remember the selected element so it can be pinned
+// Called by devtools.js when the selection in the Elements panel changes
+function showSelection(selection) {
+  selectedElement = selection;
+  pinBtn.disabled = !selection;
+}
+
+// Replace the legend entries of one frame with the pins it reported
+function setFramePins(frameId, pins) {
+  if (pins.length > 0) {
+    pinsByFrame.set(frameId, pins);
+  } else {
+    pinsByFrame.delete(frameId);
+  }
+  renderPinLegend();
+}
+
+// List pinned elements with their colors
+// Hovering an entry previews it; clicking selects it in the Elements panel
+function renderPinLegend() {
+  pinLegendElement.textContent = '';
+  let count = 0;
+
+  for (const pins of pinsByFrame.values()) {
+    for (const pin of pins) {
+      count++;
+
+      const item = document.createElement('li');
+      item.title = pin.identifier.value;
+
+      const swatch = document.createElement('span');
+      swatch.className = 'pin-swatch';
+      swatch.style.backgroundColor = pin.color;
+      item.appendChild(swatch);
+
+      const label = document.createElement('code');
+      label.textContent = pin.frameId ? `${pin.label} (frame: ${formatFrameUrl(pin.frameUrl)})` : pin.label;
+      item.appendChild(label);
+      item.appendChild(document.createTextNode(`${Math.round(pin.hitArea)}px²`));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'pin-remove';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Unpin';
+      removeBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        sendToContent('unpinElement', { elementId: pin.identifier, frameId: pin.frameId }, (response) => {
+          if (response.success) {
+            setFramePins(pin.frameId, response.pins);
+          }
+        });
+      });
+      item.appendChild(removeBtn);
+
+      item.addEventListener('mouseenter', () => hoverElement(pin.identifier, pin.frameId));
+      item.addEventListener('click', () =>
+        inspectElement(pin.identifier, pin.frameId)
+      );
+      pinLegendElement.appendChild(item);
+    }
+  }
+
+  pinStatusElement.textContent = count > 0 ? `${count} pinned` : '';
+}
+
+pinLegendElement.addEventListener('mouseleave', unhoverElement);
+
+// Pin the element selected in the Elements panel
+pinBtn.addEventListener('click', () => {
+  if (!selectedElement) {
+    return;
+  }
+
+  const { elementId, frameId } = selectedElement;
+  sendToContent('pinElement', { elementId, frameId }, (response) => {
+    if (response.pins) {
+      setFramePins(frameId, response.pins);
+    }
+    if (!response.success) {
+      pinStatusElement.textContent = `Pin failed: ${response.error || 'unknown error'}`;
+    }
+  });
+});
+
+// Pin every interactive element in every frame
+pinAllBtn.addEventListener('click', () => {
+  pinStatusElement.textContent = 'Pinning...';
+
+  sendToContent('pinAllElements', {}, (response) => {
+    if (!response.success) {
+      pinStatusElement.textContent = `Pin failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    pinsByFrame.clear();
+    for (const pin of response.pins) {
+      if (!pinsByFrame.has(pin.frameId)) {
+        pinsByFrame.set(pin.frameId, []);
+      }
+      pinsByFrame.get(pin.frameId).push(pin);
+    }
+    renderPinLegend();
+  });
+});
+
+// Unpin everything in every frame
+clearPinsBtn.addEventListener('click', () => {
+  sendToContent('clearPins', {}, () => {
+    pinsByFrame.clear();
+    renderPinLegend();
+  });
+});
+
+// Heatmap legend entries per mode; colors match HeatmapBuilder.js
+const HEATMAP_LEGENDS = {
+  elements: [
+    { color: '#9e9e9e', label: 'Clicks do nothing' },
+    { color: '#4e79a7', label: 'One color per element' }
+  ],
+  density: [
+    { color: '#9e9e9e', label: 'No target within 24px' },
+    { color: '#2ca02c', label: '1 target' },
+    { color: '#ffbf00', label: '2 targets' },
+    { color: '#ff7f0e', label: '3 targets' },
+    { color: '#d62728', label: '4 or more' }
+  ]
+};
+
+// Show the color key for a heatmap mode
+function renderHeatmapLegend(mode) {
+  heatmapLegendElement.textContent = '';
+  heatmapLegendElement.hidden = !mode;
+  if (!mode) {
+    return;
+  }
+
+  for (const entry of HEATMAP_LEGENDS[mode]) {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'pin-swatch';
+    swatch.style.backgroundColor = entry.color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(entry.label));
+    heatmapLegendElement.appendChild(item);
+  }
+}
+
+// Switch the heatmap in every frame and summarize how much of the page is dead or crowded
+heatmapModeInput.addEventListener('change', () => {
+  const mode = heatmapModeInput.value || null;
+  heatmapStatusElement.textContent = mode ? 'Drawing...' : '';
+  renderHeatmapLegend(mode);
+
+  sendToContent('setHeatmapMode', { data: { mode } }, (response) => {
+    if (!response.success) {
+      heatmapStatusElement.textContent = `Heatmap failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+    if (!mode) {
+      return;
+    }
+
+    const totals = response.heatmaps.reduce((sum, heatmap) => ({
+      cells: sum.cells + heatmap.cellCount,
+      dead: sum.dead + heatmap.deadCount,
+      crowded: sum.crowded + heatmap.crowdedCount
+    }), { cells: 0, dead: 0, crowded: 0 });
+    if (totals.cells === 0) {
+      heatmapStatusElement.textContent = 'Nothing sampled yet';
+      return;
+    }
+
+    const share = count => `${((count / totals.cells) * 100).toFixed(1)}%`;
+    heatmapStatusElement.textContent = mode === 'density'
+      ? `${share(totals.crowded)} of sampled points are within 24px of two or more targets`
+      : `${share(totals.dead)} of sampled points don't reach an interactive element`;
+  });
+});
+
+// List targets with spacing problems, closest gaps first
+function renderSpacingTable(rows) {
+  const problems = rows
+    .filter(row => !row.passesSpacing || row.overlaps.length > 0)
+    .sort((a, b) => (a.nearest ? a.nearest.gap : Infinity) - (b.nearest ? b.nearest.gap : Infinity));
+
+  spacingTableBody.textContent = '';
+  for (const row of problems) {
+    const tr = document.createElement('tr');
+    tr.title = row.identifier.value;
+
+    const issues = [];
+    if (!row.passesSpacing) {
+      issues.push(`${row.diameter}px circle hits ${row.circleConflicts.map(conflict => conflict.label).join(', ')}`);
+    }
+    if (row.overlaps.length > 0) {
+      issues.push(`contact can touch ${row.overlaps.map(overlap => overlap.label).join(', ')}`);
+    }
+
+    const cells = [
+      row.frameId ? `${row.label} (frame: ${formatFrameUrl(row.frameUrl)})` : row.label,
+      formatSize(row.hitBounds),
+      row.nearest ? row.nearest.label : '—',
+      row.nearest ? `${Math.round(row.nearest.gap)}px` : '—',
+      issues.join('; ')
+    ];
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === cells.length - 1) {
+        td.className = row.passesSpacing ? 'flag-warn' : 'flag-fail';
+      }
+      tr.appendChild(td);
+    });
+
+    tr.addEventListener('mouseenter', () => hoverElement(row.identifier, row.frameId || 0));
+    tr.addEventListener('click', () =>
+      inspectElement(row.identifier, row.frameId)
+    );
+    spacingTableBody.appendChild(tr);
+  }
+
+  spacingTable.hidden = problems.length === 0;
+}
+
+spacingTableBody.addEventListener('mouseleave', unhoverElement);
+
+// Touch emulation makes the page's default pointer a finger
+// Called by devtools.js when the panel is shown, since emulation can change while the panel is hidden
+function checkPointerMode() {
+  chrome.devtools.inspectedWindow.eval("matchMedia('(pointer: coarse)').matches", (coarse, isException) => {
+    if (isException) {
+      console.warn('Failed to check the pointer type:', isException);
+      return;
+    }
+
+    defaultPointerOption.textContent = coarse ? 'Finger (touch emulation)' : 'Pointer from settings';
+    if (coarse && !spacingSummaryElement.textContent) {
+      spacingSummaryElement.textContent = 'Touch emulation is on: spacing is analyzed for a finger';
+    }
+  });
+}
+
+// Analyze spacing in every frame; violations are drawn as pointer-sized circles
+spacingBtn.addEventListener('click', () => {
+  spacingSummaryElement.textContent = 'Analyzing...';
+  checkPointerMode();
+  const diameter = pointerSizeInput.value ? parseInt(pointerSizeInput.value, 10) : null;
+
+  sendToContent('analyzeSpacing', { data: { diameter } }, (response) => {
+    if (!response.success) {
+      spacingSummaryElement.textContent = `Spacing analysis failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    const rows = response.rows;
+    const failing = rows.filter(row => !row.passesSpacing).length;
+    // Every overlapping pair is listed on both of its targets
+    const overlappingPairs = rows.reduce((total, row) => total + row.overlaps.length, 0) / 2;
+    const pointer = rows.length > 0 ? `${rows[0].diameter}px pointer` : 'pointer';
+    spacingSummaryElement.textContent =
+      `${rows.length} targets · ${failing} undersized without spacing · ${overlappingPairs} pairs a ${pointer} can touch at once`;
+    renderSpacingTable(rows);
+  });
+});
+
+clearSpacingBtn.addEventListener('click', () => {
+  sendToContent('clearSpacing', {}, () => {
+    spacingSummaryElement.textContent = '';
+    renderSpacingTable([]);
+  });
+});
+
+// Diff legend entries; colors match HitRegionDiff.js
+const DIFF_LEGEND = [
+  { color: '#2ca02c', label: 'Hit area gained' },
+  { color: '#d62728', label: 'Hit area lost' }
+];
+
+// Labels of the kinds of change a baseline diff reports
+const DIFF_CHANGE_LABELS = {
+  removed: 'Removed',
+  added: 'Added',
+  shrunk: 'Shrunk',
+  occluded: 'Occluded',
+  grown: 'Grew',
+  moved: 'Moved'
+};
+
+// Changes that make an element harder to hit
+const DIFF_REGRESSIONS = ['removed', 'shrunk', 'occluded'];
+
+// Fill the baseline picker with the baselines of every frame, newest first
+// Called by devtools.js when the panel is shown, since the inspected page may have changed
+function refreshBaselineList() {
+  sendToContent('listBaselines', {}, (response) => {
+    if (!response.success) {
+      baselineStatusElement.textContent = `Failed to list baselines: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    // Frames save baselines together, so one name covers every frame
+    const latest = new Map();
+    for (const baseline of response.baselines) {
+      const known = latest.get(baseline.name);
+      if (!known || known.timestamp < baseline.timestamp) {
+        latest.set(baseline.name, baseline);
+      }
+    }
+
+    const selected = baselineSelect.value;
+    baselineSelect.textContent = '';
+    const baselines = [...latest.values()].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    if (baselines.length === 0) {
+      baselineSelect.appendChild(new Option('No saved baselines', ''));
+    }
+    for (const baseline of baselines) {
+      const label = `${baseline.name} (${new Date(baseline.timestamp).toLocaleString()})`;
+      baselineSelect.appendChild(new Option(label, baseline.name, false, baseline.name === selected));
+    }
+  });
+}
+
+// Show the color key of the diff overlay
+function renderDiffLegend(visible) {
+  diffLegendElement.textContent = '';
+  diffLegendElement.hidden = !visible;
+  if (!visible) {
+    return;
+  }
+
+  for (const entry of DIFF_LEGEND) {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = 'pin-swatch';
+    swatch.style.backgroundColor = entry.color;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(entry.label));
+    diffLegendElement.appendChild(item);
+  }
+}
+
+// Describe a measurement before and after, e.g. '480 → 320px²'
+function formatChange(before, after, format) {
+  const describe = value => (value === null || value === undefined ? '—' : format(value));
+  return `${describe(before)} → ${describe(after)}`;
+}
+
+// List the elements that changed since the baseline, regressions first
+function renderDiffTable(diffs) {
+  diffTableBody.textContent = '';
+  let rowCount = 0;
+
+  for (const diff of diffs) {
+    for (const entry of diff.entries) {
+      const tr = document.createElement('tr');
+      tr.title = entry.identifier.value;
+
+      const cells = [
+        diff.frameId ? `${entry.label} (frame: ${formatFrameUrl(diff.frameUrl)})` : entry.label,
+        entry.changes.map(change => DIFF_CHANGE_LABELS[change]).join(', '),
+        formatChange(
+          entry.before && entry.before.hitArea,
+          entry.after && entry.after.hitArea,
+          area => `${Math.round(area)}px²`
+        ),
+        formatChange(
+          entry.before && entry.before.coverage,
+          entry.after && entry.after.coverage,
+          coverage => `${coverage.toFixed(1)}%`
+        ),
+        entry.newOccluders.map(occluder => occluder.label).join(', ') || '—'
+      ];
+      cells.forEach((text, index) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (index === 1) {
+          td.className = entry.changes.some(change => DIFF_REGRESSIONS.includes(change)) ? 'flag-fail' : 'flag-pass';
+        }
+        tr.appendChild(td);
+      });
+
+      // Removed elements are no longer on the page to preview or inspect
+      if (entry.after) {
+        tr.addEventListener('mouseenter', () => hoverElement(entry.identifier, diff.frameId || 0));
+        tr.addEventListener('click', () =>
+          inspectElement(entry.identifier, diff.frameId)
+        );
+      }
+      diffTableBody.appendChild(tr);
+      rowCount++;
+    }
   }
+
+  diffTable.hidden = rowCount === 0;
+}
+
+diffTableBody.addEventListener('mouseleave', unhoverElement);
+
+// Save the hit regions of every frame under the entered name
+saveBaselineBtn.addEventListener('click', () => {
+  const name = baselineNameInput.value.trim() || new Date().toLocaleString();
+  baselineStatusElement.textContent = 'Saving...';
+
+  sendToContent('saveBaseline', { data: { name } }, (response) => {
+    if (!response.success) {
+      baselineStatusElement.textContent = `Save failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    const elementCount = response.baselines.reduce((total, baseline) => total + baseline.elementCount, 0);
+    baselineStatusElement.textContent = `Saved "${name}" with ${elementCount} elements`;
+    baselineSelect.value = name;
+    refreshBaselineList();
+  });
+});
+
+// Compare every frame with the selected baseline and list what changed
+compareBaselineBtn.addEventListener('click', () => {
+  const name = baselineSelect.value;
+  if (!name) {
+    baselineStatusElement.textContent = 'Save a baseline first';
+    return;
+  }
+  baselineStatusElement.textContent = 'Comparing...';
+
+  sendToContent('compareBaseline', { data: { name } }, (response) => {
+    if (!response.success) {
+      baselineStatusElement.textContent = `Comparison failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    const diffs = response.diffs;
+    const counts = {};
+    for (const diff of diffs) {
+      for (const [change, count] of Object.entries(diff.counts)) {
+        counts[change] = (counts[change] || 0) + count;
+      }
+    }
+    const changed = Object.keys(DIFF_CHANGE_LABELS)
+      .filter(change => counts[change] > 0)
+      .map(change => `${counts[change]} ${DIFF_CHANGE_LABELS[change].toLowerCase()}`);
+    const summary = changed.length > 0 ? changed.join(' · ') : 'No changes';
+
+    const incomparable = diffs.find(diff => !diff.comparable);
+    baselineStatusElement.textContent = incomparable
+      ? `${summary} · baseline sampled at ${incomparable.baselineResolution}px, now ${incomparable.resolution}px: ` +
+        'areas are compared but the overlay is off'
+      : `${summary} · ${counts.unchanged || 0} unchanged`;
+    renderDiffLegend(diffs.some(diff => diff.comparable && diff.entries.length > 0));
+    renderDiffTable(diffs);
+  });
+});
+
+clearDiffBtn.addEventListener('click', () => {
+  sendToContent('clearBaselineDiff', {}, () => {
+    baselineStatusElement.textContent = '';
+    renderDiffLegend(false);
+    renderDiffTable([]);
+  });
+});
+
+// Download the selected baseline of every frame as one JSON file
+exportBaselineBtn.addEventListener('click', () => {
+  const name = baselineSelect.value;
+  if (!name) {
+    baselineStatusElement.textContent = 'Save a baseline first';
+    return;
+  }
+  baselineStatusElement.textContent = 'Exporting...';
+
+  sendToContent('exportBaseline', { data: { name } }, (response) => {
+    if (!response.success) {
+      baselineStatusElement.textContent = `Export failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    const content = JSON.stringify({ name, exportedAt: new Date().toISOString(), frames: response.baselines }, null, 2);
+    const filename = `hit-regions-baseline-${name.replace(/[^\w-]+/g, '-')}.json`;
+    downloadFile(`data:application/json;charset=utf-8,${encodeURIComponent(content)}`, filename, baselineStatusElement);
+  });
+});
+
+deleteBaselineBtn.addEventListener('click', () => {
+  const name = baselineSelect.value;
+  if (!name) {
+    return;
+  }
+
+  sendToContent('deleteBaseline', { data: { name } }, (response) => {
+    if (!response.success) {
+      baselineStatusElement.textContent = `Delete failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+    baselineStatusElement.textContent = `Deleted "${name}"`;
+    renderDiffLegend(false);
+    renderDiffTable([]);
+    refreshBaselineList();
+  });
+});
+
+// Sort value for each audit table column
+const auditSortValues = {
+  element: row => row.label,
+  rule: row => row.rule || '',
+  box: row => row.box.width * row.box.height,
+  hitArea: row => row.hitArea,
+  coverage: row => (row.coverage === null ? -1 : row.coverage),
+  occluders: row => row.occluders.reduce((total, occluder) => total + occluder.count, 0),
+  wcag: row => (row.meetsEnhanced ? 2 : row.meetsMinimum ? 1 : 0)
+};
+
+function formatSize(size) {
+  return size ? `${Math.round(size.width)}×${Math.round(size.height)}` : '—';
+}
+
+// Short label for the frame an audit row came from
+function formatFrameUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.host ? parsed.host + parsed.pathname : url;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Render the audit table using the current sort order
+function renderAuditTable() {
+  const getValue = auditSortValues[auditSortKey];
+  const sorted = [...auditRows].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return auditSortAscending ? order : -order;
+  });
+
+  auditTable.querySelectorAll('th').forEach(header => {
+    header.classList.remove('sorted-asc', 'sorted-desc');
+    if (header.dataset.sort === auditSortKey) {
+      header.classList.add(auditSortAscending ? 'sorted-asc' : 'sorted-desc');
+    }
+  });
+
+  auditTableBody.textContent = '';
+  for (const row of sorted) {
+    const tr = document.createElement('tr');
+    tr.title = row.identifier.value;
+
+    const flag = !row.meetsMinimum
+      ? { text: 'Below 24×24 (2.5.8)', className: 'flag-fail' }
+      : !row.meetsEnhanced
+        ? { text: 'Below 44×44 (2.5.5)', className: 'flag-warn' }
+        : { text: 'OK', className: 'flag-pass' };
+
+    const cells = [
+      row.frameId ? `${row.label} (frame: ${formatFrameUrl(row.frameUrl)})` : row.label,
+      row.rule || '—',
+      formatSize(row.box),
+      `${formatSize(row.hitBounds)} (${Math.round(row.hitArea)}px²)`,
+      row.coverage === null ? '—' : `${row.coverage.toFixed(1)}%`,
+      row.occluders.map(occluder => `${occluder.label} (${occluder.count})`).join(', ') || '—',
+      flag.text
+    ];
+
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === cells.length - 1) {
+        td.className = flag.className;
+      }
+      tr.appendChild(td);
+    });
+
+    tr.addEventListener('click', () =>
+      inspectElement(row.identifier, row.frameId)
+    );
+    tr.addEventListener('mouseenter', () => hoverElement(row.identifier, row.frameId || 0));
+    auditTableBody.appendChild(tr);
+  }
+
+  auditTable.hidden = auditRows.length === 0;
+}
+
+// Run a page-wide audit
+auditBtn.addEventListener('click', () => {
+  auditSummaryElement.textContent = 'Auditing...';
+
+  sendToContent('auditPage', {}, (response) => {
+    if (!response.success) {
+      auditSummaryElement.textContent = `Audit failed: ${response.error || 'unknown error'}`;
+      return;
+    }
+
+    auditRows = response.rows;
+    const failing = auditRows.filter(row => !row.meetsMinimum).length;
+    const enhancedFailing = auditRows.filter(row => !row.meetsEnhanced).length;
+    auditSummaryElement.textContent =
+      `${auditRows.length} elements · ${failing} below 24×24 · ${enhancedFailing} below 44×44`;
+    renderAuditTable();
+  });
+});
+
+// Sort by clicking a column header; clicking again reverses the order
+auditTable.querySelectorAll('th').forEach(header => {
+  header.addEventListener('click', () => {
+    const key = header.dataset.sort;
+    if (auditSortKey === key) {
+      auditSortAscending = !auditSortAscending;
+    } else {
+      auditSortKey = key;
+      auditSortAscending = true;
+    }
+    renderAuditTable();
+  });
+});
+
+// Save a file through the background script's downloads API, reporting the result in a status element
+function downloadFile(url, filename, statusElement = exportStatusElement) {
+  chrome.runtime.sendMessage({
+    source: 'devtools',
+    type: 'download',
+    data: { url, filename }
+  }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      const error = chrome.runtime.lastError
+        ? chrome.runtime.lastError.message
+        : (response && response.error) || 'unknown error';
+      statusElement.textContent = `Download failed: ${error}`;
+      return;
+    }
+    statusElement.textContent = `Saved ${filename}`;
+  });
+}
+
+// Export the hit region map and per-element stats of every frame as JSON or CSV
+// Each frame builds its own document; the top-level frame combines them into one file
+function exportData(format) {
+  exportStatusElement.textContent = 'Exporting...';
+
+  sendToContent('exportFrameDocument', {}, (collected) => {
+    if (!collected.success) {
+      exportStatusElement.textContent = `Export failed: ${collected.error || 'unknown error'}`;
+      return;
+    }
+
+    const frames = collected.documents.filter(frameDocument => frameDocument.frame.frameId !== 0);
+    sendToContent('exportData', { data: { format, frames } }, (response) => {
+      if (!response.success) {
+        exportStatusElement.textContent = `Export failed: ${response.error || 'unknown error'}`;
+        return;
+      }
+      const url = `data:${response.mimeType};charset=utf-8,${encodeURIComponent(response.content)}`;
+      downloadFile(url, response.filename);
+    });
+  });
+}
+
+exportJsonBtn.addEventListener('click', () => exportData('json'));
+exportCsvBtn.addEventListener('click', () => exportData('csv'));
+
+// Export a screenshot of the visible tab with the overlays of every frame composited on top
+exportPngBtn.addEventListener('click', () => {
+  exportStatusElement.textContent = 'Capturing...';
+
+  sendToContent('exportFrameOverlay', {}, (collected) => {
+    const overlays = collected.success ? collected.overlays : [];
+    sendToContent('exportSnapshot', { data: { overlays } }, (response) => {
+      if (!response.success) {
+        exportStatusElement.textContent = `Snapshot failed: ${response.error || 'unknown error'}`;
+        return;
+      }
+      downloadFile(response.dataUrl, response.filename);
+    });
+  });
 });
 
 updateStatus('Ready - Select an element to begin');
+checkPointerMode();
+refreshBaselineList();
@@ -0,0 +1,123 @@
+// Elements sidebar script
+// Shows the hit region stats of the element selected in the Elements panel
+
+console.log('Hit Region Highlighter: Sidebar script loaded');
+
+const messageElement = document.getElementById('message');
+const noteElement = document.getElementById('note');
+const statsTable = document.getElementById('stats');
+const statElement = document.getElementById('statElement');
+const statCoverage = document.getElementById('statCoverage');
+const statArea = document.getElementById('statArea');
+const statSamples = document.getElementById('statSamples');
+const statTargetSize = document.getElementById('statTargetSize');
+const statOccluders = document.getElementById('statOccluders');
+const statRule = document.getElementById('statRule');
+const statAncestor = document.getElementById('statAncestor');
+
+function formatSize(size) {
+  return size ? `${Math.round(size.width)}×${Math.round(size.height)}` : '—';
+}
+
+// Short label for the frame an element lives in
+function formatFrameUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.host ? parsed.host + parsed.pathname : url;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Show a message instead of the stats
+function showMessage(text) {
+  messageElement.textContent = text;
+  messageElement.hidden = false;
+  noteElement.hidden = true;
+  statsTable.hidden = true;
+}
+
+// List the elements covering the target, most points first
+function renderOccluders(occluders) {
+  statOccluders.textContent = '';
+  if (occluders.length === 0) {
+    statOccluders.textContent = 'None';
+    return;
+  }
+
+  const list = document.createElement('ol');
+  list.className = 'occluder-list';
+  for (const occluder of occluders) {
+    const item = document.createElement('li');
+    const label = document.createElement('code');
+    label.textContent = occluder.label;
+    item.appendChild(label);
+    item.appendChild(document.createTextNode(
+      ` (${occluder.count} point${occluder.count === 1 ? '' : 's'}${occluder.interactive ? ', interactive' : ''})`
+    ));
+    item.title = occluder.identifier.value;
+    list.appendChild(item);
+  }
+  statOccluders.appendChild(list);
+}
+
+// Show the stats from the content script's 'getElementStats' response, or why there are none
+// Called by devtools.js after each selection change and recalculation
+function showElementStats(result) {
+  if (!result) {
+    showMessage('Select an element to see its hit region');
+    return;
+  }
+  if (result.error) {
+    showMessage(`No hit region data: ${result.error}`);
+    return;
+  }
+
+  const { stats } = result;
+  if (!stats) {
+    showMessage(`${result.label} is not interactive and has no interactive ancestor`);
+    return;
+  }
+
+  messageElement.hidden = true;
+  statsTable.hidden = false;
+
+  const notes = [];
+  if (result.inherited) {
+    notes.push(`Clicks on ${result.label} go to its interactive ancestor; showing its hit region`);
+  }
+  if (result.frameId) {
+    notes.push(`In frame ${formatFrameUrl(result.frameUrl)}`);
+  }
+  noteElement.textContent = notes.join(' · ');
+  noteElement.hidden = notes.length === 0;
+
+  statElement.textContent = stats.label;
+  statElement.title = stats.identifier.value;
+  statCoverage.textContent = stats.coverage === null
+    ? 'Box was not sampled'
+    : `${stats.coverage.toFixed(1)}% of the ${formatSize(stats.box)}px box`;
+  statArea.textContent = `${formatSize(stats.hitBounds)} (${Math.round(stats.hitArea)}px²)`;
+  statSamples.textContent = `${stats.sampleCount} at ${result.resolution}px`;
+
+  const flag = !stats.meetsMinimum
+    ? { text: 'Below 24×24 (2.5.8)', className: 'flag-fail' }
+    : !stats.meetsEnhanced
+      ? { text: 'Below 44×44 (2.5.5)', className: 'flag-warn' }
+      : { text: 'OK', className: 'flag-pass' };
+  statTargetSize.textContent = flag.text;
+  statTargetSize.className = flag.className;
+
+  renderOccluders(stats.occluders);
+  statRule.textContent = stats.rule || 'None (in the map, but no rule matches now)';
+
+  statAncestor.textContent = '';
+  if (result.interactiveAncestor) {
+    const ancestor = document.createElement('code');
+    ancestor.textContent = result.interactiveAncestor.label;
+    ancestor.title = result.interactiveAncestor.identifier.value;
+    statAncestor.appendChild(ancestor);
+  } else {
+    statAncestor.textContent = 'None';
+  }
+}
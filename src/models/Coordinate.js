@@ -1,5 +1,6 @@
 /**
- * Coordinate type representing a point in the viewport
+ * Coordinate type representing a point on the page
+ * Hit region maps store coordinates in document space (viewport position + scroll offset)
  * @typedef {Object} Coordinate
  * @property {number} x - The x-coordinate in pixels
  * @property {number} y - The y-coordinate in pixels
@@ -1,7 +1,10 @@
-import { coordToKey } from './Coordinate.js';
+import { coordToKey, keyToCoord } from './Coordinate.js';
+import { createRect, rectContainsPoint, subtractRect, isEmptyRect } from './Rect.js';
 
 /**
  * HitRegionMap manages the bidirectional mapping between elements and their hit region coordinates
+ * Coordinates are stored in document space (viewport position + scroll offset at sampling time),
+ * so they stay valid when the page scrolls
  */
 export class HitRegionMap {
   constructor(options = {}) {
@@ -17,6 +20,17 @@ export class HitRegionMap {
     
     // Performance safeguard: limit maximum coordinates per element
     this.maxCoordinatesPerElement = options.maxCoordinatesPerElement || 10000;
+    
+    // Pixels between sample points used to build this map
+    this.resolution = options.resolution || 10;
+    
+    // Document-space rects that have already been sampled
+    // Used to find strips newly exposed by scrolling
+    this.sampledRects = [];
+    
+    // Where this frame's viewport sits in the top-level viewport
+    // Always { x: 0, y: 0 } in the top-level frame
+    this.frameOffset = options.frameOffset || { x: 0, y: 0 };
   }
 
   /**
@@ -121,10 +135,113 @@ export class HitRegionMap {
     return Array.from(this.elements);
   }
 
+  /**
+   * Removes every coordinate inside a rect, e.g. before resampling it
+   * @param {Rect} rect - Document-space rect to clear
+   * @returns {number} Number of coordinates removed
+   */
+  removeCoordinatesInRect(rect) {
+    let removed = 0;
+
+    for (const [key, element] of this.coordinateToElement) {
+      if (!rectContainsPoint(rect, keyToCoord(key))) {
+        continue;
+      }
+
+      this.coordinateToElement.delete(key);
+      removed++;
+
+      const coordinates = this.elementToCoordinates.get(element);
+      if (coordinates) {
+        coordinates.delete(key);
+        if (coordinates.size === 0) {
+          this.elementToCoordinates.delete(element);
+          this.elements.delete(element);
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Records that a rect has been sampled
+   * @param {Rect} rect - Document-space rect that was sampled
+   */
+  markSampled(rect) {
+    this.sampledRects.push(...this.getUnsampledRects(rect));
+  }
+
+  /**
+   * Forgets that a rect has been sampled, e.g. when its content scrolled inside a container
+   * @param {Rect} rect - Document-space rect whose samples are stale
+   */
+  markUnsampled(rect) {
+    this.sampledRects = this.sampledRects.flatMap(sampled => subtractRect(sampled, rect));
+  }
+
+  /**
+   * Checks whether a coordinate lies in an area that has been sampled
+   * Distinguishes "no interactive element here" from "not sampled yet"
+   * @param {Coordinate} coord - Document-space coordinate
+   * @returns {boolean} True if the coordinate has been sampled
+   */
+  isSampled(coord) {
+    return this.sampledRects.some(rect => rectContainsPoint(rect, coord));
+  }
+
+  /**
+   * Gets the parts of a rect that have not been sampled yet
+   * @param {Rect} rect - Document-space rect to check
+   * @returns {Rect[]} Unsampled pieces of the rect (empty if fully sampled)
+   */
+  getUnsampledRects(rect) {
+    if (isEmptyRect(rect)) {
+      return [];
+    }
+
+    return this.sampledRects.reduce(
+      (pieces, sampled) => pieces.flatMap(piece => subtractRect(piece, sampled)),
+      [rect]
+    );
+  }
+
+  /**
+   * Sets where this frame's viewport sits in the top-level viewport
+   * @param {{x: number, y: number}} offset - Offset of the frame's content box
+   */
+  setFrameOffset(offset) {
+    this.frameOffset = { x: offset.x, y: offset.y };
+  }
+
+  /**
+   * Converts a document-space coordinate in this frame to top-level viewport coordinates
+   * Uses the frame's current scroll position, so call it close to where the result is used
+   * @param {Coordinate} coord - Document-space coordinate
+   * @returns {Coordinate} The coordinate in the top-level viewport
+   */
+  toTopLevelCoordinate(coord) {
+    return {
+      x: coord.x - window.scrollX + this.frameOffset.x,
+      y: coord.y - window.scrollY + this.frameOffset.y
+    };
+  }
+
+  /**
+   * Converts a document-space rect in this frame to top-level viewport coordinates
+   * @param {Rect} rect - Document-space rect
+   * @returns {Rect} The rect in the top-level viewport
+   */
+  toTopLevelRect(rect) {
+    const origin = this.toTopLevelCoordinate(rect);
+    return createRect(origin.x, origin.y, rect.width, rect.height);
+  }
+
   /**
    * Clears all mappings (for invalidation)
    */
   clear() {
+    this.sampledRects = [];
     this.coordinateToElement.clear();
     this.elements.clear();
     // WeakMap doesn't have a clear method, but we can create a new one
@@ -0,0 +1,143 @@
+/**
+ * Rect type representing an axis-aligned rectangle on the page
+ * @typedef {Object} Rect
+ * @property {number} x - The left edge in pixels
+ * @property {number} y - The top edge in pixels
+ * @property {number} width - The width in pixels
+ * @property {number} height - The height in pixels
+ */
+
+/**
+ * Creates a new Rect object
+ * @param {number} x - The left edge
+ * @param {number} y - The top edge
+ * @param {number} width - The width
+ * @param {number} height - The height
+ * @returns {Rect} A new rect object
+ */
+export function createRect(x, y, width, height) {
+  return { x, y, width, height };
+}
+
+/**
+ * Converts a DOMRect from getBoundingClientRect() to a document-space Rect
+ * @param {DOMRect} clientRect - Rect relative to the viewport
+ * @returns {Rect} The rect offset by the current scroll position
+ */
+export function clientRectToDocumentRect(clientRect) {
+  return createRect(
+    clientRect.left + window.scrollX,
+    clientRect.top + window.scrollY,
+    clientRect.width,
+    clientRect.height
+  );
+}
+
+/**
+ * Checks whether a rect covers no area
+ * @param {Rect} rect - The rect to check
+ * @returns {boolean} True if the rect is missing or has no area
+ */
+export function isEmptyRect(rect) {
+  return !rect || rect.width <= 0 || rect.height <= 0;
+}
+
+/**
+ * Computes the intersection of two rects
+ * @param {Rect} a - First rect
+ * @param {Rect} b - Second rect
+ * @returns {Rect|null} The overlapping area, or null if the rects do not overlap
+ */
+export function intersectRects(a, b) {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+
+  return createRect(left, top, right - left, bottom - top);
+}
+
+/**
+ * Subtracts one rect from another
+ * @param {Rect} rect - The rect to subtract from
+ * @param {Rect} cut - The rect to remove
+ * @returns {Rect[]} Up to four rects covering the part of rect outside cut
+ */
+export function subtractRect(rect, cut) {
+  const overlap = intersectRects(rect, cut);
+  if (!overlap) {
+    return [rect];
+  }
+
+  const pieces = [];
+  const right = rect.x + rect.width;
+  const bottom = rect.y + rect.height;
+  const overlapRight = overlap.x + overlap.width;
+  const overlapBottom = overlap.y + overlap.height;
+
+  // Full-width bands above and below the overlap
+  if (overlap.y > rect.y) {
+    pieces.push(createRect(rect.x, rect.y, rect.width, overlap.y - rect.y));
+  }
+  if (overlapBottom < bottom) {
+    pieces.push(createRect(rect.x, overlapBottom, rect.width, bottom - overlapBottom));
+  }
+
+  // Side pieces level with the overlap
+  if (overlap.x > rect.x) {
+    pieces.push(createRect(rect.x, overlap.y, overlap.x - rect.x, overlap.height));
+  }
+  if (overlapRight < right) {
+    pieces.push(createRect(overlapRight, overlap.y, right - overlapRight, overlap.height));
+  }
+
+  return pieces;
+}
+
+/**
+ * Checks whether a coordinate lies inside a rect (right and bottom edges exclusive)
+ * @param {Rect} rect - The rect to check
+ * @param {Coordinate} coord - The coordinate to test
+ * @returns {boolean} True if the coordinate is inside the rect
+ */
+export function rectContainsPoint(rect, coord) {
+  return (
+    coord.x >= rect.x &&
+    coord.y >= rect.y &&
+    coord.x < rect.x + rect.width &&
+    coord.y < rect.y + rect.height
+  );
+}
+
+/**
+ * Checks whether one rect lies entirely inside another
+ * @param {Rect} outer - The containing rect
+ * @param {Rect} inner - The rect to check
+ * @returns {boolean} True if inner is inside outer (edges may touch)
+ */
+export function rectContainsRect(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height
+  );
+}
+
+/**
+ * Snaps a rect's edges to the nearest device pixel, as painting and hit testing do
+ * Layout positions can be fractional: a box whose top is 500.0625 is hit from 500.
+ * @param {Rect} rect - The rect to snap
+ * @param {number} [pixelRatio=1] - Device pixels per CSS pixel
+ * @returns {Rect} The snapped rect
+ */
+export function snapRectToPixels(rect, pixelRatio = 1) {
+  const snap = value => Math.round(value * pixelRatio) / pixelRatio;
+  const left = snap(rect.x);
+  const top = snap(rect.y);
+  return createRect(left, top, snap(rect.x + rect.width) - left, snap(rect.y + rect.height) - top);
+}
@@ -1,80 +1,430 @@
 // Options page script
-// Handles loading and saving user configuration
+// Handles loading and saving the global configuration and site profiles
+
+import { ConfigurationManager, DEFAULT_CONFIG } from '../ConfigurationManager.js';
 
 console.log('Hit Region Highlighter: Options script loaded');
 
 const resolutionInput = document.getElementById('resolution');
+const scopeInput = document.getElementById('scope');
+const strategyInput = document.getElementById('strategy');
 const colorInput = document.getElementById('color');
+const occlusionColorInput = document.getElementById('occlusionColor');
+const hoverColorInput = document.getElementById('hoverColor');
 const opacityInput = document.getElementById('opacity');
 const opacityValue = document.getElementById('opacityValue');
+const renderModeInput = document.getElementById('renderMode');
+const pointerDiameterInput = document.getElementById('pointerDiameter');
 const autoRecalculateInput = document.getElementById('autoRecalculate');
+const touchSpacingInput = document.getElementById('touchSpacing');
+const pageApiInput = document.getElementById('pageApi');
+const presetInputs = document.querySelectorAll('input[name="preset"]');
+const customRulesInput = document.getElementById('customRules');
+const inheritInputs = document.querySelectorAll('input.inherit');
+const profileListElement = document.getElementById('profileList');
+const profileNameInput = document.getElementById('profileName');
+const profilePatternInput = document.getElementById('profilePattern');
+const addProfileBtn = document.getElementById('addProfileBtn');
+const moveProfileUpBtn = document.getElementById('moveProfileUpBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const importProfilesBtn = document.getElementById('importProfilesBtn');
+const importProfilesInput = document.getElementById('importProfilesInput');
+const exportProfilesBtn = document.getElementById('exportProfilesBtn');
 const saveBtn = document.getElementById('saveBtn');
 const message = document.getElementById('message');
 
-// Load configuration on page load
+const configManager = new ConfigurationManager();
+
+// Global configuration and site profiles as last loaded or saved
+let globalConfig = { ...DEFAULT_CONFIG };
+let profiles = [];
+
+// Index of the profile shown in the form, or -1 for the global settings
+let editingIndex = -1;
+
+// Form inputs of each setting: read() returns the value in the form, write() shows a value
+const SETTING_FIELDS = {
+  samplingResolution: {
+    inputs: [resolutionInput],
+    read: () => parseInt(resolutionInput.value, 10),
+    write: value => { resolutionInput.value = value; }
+  },
+  samplingScope: {
+    inputs: [scopeInput],
+    read: () => scopeInput.value,
+    write: value => { scopeInput.value = value; }
+  },
+  samplingStrategy: {
+    inputs: [strategyInput],
+    read: () => strategyInput.value,
+    write: value => { strategyInput.value = value; }
+  },
+  highlightColor: {
+    inputs: [colorInput],
+    read: () => colorInput.value,
+    write: value => { colorInput.value = value; }
+  },
+  occlusionColor: {
+    inputs: [occlusionColorInput],
+    read: () => occlusionColorInput.value,
+    write: value => { occlusionColorInput.value = value; }
+  },
+  hoverColor: {
+    inputs: [hoverColorInput],
+    read: () => hoverColorInput.value,
+    write: value => { hoverColorInput.value = value; }
+  },
+  highlightOpacity: {
+    inputs: [opacityInput],
+    read: () => parseInt(opacityInput.value, 10) / 100,
+    write: value => {
+      opacityInput.value = Math.round(value * 100);
+      opacityValue.textContent = Math.round(value * 100) + '%';
+    }
+  },
+  renderMode: {
+    inputs: [renderModeInput],
+    read: () => renderModeInput.value,
+    write: value => { renderModeInput.value = value; }
+  },
+  pointerDiameter: {
+    inputs: [pointerDiameterInput],
+    read: () => parseInt(pointerDiameterInput.value, 10),
+    write: value => { pointerDiameterInput.value = value; }
+  },
+  autoRecalculate: {
+    inputs: [autoRecalculateInput],
+    read: () => autoRecalculateInput.checked,
+    write: value => { autoRecalculateInput.checked = value; }
+  },
+  touchSpacing: {
+    inputs: [touchSpacingInput],
+    read: () => touchSpacingInput.checked,
+    write: value => { touchSpacingInput.checked = value; }
+  },
+  pageApi: {
+    inputs: [pageApiInput],
+    read: () => pageApiInput.checked,
+    write: value => { pageApiInput.checked = value; }
+  },
+  interactivePresets: {
+    inputs: Array.from(presetInputs),
+    read: () => Array.from(presetInputs)
+      .filter(input => input.checked)
+      .map(input => input.value),
+    write: value => {
+      presetInputs.forEach(input => {
+        input.checked = value.includes(input.value);
+      });
+    }
+  },
+  customRules: {
+    inputs: [customRulesInput],
+    read: () => parseRuleLines(customRulesInput.value),
+    write: value => { customRulesInput.value = formatRuleLines(value); }
+  }
+};
+
+// Load configuration and profiles on page load
 async function loadConfiguration() {
   try {
-    const result = await chrome.storage.sync.get('hitRegionConfig');
-    const config = result.hitRegionConfig || {
-      samplingResolution: 10,
-      highlightColor: '#00ff00',
-      highlightOpacity: 0.3,
-      autoRecalculate: true
-    };
-    
-    // Populate form inputs with current values
-    resolutionInput.value = config.samplingResolution;
-    colorInput.value = config.highlightColor;
-    opacityInput.value = Math.round(config.highlightOpacity * 100);
-    opacityValue.textContent = Math.round(config.highlightOpacity * 100) + '%';
-    autoRecalculateInput.checked = config.autoRecalculate;
-    
-    console.log('Configuration loaded:', config);
+    globalConfig = await configManager.loadConfiguration();
+    profiles = configManager.getProfiles();
+    showSettings();
+
+    console.log('Configuration loaded:', globalConfig, profiles);
   } catch (error) {
     console.error('Failed to load configuration:', error);
   }
 }
 
+// Format custom rules as "type:value" lines
+function formatRuleLines(rules) {
+  return rules.map(rule => `${rule.type}:${rule.value}`).join('\n');
+}
+
+// Parse "type:value" lines into custom rules; unprefixed lines are CSS selectors
+function parseRuleLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const match = line.match(/^(role|selector|cursor):(.+)$/);
+      return match
+        ? { type: match[1], value: match[2].trim() }
+        : { type: 'selector', value: line };
+    });
+}
+
+// Check setting values, returning a message for the first invalid one or null
+function validateSettings(settings) {
+  if (settings.samplingResolution !== undefined &&
+      !(settings.samplingResolution >= 1 && settings.samplingResolution <= 50)) {
+    return 'Sampling resolution must be between 1 and 50 pixels';
+  }
+
+  const colors = ['highlightColor', 'occlusionColor', 'hoverColor']
+    .filter(key => settings[key] !== undefined)
+    .map(key => settings[key]);
+  if (!colors.every(color => /^#[0-9A-Fa-f]{6}$/.test(color))) {
+    return 'Invalid color format';
+  }
+
+  if (settings.highlightOpacity !== undefined &&
+      !(settings.highlightOpacity >= 0 && settings.highlightOpacity <= 1)) {
+    return 'Opacity must be between 0 and 100%';
+  }
+
+  if (settings.pointerDiameter !== undefined &&
+      !(settings.pointerDiameter >= 1 && settings.pointerDiameter <= 100)) {
+    return 'Pointer diameter must be between 1 and 100 pixels';
+  }
+
+  if (!configManager.validateConfiguration(settings)) {
+    return 'Invalid settings';
+  }
+
+  return null;
+}
+
+// Mark a setting as inherited from the global settings, or as overridden by the profile
+function setInherited(key, inherited) {
+  const inheritInput = Array.from(inheritInputs).find(input => input.dataset.setting === key);
+  inheritInput.checked = inherited;
+  SETTING_FIELDS[key].inputs.forEach(input => {
+    input.disabled = inherited;
+  });
+}
+
+// List the global settings and every profile; the one shown in the form is highlighted
+function renderProfileList() {
+  profileListElement.textContent = '';
+
+  const entries = [{ index: -1, name: 'All sites (global settings)', pattern: '' }]
+    .concat(profiles.map((profile, index) => ({ index, name: profile.name || profile.pattern, pattern: profile.pattern })));
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.classList.toggle('active', entry.index === editingIndex);
+    item.textContent = entry.name;
+
+    if (entry.pattern) {
+      const pattern = document.createElement('span');
+      pattern.className = 'pattern';
+      pattern.textContent = entry.pattern;
+      item.appendChild(pattern);
+    }
+
+    item.addEventListener('click', () => {
+      editingIndex = entry.index;
+      showSettings();
+    });
+    profileListElement.appendChild(item);
+  }
+}
+
+// Show the global settings or the edited profile in the form
+// Settings a profile doesn't override show the global value
+function showSettings() {
+  const profile = editingIndex >= 0 ? profiles[editingIndex] : null;
+  document.body.classList.toggle('editing-profile', profile !== null);
+  profileNameInput.value = profile ? profile.name || '' : '';
+  profilePatternInput.value = profile ? profile.pattern : '';
+  moveProfileUpBtn.disabled = editingIndex <= 0;
+
+  for (const [key, field] of Object.entries(SETTING_FIELDS)) {
+    const inherited = profile !== null && profile[key] === undefined;
+    field.write(profile && !inherited ? profile[key] : globalConfig[key]);
+    setInherited(key, inherited);
+  }
+
+  renderProfileList();
+}
+
+// Read the settings in the form; for a profile, only the overridden ones
+function readSettings() {
+  const settings = {};
+
+  for (const [key, field] of Object.entries(SETTING_FIELDS)) {
+    if (editingIndex < 0 || !field.inputs[0].disabled) {
+      settings[key] = field.read();
+    }
+  }
+
+  return settings;
+}
+
+// Briefly show the save confirmation
+function showSavedMessage() {
+  message.style.display = 'block';
+  setTimeout(() => {
+    message.style.display = 'none';
+  }, 3000);
+}
+
+// Save the profile list, reporting failures
+async function saveProfiles(updatedProfiles) {
+  try {
+    profiles = await configManager.saveProfiles(updatedProfiles);
+    console.log('Profiles saved:', profiles);
+    return true;
+  } catch (error) {
+    console.error('Failed to save profiles:', error);
+    alert(`Failed to save profiles: ${error.message}`);
+    return false;
+  }
+}
+
+// Download the profiles as a JSON file
+function exportProfiles() {
+  const data = JSON.stringify({ version: 1, profiles }, null, 2);
+  const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'hit-region-profiles.json';
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Import profiles from a JSON file written by exportProfiles(), or a plain array of profiles
+// Imported profiles replace existing ones with the same pattern; new ones are added at the end
+async function importProfiles(file) {
+  let imported;
+  try {
+    const data = JSON.parse(await file.text());
+    imported = Array.isArray(data) ? data : data && data.profiles;
+  } catch (parseError) {
+    alert('Profiles must be a valid JSON file');
+    return;
+  }
+
+  if (!Array.isArray(imported)) {
+    alert('The file does not contain any profiles');
+    return;
+  }
+
+  const invalid = imported.find(profile => !configManager.validateProfile(profile));
+  if (invalid !== undefined) {
+    alert(`Invalid profile: ${JSON.stringify(invalid)}`);
+    return;
+  }
+
+  const merged = profiles.slice();
+  for (const profile of imported) {
+    const index = merged.findIndex(existing => existing.pattern === profile.pattern);
+    if (index >= 0) {
+      merged[index] = profile;
+    } else {
+      merged.push(profile);
+    }
+  }
+
+  if (await saveProfiles(merged)) {
+    showSettings();
+    showSavedMessage();
+  }
+}
+
 // Update opacity display as user moves slider
 opacityInput.addEventListener('input', () => {
   opacityValue.textContent = opacityInput.value + '%';
 });
 
-// Handle form submission to save configuration
+// Overriding a setting starts from the global value; inheriting it again shows the global value
+inheritInputs.forEach(input => {
+  input.addEventListener('change', () => {
+    const key = input.dataset.setting;
+    SETTING_FIELDS[key].write(globalConfig[key]);
+    setInherited(key, input.checked);
+  });
+});
+
+// New profiles inherit everything until settings are overridden
+addProfileBtn.addEventListener('click', () => {
+  profiles.push({ name: 'New profile', pattern: '' });
+  editingIndex = profiles.length - 1;
+  showSettings();
+  profilePatternInput.focus();
+});
+
+// The first matching profile applies, so order matters
+// Patterns are unique, so they identify profiles across saves
+moveProfileUpBtn.addEventListener('click', async () => {
+  const profile = profiles[editingIndex];
+  if (editingIndex <= 0 || !profile.pattern) {
+    return;
+  }
+
+  const reordered = profiles.slice();
+  [reordered[editingIndex - 1], reordered[editingIndex]] = [profile, reordered[editingIndex - 1]];
+  if (await saveProfiles(reordered.filter(entry => entry.pattern))) {
+    editingIndex = profiles.findIndex(entry => entry.pattern === profile.pattern);
+    showSettings();
+  }
+});
+
+deleteProfileBtn.addEventListener('click', async () => {
+  const profile = profiles[editingIndex];
+  if (!profile || !confirm(`Delete the profile "${profile.name || profile.pattern}"?`)) {
+    return;
+  }
+
+  if (await saveProfiles(profiles.filter((entry, index) => index !== editingIndex && entry.pattern))) {
+    editingIndex = -1;
+    showSettings();
+  }
+});
+
+importProfilesBtn.addEventListener('click', () => {
+  importProfilesInput.click();
+});
+
+importProfilesInput.addEventListener('change', () => {
+  const file = importProfilesInput.files[0];
+  importProfilesInput.value = '';
+  if (file) {
+    importProfiles(file);
+  }
+});
+
+exportProfilesBtn.addEventListener('click', exportProfiles);
+
+// Handle form submission to save the global settings or the edited profile
 saveBtn.addEventListener('click', async () => {
   try {
-    const config = {
-      samplingResolution: parseInt(resolutionInput.value, 10),
-      highlightColor: colorInput.value,
-      highlightOpacity: parseInt(opacityInput.value, 10) / 100,
-      autoRecalculate: autoRecalculateInput.checked
-    };
-    
-    // Validate configuration values
-    if (config.samplingResolution < 1 || config.samplingResolution > 50) {
-      alert('Sampling resolution must be between 1 and 50 pixels');
+    const settings = readSettings();
+    const error = validateSettings(settings);
+    if (error) {
+      alert(error);
       return;
     }
-    
-    if (!/^#[0-9A-Fa-f]{6}$/.test(config.highlightColor)) {
-      alert('Invalid color format');
-      return;
-    }
-    
-    if (config.highlightOpacity < 0 || config.highlightOpacity > 1) {
-      alert('Opacity must be between 0 and 100%');
-      return;
+
+    if (editingIndex < 0) {
+      globalConfig = await configManager.saveConfiguration(settings);
+      console.log('Configuration saved:', globalConfig);
+    } else {
+      const pattern = profilePatternInput.value.trim();
+      if (!pattern) {
+        alert('A profile needs a URL pattern');
+        return;
+      }
+      if (profiles.some((entry, index) => index !== editingIndex && entry.pattern === pattern)) {
+        alert('Another profile already uses this URL pattern');
+        return;
+      }
+
+      const profile = { name: profileNameInput.value.trim() || pattern, pattern, ...settings };
+      const updated = profiles.map((entry, index) => (index === editingIndex ? profile : entry));
+      // Unsaved new profiles without a pattern are dropped
+      if (!(await saveProfiles(updated.filter(entry => entry.pattern)))) {
+        return;
+      }
+      editingIndex = profiles.findIndex(entry => entry.pattern === pattern);
     }
-    
-    // Save configuration
-    await chrome.storage.sync.set({ hitRegionConfig: config });
-    console.log('Configuration saved:', config);
-    
-    // Show save confirmation message
-    message.style.display = 'block';
-    setTimeout(() => {
-      message.style.display = 'none';
-    }, 3000);
+
+    showSettings();
+    showSavedMessage();
   } catch (error) {
     console.error('Failed to save configuration:', error);
     alert('Failed to save settings. Please try again.');